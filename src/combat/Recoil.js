@@ -1,16 +1,23 @@
 import { MathUtils } from 'three';
 
 // Per-weapon recoil configuration
+// buildUp: extra kick per shot of sustained fire, capped at maxBuildUp shots
 const RECOIL_CONFIG = {
-    pistol:   { kick: 0.02, fovKick: 2,  recovery: 12 },
-    shotgun:  { kick: 0.05, fovKick: 5,  recovery: 10 },
-    rifle:    { kick: 0.015, fovKick: 3, recovery: 18 }
+    pistol:   { kick: 0.02, fovKick: 2,  recovery: 12, buildUp: 0,    maxBuildUp: 0 },
+    shotgun:  { kick: 0.05, fovKick: 5,  recovery: 10, buildUp: 0,    maxBuildUp: 0 },
+    rifle:    { kick: 0.015, fovKick: 3, recovery: 18, buildUp: 0.25, maxBuildUp: 8 }
 };
 
+// Sustained fire "heat" (in shots) cools off at this many shots per second
+const HEAT_DECAY = 2;
+
 let recoilAngleX = 0;
+let recoilHeat = 0;
 let recoilFovOffset = 0;
 let recoilRecoverySpeed = RECOIL_CONFIG.pistol.recovery;
 let lastRecoilAppliedX = 0;
+// Scales the FOV punch only (the aim kick is part of the weapon's handling)
+let fovKickScale = 1;
 
 export function setRecoilWeapon(weaponId) {
     const cfg = RECOIL_CONFIG[weaponId];
@@ -18,15 +25,47 @@ export function setRecoilWeapon(weaponId) {
     recoilRecoverySpeed = cfg.recovery;
 }
 
+/**
+ * @param {number} scale - 0 (no FOV punch) to 1, from the screen shake setting
+ */
+export function setRecoilFovKickScale(scale) {
+    fovKickScale = scale;
+}
+
+/**
+ * Drop any recoil still recovering (new run)
+ */
+export function resetRecoil() {
+    recoilAngleX = 0;
+    recoilHeat = 0;
+    recoilFovOffset = 0;
+    lastRecoilAppliedX = 0;
+    recoilRecoverySpeed = RECOIL_CONFIG.pistol.recovery;
+}
+
+/**
+ * The FOV punch is only drawn (see RenderManager.setViewEffects), so the
+ * screen shake setting never changes where a shot goes
+ * @returns {number} Degrees to take off the camera's FOV for this frame
+ */
+export function getRecoilFovOffset() {
+    return recoilFovOffset;
+}
+
 export function applyWeaponRecoil(weaponId) {
     const cfg = RECOIL_CONFIG[weaponId] || RECOIL_CONFIG.pistol;
+    // Kick grows with each shot of sustained fire
+    const buildUp = 1 + Math.min(recoilHeat, cfg.maxBuildUp) * cfg.buildUp;
+    recoilHeat += 1;
     // Store positive "kick up"; applied as negative rotation.x later
-    recoilAngleX += cfg.kick;
-    recoilFovOffset = Math.min(recoilFovOffset + cfg.fovKick, cfg.fovKick);
+    recoilAngleX += cfg.kick * buildUp;
+    const fovKick = cfg.fovKick * fovKickScale;
+    recoilFovOffset = Math.min(recoilFovOffset + fovKick, fovKick);
     recoilRecoverySpeed = cfg.recovery;
 }
 
-export function updateRecoil(deltaTime, camera, baseFov) {
+export function updateRecoil(deltaTime, camera) {
+    recoilHeat = Math.max(0, recoilHeat - HEAT_DECAY * deltaTime);
     if (recoilAngleX === 0 && recoilFovOffset === 0) return;
 
     const decay = Math.exp(-recoilRecoverySpeed * deltaTime);
@@ -39,12 +78,6 @@ export function updateRecoil(deltaTime, camera, baseFov) {
     const deltaRecoil = recoilAngleX - lastRecoilAppliedX;
     camera.rotation.x -= deltaRecoil;
     lastRecoilAppliedX = recoilAngleX;
-
-    const targetFov = baseFov - recoilFovOffset;
-    if (Math.abs(camera.fov - targetFov) > 0.01) {
-        camera.fov = targetFov;
-        camera.updateProjectionMatrix();
-    }
 }
 
 
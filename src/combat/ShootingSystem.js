@@ -1,6 +1,10 @@
 import * as THREE from 'three';
 import { applyWeaponRecoil } from './Recoil.js';
 import { soundManager } from '../systems/SoundManager.js';
+import { weaponManager } from '../weapons/WeaponManager.js';
+import { gameClock } from '../core/GameClock.js';
+import { platform } from '../core/Platform.js';
+import { gameEvents } from '../core/GameEvents.js';
 
 let scene;
 let camera;
@@ -8,28 +12,34 @@ let gameData;
 let zombieManager;
 let powerUpsRef;
 let reloadFn;
-let updateUIFn;
-let resetComboFn;
-let createDamageNumberFn;
-let showHeadshotIndicatorFn;
-let onScreenShake;
-
-const raycaster = new THREE.Raycaster();
-const muzzleFlash = document.getElementById('muzzle-flash');
+
+// Consecutive headshot kills that make a streak
+const HEADSHOT_STREAK = 3;
+// Minimum seconds between dry-fire clicks (held triggers retry every frame)
+const DRY_FIRE_INTERVAL = 0.25;
+let lastDryFireTime = -Infinity;
+
+// Impact spheres fade out over ~0.33s while growing (per second)
+const IMPACT_FADE_RATE = 3;
+const IMPACT_GROW_RATE = 6;
 let impactSpheres = [];
 
+// Trigger state for held / burst fire
+const trigger = {
+    isHeld: false,
+    weaponId: null,
+    burstRemaining: 0,
+    mouseX: 0,
+    mouseY: 0
+};
+
 export function initShootingSystem({
     sceneRef,
     cameraRef,
     gameDataRef,
     zombieManagerRef,
     powerUpsArrayRef,
-    reload,
-    updateUI,
-    resetCombo,
-    createDamageNumber,
-    showHeadshotIndicator,
-    triggerScreenShake
+    reload
 }) {
     scene = sceneRef;
     camera = cameraRef;
@@ -37,47 +47,127 @@ export function initShootingSystem({
     zombieManager = zombieManagerRef;
     powerUpsRef = powerUpsArrayRef;
     reloadFn = reload;
-    updateUIFn = updateUI;
-    resetComboFn = resetCombo;
-    createDamageNumberFn = createDamageNumber;
-    showHeadshotIndicatorFn = showHeadshotIndicator;
-    onScreenShake = triggerScreenShake;
 }
 
-export function shoot(mouseX, mouseY, currentWeaponId) {
+/**
+ * Press the trigger: fires immediately and, depending on the weapon's
+ * fire mode, keeps firing from updateTrigger()
+ * - semi: one shot per press
+ * - burst: burstCount shots per press, even if released early
+ * - auto: fires at the weapon's fireRate while held
+ */
+export function pressTrigger(mouseX, mouseY) {
     if (gameData.currentState !== 'GAMEPLAY') return;
-    if (gameData.isReloading) return;
-    if (gameData.currentAmmo <= 0) {
-        if (gameData.reserveAmmo > 0 && reloadFn) {
+    
+    const weapon = weaponManager.currentWeapon;
+    trigger.isHeld = true;
+    trigger.weaponId = weapon.id;
+    trigger.mouseX = mouseX;
+    trigger.mouseY = mouseY;
+    trigger.burstRemaining = weapon.fireMode === 'burst' ? weapon.burstCount : 0;
+    
+    if (shoot(mouseX, mouseY) && trigger.burstRemaining > 0) {
+        trigger.burstRemaining--;
+    }
+}
+
+/**
+ * Track the aim point while the trigger is held
+ */
+export function aimTrigger(mouseX, mouseY) {
+    trigger.mouseX = mouseX;
+    trigger.mouseY = mouseY;
+}
+
+/**
+ * Release the trigger (mouseup). Bursts already started finish on their own.
+ */
+export function releaseTrigger() {
+    trigger.isHeld = false;
+}
+
+/**
+ * Stop all held and burst fire immediately
+ */
+export function cancelTrigger() {
+    trigger.isHeld = false;
+    trigger.burstRemaining = 0;
+}
+
+/**
+ * Fire follow-up rounds for burst / full-auto (call every frame).
+ * Held fire stops on reload, weapon switch or leaving GAMEPLAY.
+ */
+export function updateTrigger() {
+    if (!trigger.isHeld && trigger.burstRemaining === 0) return;
+    
+    if (
+        gameData.currentState !== 'GAMEPLAY' ||
+        weaponManager.isReloading ||
+        weaponManager.currentWeaponId !== trigger.weaponId
+    ) {
+        cancelTrigger();
+        return;
+    }
+    
+    const weapon = weaponManager.currentWeapon;
+    if (trigger.burstRemaining > 0) {
+        if (shoot(trigger.mouseX, trigger.mouseY)) {
+            trigger.burstRemaining--;
+        }
+    } else if (weapon.fireMode === 'auto') {
+        shoot(trigger.mouseX, trigger.mouseY);
+    }
+}
+
+/**
+ * Fire a single shot of the current weapon
+ * @returns {boolean} True if a round was fired
+ */
+export function shoot(mouseX, mouseY) {
+    if (gameData.currentState !== 'GAMEPLAY') return false;
+    
+    const now = gameClock.playTime;
+    const weapon = weaponManager.currentWeapon;
+    if (weaponManager.isReloading) return false;
+    if (weapon.currentAmmo <= 0) {
+        if (now - lastDryFireTime >= DRY_FIRE_INTERVAL) {
+            lastDryFireTime = now;
+            soundManager.play('dry_fire');
+        }
+        if (weapon.reserveAmmo > 0 && reloadFn) {
             // Reload sound will be played by PlayerManager.reload()
             reloadFn();
         }
-        return;
+        return false;
     }
+    if (!weaponManager.canFire(now)) return false;
+    
+    const zombies = zombieManager.getZombies();
+    const zombieMeshes = zombies.filter(z => !z.isDead).map(z => z.mesh);
+    const powerUps = powerUpsRef ? powerUpsRef() : [];
+    const powerUpGroups = powerUps.map(p => p.group);
+    const projectileMeshes = zombieManager.getProjectileMeshes();
+    const targets = [scene.getObjectByName('ground') || null, ...zombieMeshes, ...projectileMeshes, ...powerUpGroups].filter(Boolean);
+    
+    // One hit per pellet that connected
+    const mouse = new THREE.Vector2(mouseX, mouseY);
+    const hits = weaponManager.shoot(now, camera, mouse, targets);
+    if (!hits) return false;
     
-    gameData.currentAmmo--;
     gameData.shotsFired++;
     
     // Play shot sound (can overlap for rapid firing)
-    soundManager.playShot(currentWeaponId);
+    soundManager.playShot(weapon.id);
     
     triggerMuzzleFlash();
-    if (onScreenShake) onScreenShake();
-    applyWeaponRecoil(currentWeaponId);
+    applyWeaponRecoil(weapon.id);
     
-    const mouse = new THREE.Vector2(mouseX, mouseY);
-    raycaster.setFromCamera(mouse, camera);
+    let hitZombie = false;
+    let killedZombie = false;
+    let hitProjectile = false;
     
-    const zombies = zombieManager.getZombies();
-    const zombieMeshes = zombies.filter(z => !z.isDead).map(z => z.mesh);
-    const powerUps = powerUpsRef ? powerUpsRef() : [];
-    const powerUpGroups = powerUps.map(p => p.group);
-    const intersects = raycaster.intersectObjects([scene.getObjectByName('ground') || null, ...zombieMeshes, ...powerUpGroups].filter(Boolean), true);
-    
-    if (intersects.length > 0) {
-        const hitObject = intersects[0].object;
-        const hitPoint = intersects[0].point;
-        
+    hits.forEach(({ object: hitObject, point: hitPoint }) => {
         createImpactSphere(hitPoint);
         
         // Power-up hit
@@ -86,50 +176,73 @@ export function shoot(mouseX, mouseY, currentWeaponId) {
             if (powerUpInstance && !powerUpInstance.collected) {
                 powerUpInstance.collect();
             }
-            if (updateUIFn) updateUIFn();
             return;
         }
         
-        if (hitObject.userData.isZombie) {
-            gameData.shotsHit++;
-            const zombie = hitObject.userData.zombie;
-            
-            // Headshot logic
-            const zombieHeight = zombie.mesh.scale.y * (zombie.type === 'crawler' ? 0.5 : 1.5);
-            const hitHeight = hitPoint.y - (zombie.mesh.position.y - zombieHeight / 2);
-            const headshotThreshold = zombie.type === 'crawler' ? 0.9 : 0.7;
-            const isHeadshot = hitHeight > zombieHeight * headshotThreshold;
-            
-            const baseDamage = 50;
-            const damageAmount = gameData.doubleDamageActive ? baseDamage * 2 : baseDamage;
-            const result = zombie.takeDamage(damageAmount, isHeadshot);
+        // Spitter acid shot down mid-air
+        if (hitObject.userData.isProjectile) {
+            zombieManager.interceptProjectile(hitObject.userData.projectile);
+            hitProjectile = true;
+            return;
+        }
+        
+        const zombie = findZombie(hitObject);
+        if (zombie) {
+            // An earlier pellet may already have killed this zombie
+            if (zombie.isDead) return;
+            hitZombie = true;
             
-            if (createDamageNumberFn) {
-                createDamageNumberFn(
-                    hitPoint,
-                    isHeadshot ? damageAmount * 2 : damageAmount,
-                    isHeadshot
-                );
-            }
+            // Head / torso / limbs (or boss weak point) multiplier is applied by the zombie itself
+            const zone = zombie.getHitZone(hitPoint, hitObject);
+            const damageAmount = gameData.doubleDamageActive ? weapon.damage * 2 : weapon.damage;
+            const result = zombie.takeDamage(damageAmount, zone);
+            gameEvents.emit('zombieHit', {
+                zombie,
+                point: hitPoint,
+                zone,
+                damage: result.damage,
+                headshot: result.headshot,
+                killed: result.killed
+            });
             
             if (result.killed) {
+                killedZombie = true;
                 if (result.headshot) {
                     gameData.headshotKills++;
-                    if (showHeadshotIndicatorFn) showHeadshotIndicatorFn();
-                }
-                zombieManager.incrementSceneZombiesKilled();
-            } else {
-                if (gameData.currentCombo > 0 && resetComboFn) {
-                    resetComboFn();
+                    gameData.headshotStreak++;
+                    if (gameData.headshotStreak % HEADSHOT_STREAK === 0) {
+                        gameEvents.emit('headshotStreak', { count: gameData.headshotStreak });
+                    }
+                } else {
+                    gameData.headshotStreak = 0;
                 }
             }
         }
+    });
+    
+    // Accuracy counts trigger pulls, so a shotgun blast is one hit at most
+    if (hitZombie || hitProjectile) {
+        gameData.shotsHit++;
     }
     
-    if (updateUIFn) updateUIFn();
+    gameEvents.emit('shotFired', { weaponId: weapon.id, hitZombie, hitProjectile, killed: killedZombie });
+    return true;
+}
+
+/**
+ * GLB zombies are hit on a child mesh; the zombie is stored on the root
+ * @param {THREE.Object3D} object
+ * @returns {import('../enemies/Zombie.js').default | null}
+ */
+function findZombie(object) {
+    for (let current = object; current; current = current.parent) {
+        if (current.userData.isZombie) return current.userData.zombie;
+    }
+    return null;
 }
 
 function triggerMuzzleFlash() {
+    const muzzleFlash = platform.dom.getElement('muzzle-flash');
     if (!muzzleFlash) return;
     muzzleFlash.style.opacity = '1';
     setTimeout(() => muzzleFlash.style.opacity = '0', 50);
@@ -149,11 +262,15 @@ export function createImpactSphere(hitPoint) {
     impactSpheres.push({ mesh: sphere, opacity: 1, scale: 1 });
 }
 
-export function updateImpactSpheres() {
+/**
+ * Fade, grow and remove impact spheres (call every frame)
+ * @param {number} deltaTime - Game seconds since the last frame
+ */
+export function updateImpactSpheres(deltaTime) {
     for (let i = impactSpheres.length - 1; i >= 0; i--) {
         const impact = impactSpheres[i];
-        impact.opacity -= 0.05;
-        impact.scale += 0.1;
+        impact.opacity -= IMPACT_FADE_RATE * deltaTime;
+        impact.scale += IMPACT_GROW_RATE * deltaTime;
         
         if (impact.opacity <= 0) {
             scene.remove(impact.mesh);
@@ -0,0 +1,172 @@
+import { gameData } from './GameState.js';
+import { getDifficulty } from './Difficulty.js';
+import { rng } from './Random.js';
+
+/**
+ * AdaptiveDifficulty
+ * Watches how the player is doing and nudges an intensity value (-1 easier
+ * .. +1 harder), kept within the `adaptive` bounds of the difficulty preset.
+ *
+ * Performance is measured between wave starts from accuracy, damage taken
+ * and average time-to-kill. The intensity then drives:
+ * - the next wave's composition (walkers become runners, or runners and
+ *   tanks become walkers)
+ * - zombie speed
+ * - how many power-ups a scene spawns
+ *
+ * Every evaluation and adjustment is logged to the console and kept in
+ * getHistory() so designers can review a run.
+ */
+
+const spawnRandom = rng.stream('spawns');
+
+// How far one evaluation can move the intensity
+const STEP = 0.25;
+// What "doing fine" looks like (performance 0 at these values)
+const TARGET_ACCURACY = 0.5;
+const TARGET_DAMAGE = 0.15;        // Fraction of max health per wave
+const TARGET_TIME_TO_KILL = 3;     // Seconds from spawn to death
+// Shots needed before accuracy is trusted
+const MIN_SHOTS = 5;
+// Effect of intensity +-1
+const SPEED_RANGE = 0.2;
+const POWERUP_ODDS_RANGE = 0.5;
+const SWAP_CHANCE = 0.5;
+
+const HARDER_TYPES = { walker: 'runner', crawler: 'runner' };
+const EASIER_TYPES = { runner: 'walker', tank: 'walker' };
+
+const clampUnit = (value) => Math.max(-1, Math.min(1, value));
+
+class AdaptiveDifficulty {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Start a new run: neutral intensity (within the preset's bounds)
+     */
+    reset() {
+        const bounds = getDifficulty().adaptive;
+        this.intensity = Math.max(bounds.min, Math.min(bounds.max, 0));
+        this.history = [];
+        this.startWindow();
+    }
+
+    startWindow() {
+        this.windowShotsFired = gameData.shotsFired;
+        this.windowShotsHit = gameData.shotsHit;
+        this.windowDamage = 0;
+        this.windowKillTimes = [];
+    }
+
+    /**
+     * @param {number} amount - Damage the player actually took
+     */
+    recordDamage(amount) {
+        this.windowDamage += amount;
+    }
+
+    /**
+     * @param {number} seconds - How long the zombie lived
+     */
+    recordKill(seconds) {
+        this.windowKillTimes.push(seconds);
+    }
+
+    /**
+     * Score the player since the last evaluation and move the intensity.
+     * Called when a wave starts.
+     * @param {string} label - Where in the run this is (for the log)
+     */
+    evaluate(label) {
+        const shots = gameData.shotsFired - this.windowShotsFired;
+        const hits = gameData.shotsHit - this.windowShotsHit;
+        const accuracy = shots >= MIN_SHOTS ? hits / shots : null;
+        const damageTaken = this.windowDamage / gameData.maxHealth;
+        const timeToKill = this.windowKillTimes.length > 0
+            ? this.windowKillTimes.reduce((sum, t) => sum + t, 0) / this.windowKillTimes.length
+            : null;
+
+        // Each signal is -1 (struggling) .. +1 (cruising)
+        const signals = [];
+        if (accuracy !== null) signals.push(clampUnit((accuracy - TARGET_ACCURACY) / TARGET_ACCURACY));
+        if (timeToKill !== null) signals.push(clampUnit((TARGET_TIME_TO_KILL - timeToKill) / TARGET_TIME_TO_KILL));
+        // Only count damage once something has happened (not before the first wave)
+        if (signals.length > 0 || damageTaken > 0) signals.push(clampUnit((TARGET_DAMAGE - damageTaken) / TARGET_DAMAGE));
+
+        const previous = this.intensity;
+        const performance = signals.length > 0 ? signals.reduce((sum, s) => sum + s, 0) / signals.length : 0;
+        const bounds = getDifficulty().adaptive;
+        this.intensity = Math.max(bounds.min, Math.min(bounds.max, this.intensity + performance * STEP));
+
+        const entry = {
+            label,
+            accuracy,
+            damageTaken,
+            timeToKill,
+            performance,
+            intensity: this.intensity,
+            speedMultiplier: this.getSpeedMultiplier(),
+            powerUpOdds: this.getPowerUpOdds(),
+            swaps: []
+        };
+        this.history.push(entry);
+
+        const format = (value, digits = 2) => (value === null ? '-' : value.toFixed(digits));
+        console.log(
+            `🎚️ Adaptive [${label}] accuracy ${format(accuracy)}, damage ${format(damageTaken)}, ` +
+            `TTK ${format(timeToKill, 1)}s -> performance ${format(performance)}, ` +
+            `intensity ${format(previous)} -> ${format(this.intensity)} ` +
+            `(speed x${format(entry.speedMultiplier)}, power-ups x${format(entry.powerUpOdds)})`
+        );
+
+        this.startWindow();
+        return entry;
+    }
+
+    /**
+     * Swap some zombie types in a wave's spawn list toward the current intensity
+     * @param {{type: string}[]} spawns
+     * @returns {{type: string}[]} Copies, some with a different type
+     */
+    adjustSpawns(spawns) {
+        const swaps = this.intensity > 0 ? HARDER_TYPES : EASIER_TYPES;
+        const chance = Math.abs(this.intensity) * SWAP_CHANCE;
+        const entry = this.history[this.history.length - 1];
+
+        return spawns.map(spawn => {
+            const swapped = swaps[spawn.type];
+            if (!swapped || spawnRandom.next() >= chance) return spawn;
+
+            const change = `${spawn.type} -> ${swapped}`;
+            if (entry) entry.swaps.push(change);
+            console.log(`🎚️ Adaptive swap: ${change}`);
+            return { ...spawn, type: swapped };
+        });
+    }
+
+    /**
+     * @returns {number} Multiplier on zombie speed
+     */
+    getSpeedMultiplier() {
+        return 1 + this.intensity * SPEED_RANGE;
+    }
+
+    /**
+     * @returns {number} Multiplier on how many power-ups a scene spawns
+     */
+    getPowerUpOdds() {
+        return 1 - this.intensity * POWERUP_ODDS_RANGE;
+    }
+
+    /**
+     * @returns {Object[]} Every evaluation this run, oldest first
+     */
+    getHistory() {
+        return this.history;
+    }
+}
+
+// Export singleton instance
+export const adaptiveDifficulty = new AdaptiveDifficulty();
@@ -0,0 +1,146 @@
+import { ZOMBIE_TYPES } from '../enemies/Zombie.js';
+import { platform } from './Platform.js';
+
+/**
+ * Difficulty
+ * Presets that scale zombie stats and pickups, plus the god-mode dev toggle.
+ *
+ * Select with `?difficulty=story|normal|hard|nightmare` or the D key on the
+ * start screen. God mode (`?god=1`, or the G key with the dev tools on) makes
+ * the player immune to damage on any difficulty.
+ *
+ * `adaptive` bounds how far AdaptiveDifficulty may push the intensity
+ * (-1 = much easier, +1 = much harder) from live player performance.
+ */
+
+export const DIFFICULTY_PRESETS = {
+    story: {
+        name: 'Story',
+        zombieDamage: 0.25,
+        zombieSpeed: 0.8,
+        zombieHealth: 0.75,
+        ammoDrop: 2.0,
+        healthDrop: 1.5,
+        adaptive: { min: -1, max: 0 }
+    },
+    normal: {
+        name: 'Normal',
+        zombieDamage: 1.0,
+        zombieSpeed: 1.0,
+        zombieHealth: 1.0,
+        ammoDrop: 1.0,
+        healthDrop: 1.0,
+        adaptive: { min: -0.5, max: 0.5 }
+    },
+    hard: {
+        name: 'Hard',
+        zombieDamage: 1.5,
+        zombieSpeed: 1.15,
+        zombieHealth: 1.25,
+        ammoDrop: 0.75,
+        healthDrop: 0.75,
+        adaptive: { min: -0.25, max: 0.75 }
+    },
+    nightmare: {
+        name: 'Nightmare',
+        zombieDamage: 2.5,
+        zombieSpeed: 1.3,
+        zombieHealth: 1.6,
+        ammoDrop: 0.5,
+        healthDrop: 0.5,
+        adaptive: { min: 0, max: 1 }
+    }
+};
+
+export const DIFFICULTY_ORDER = ['story', 'normal', 'hard', 'nightmare'];
+export const DEFAULT_DIFFICULTY = 'normal';
+
+const difficultyParam = platform.dom.getUrlParam('difficulty');
+
+let currentDifficultyId = DIFFICULTY_PRESETS[difficultyParam] ? difficultyParam : DEFAULT_DIFFICULTY;
+let godMode = platform.dom.getUrlParam('god') === '1';
+
+/**
+ * @returns {string} Current difficulty id
+ */
+export function getDifficultyId() {
+    return currentDifficultyId;
+}
+
+/**
+ * @returns {Object} Current difficulty preset
+ */
+export function getDifficulty() {
+    return DIFFICULTY_PRESETS[currentDifficultyId];
+}
+
+/**
+ * Select a difficulty preset. Takes effect for zombies spawned afterwards.
+ * @param {string} id
+ */
+export function setDifficulty(id) {
+    if (!DIFFICULTY_PRESETS[id]) {
+        console.warn(`⚠️ Unknown difficulty "${id}"`);
+        return;
+    }
+    currentDifficultyId = id;
+    console.log(`⚙️ Difficulty: ${DIFFICULTY_PRESETS[id].name}`);
+}
+
+/**
+ * Step to the next difficulty preset (wraps around)
+ * @returns {string} The new difficulty id
+ */
+export function cycleDifficulty() {
+    const index = DIFFICULTY_ORDER.indexOf(currentDifficultyId);
+    setDifficulty(DIFFICULTY_ORDER[(index + 1) % DIFFICULTY_ORDER.length]);
+    return currentDifficultyId;
+}
+
+/**
+ * Zombie type config with damage, speed and health scaled by the difficulty
+ * @param {string} type - Key of ZOMBIE_TYPES
+ * @returns {Object} A copy of the type config
+ */
+export function getZombieConfig(type) {
+    return scaleZombieConfig(ZOMBIE_TYPES[type]);
+}
+
+/**
+ * Scale any zombie-like config (e.g. a boss) by the difficulty
+ * @param {Object} base - Needs damage, speed and health
+ * @returns {Object} A scaled copy
+ */
+export function scaleZombieConfig(base) {
+    const difficulty = getDifficulty();
+    return {
+        ...base,
+        damage: Math.round(base.damage * difficulty.zombieDamage),
+        speed: base.speed * difficulty.zombieSpeed,
+        health: Math.round(base.health * difficulty.zombieHealth)
+    };
+}
+
+/**
+ * @returns {boolean} True if the player can't take damage
+ */
+export function isGodMode() {
+    return godMode;
+}
+
+/**
+ * @param {boolean} enabled - God mode on / off (replays restore the recorded state)
+ */
+export function setGodMode(enabled) {
+    godMode = enabled;
+}
+
+/**
+ * Toggle the god-mode dev cheat
+ * @returns {boolean} New state
+ */
+export function toggleGodMode() {
+    godMode = !godMode;
+    console.log(`🛡️ God mode ${godMode ? 'ON' : 'OFF'}`);
+    return godMode;
+}
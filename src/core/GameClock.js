@@ -0,0 +1,133 @@
+// Longest frame the simulation will step (tab switches, breakpoints)
+const MAX_FRAME_DELTA = 0.1;
+
+/**
+ * GameClock
+ * The one source of game time. The render loop ticks it once per frame and
+ * gameplay reads time from it instead of the wall clock, so pause and slow
+ * motion (and later replays) apply to every system the same way.
+ *
+ * Two clocks advance together:
+ * - time / delta: scaled game time. Slow motion scales it, pause stops it.
+ *   The world runs on it: zombies, hazards, waves, rail travel.
+ * - playTime / playDelta: unscaled play time, only pause stops it. The
+ *   player's own timers run on it: fire rate, reloads, combo, power-ups,
+ *   HUD run time and camera tweens.
+ *
+ * The scheduler replaces setTimeout for gameplay: a callback runs on the
+ * first tick its time is reached, never while paused. Purely cosmetic DOM
+ * effects that pair with CSS animations stay on setTimeout.
+ *
+ * Every run starts from reset(), so a replay sees the same clock values as
+ * the run it was recorded from.
+ */
+class GameClock {
+    constructor() {
+        this.time = 0;
+        this.playTime = 0;
+        this.delta = 0;
+        this.playDelta = 0;
+        this.timeScale = 1;
+        this.paused = false;
+
+        this.tasks = [];
+        this.nextTaskId = 1;
+    }
+
+    /**
+     * Advance both clocks and run the callbacks that came due
+     * @param {number} realDelta - Wall-clock seconds since the last frame
+     * @returns {number} Scaled game seconds this frame (0 while paused)
+     */
+    tick(realDelta) {
+        const step = this.paused ? 0 : Math.min(realDelta, MAX_FRAME_DELTA);
+        this.playDelta = step;
+        this.delta = step * this.timeScale;
+        this.playTime += this.playDelta;
+        this.time += this.delta;
+
+        if (step > 0) this.runDueTasks();
+        return this.delta;
+    }
+
+    /**
+     * Back to time zero: normal speed, unpaused, nothing scheduled (new run)
+     */
+    reset() {
+        this.time = 0;
+        this.playTime = 0;
+        this.delta = 0;
+        this.playDelta = 0;
+        this.timeScale = 1;
+        this.paused = false;
+        this.tasks = [];
+    }
+
+    /**
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this.paused = paused;
+    }
+
+    /**
+     * @param {number} scale - 1 is normal speed, 0.5 half speed
+     */
+    setTimeScale(scale) {
+        this.timeScale = scale;
+    }
+
+    // ========================================================================
+    // SCHEDULER
+    // ========================================================================
+
+    /**
+     * Run a callback after some game time
+     * @param {number} seconds
+     * @param {() => void} callback
+     * @param {object} [options]
+     * @param {boolean} [options.unscaled=false] - Count play time (ignore slow motion)
+     * @returns {number} Id for cancel()
+     */
+    schedule(seconds, callback, { unscaled = false } = {}) {
+        const id = this.nextTaskId++;
+        const due = (unscaled ? this.playTime : this.time) + seconds;
+        this.tasks.push({ id, due, unscaled, callback });
+        return id;
+    }
+
+    /**
+     * Promise form of schedule()
+     * @param {number} seconds
+     * @param {object} [options] - See schedule()
+     * @returns {Promise<void>}
+     */
+    wait(seconds, options) {
+        return new Promise(resolve => this.schedule(seconds, resolve, options));
+    }
+
+    /**
+     * @param {number} id - From schedule()
+     */
+    cancel(id) {
+        this.tasks = this.tasks.filter(task => task.id !== id);
+    }
+
+    /**
+     * Drop every pending callback (restart / quit)
+     */
+    clearScheduled() {
+        this.tasks = [];
+    }
+
+    runDueTasks() {
+        const due = this.tasks.filter(task => task.due <= (task.unscaled ? this.playTime : this.time));
+        if (due.length === 0) return;
+
+        this.tasks = this.tasks.filter(task => !due.includes(task));
+        due.sort((a, b) => a.due - b.due).forEach(task => task.callback());
+    }
+}
+
+// Export singleton instance
+export const gameClock = new GameClock();
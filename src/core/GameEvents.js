@@ -0,0 +1,111 @@
+/**
+ * GameEvents
+ * Game event bus: systems announce what happened (a shot, a kill, damage
+ * taken, a pickup, a cleared scene) and anything interested subscribes,
+ * so HUD, audio, stats or achievements can react without the emitter
+ * knowing about them. Requests that need an answer (the ambush check) or
+ * that tell one system to act (reload) stay direct calls.
+ *
+ * Handlers run synchronously, in subscription order. A handler that
+ * throws is logged and skipped, so the emitter and the other handlers
+ * still run.
+ */
+
+/**
+ * Payload of each event
+ * @typedef {Object} GameEventMap
+ * @property {{ weaponId: string, hitZombie: boolean, hitProjectile: boolean, killed: boolean }} shotFired
+ *           A round was fired (after its pellets landed)
+ * @property {{ zombie: import('../enemies/Zombie.js').default, point: import('three').Vector3, zone: string, damage: number, headshot: boolean, killed: boolean }} zombieHit
+ *           A shot hit a zombie
+ * @property {{ zombie: import('../enemies/Zombie.js').default, type: string, headshot: boolean, points: number, byPlayer: boolean }} zombieKilled
+ *           A zombie died; byPlayer is false for deaths that don't score (a bloater blowing itself up, boss minions)
+ * @property {{ count: number }} headshotStreak
+ *           Every HEADSHOT_STREAK headshot kills in a row
+ * @property {{ amount: number, source: string }} playerAttacked
+ *           Something hit the player (zombie type, 'acid'); PlayerManager decides the damage
+ * @property {{ amount: number, health: number }} playerDamaged
+ *           The player lost health
+ * @property {{}} playerDied
+ * @property {{ combo: number }} comboChanged
+ * @property {{ weaponId: string }} reloadStarted
+ * @property {{ type: string, label: string }} powerUpCollected
+ * @property {{ text: string, color: number }} threatWarning
+ *           Special zombie spawn or ability telegraph
+ * @property {{ scene: number }} sceneCleared
+ *           Every wave (and the boss) of a camera scene is dead
+ * @property {{ pathId: string, index: number }} railArrived
+ *           The camera reached the end of a rail segment
+ */
+
+export const GAME_EVENTS = [
+    'shotFired',
+    'zombieHit',
+    'zombieKilled',
+    'headshotStreak',
+    'playerAttacked',
+    'playerDamaged',
+    'playerDied',
+    'comboChanged',
+    'reloadStarted',
+    'powerUpCollected',
+    'threatWarning',
+    'sceneCleared',
+    'railArrived'
+];
+
+class GameEventBus {
+    constructor() {
+        /** @type {Map<string, Set<Function>>} */
+        this.handlers = new Map(GAME_EVENTS.map(type => [type, new Set()]));
+    }
+
+    /**
+     * @template {keyof GameEventMap} K
+     * @param {K} type - One of GAME_EVENTS
+     * @param {(event: GameEventMap[K]) => void} handler
+     * @returns {() => void} Unsubscribes the handler
+     */
+    on(type, handler) {
+        this.getHandlers(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * @template {keyof GameEventMap} K
+     * @param {K} type
+     * @param {(event: GameEventMap[K]) => void} handler
+     */
+    off(type, handler) {
+        this.getHandlers(type).delete(handler);
+    }
+
+    /**
+     * @template {keyof GameEventMap} K
+     * @param {K} type
+     * @param {GameEventMap[K]} [event]
+     */
+    emit(type, event = {}) {
+        // Copy: handlers may unsubscribe (or subscribe others) while running
+        [...this.getHandlers(type)].forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`❌ ${type} handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * @param {string} type
+     * @returns {Set<Function>}
+     */
+    getHandlers(type) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) throw new Error(`Unknown game event "${type}"`);
+        return handlers;
+    }
+}
+
+// Export singleton instance
+export const gameEvents = new GameEventBus();
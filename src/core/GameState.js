@@ -6,6 +6,7 @@ export const GameState = {
     LOADING: 'LOADING',
     INTRO: 'INTRO',
     GAMEPLAY: 'GAMEPLAY',
+    PAUSED: 'PAUSED',
     SCENE_TRANSITION: 'SCENE_TRANSITION',
     GAME_OVER: 'GAME_OVER',
     MISSION_COMPLETE: 'MISSION_COMPLETE'
@@ -29,6 +30,7 @@ export const gameData = {
     shotsFired: 0,
     shotsHit: 0,
     headshotKills: 0,
+    headshotStreak: 0, // Consecutive headshot kills
     
     // Combo system
     currentCombo: 0,
@@ -39,12 +41,7 @@ export const gameData = {
     // Score
     score: 0,
     
-    // Ammo (will be updated based on current weapon)
-    currentAmmo: 11,
-    maxAmmo: 11,
-    reserveAmmo: 22, // 2 clips for pistol
-    isReloading: false,
-    reloadTime: 2000,
+    // Ammo and reload state live in weaponManager (weapons/WeaponManager.js)
     
     // Power-ups
     doubleDamageActive: false,
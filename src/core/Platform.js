@@ -0,0 +1,71 @@
+/**
+ * Platform
+ * What gameplay code needs from the browser, behind small adapters so the
+ * same modules also run headless under Node (see src/sim/):
+ * - dom: page elements for screen effects (flashes, power-up timers) and
+ *   URL parameters
+ * - audio: whether Web Audio can be used (soundManager stays silent without it)
+ * - graphics: whether GLB models can be loaded (zombies keep their
+ *   placeholder meshes without it; nothing headless renders)
+ *
+ * The adapters are picked from the environment when this module loads, so
+ * modules reading them at load time (URL parameters) get the right ones;
+ * use() swaps any of them afterwards (tests, tools).
+ */
+
+/**
+ * @typedef {Object} DomAdapter
+ * @property {(id: string) => HTMLElement|null} getElement
+ * @property {(name: string) => string|null} getUrlParam
+ */
+
+/**
+ * @typedef {Object} AudioAdapter
+ * @property {boolean} available
+ */
+
+/**
+ * @typedef {Object} GraphicsAdapter
+ * @property {boolean} available
+ */
+
+export const BROWSER_ADAPTERS = {
+    /** @type {DomAdapter} */
+    dom: {
+        getElement: (id) => document.getElementById(id),
+        getUrlParam: (name) => new URLSearchParams(window.location.search).get(name)
+    },
+    /** @type {AudioAdapter} */
+    audio: { available: true },
+    /** @type {GraphicsAdapter} */
+    graphics: { available: true }
+};
+
+export const HEADLESS_ADAPTERS = {
+    dom: {
+        getElement: () => null,
+        getUrlParam: () => null
+    },
+    audio: { available: false },
+    graphics: { available: false }
+};
+
+class Platform {
+    constructor() {
+        const isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
+        this.use(isBrowser ? BROWSER_ADAPTERS : HEADLESS_ADAPTERS);
+    }
+
+    /**
+     * Replace some or all adapters
+     * @param {{ dom?: DomAdapter, audio?: AudioAdapter, graphics?: GraphicsAdapter }} adapters
+     */
+    use(adapters) {
+        if (adapters.dom) this.dom = adapters.dom;
+        if (adapters.audio) this.audio = adapters.audio;
+        if (adapters.graphics) this.graphics = adapters.graphics;
+    }
+}
+
+// Export singleton instance
+export const platform = new Platform();
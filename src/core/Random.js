@@ -0,0 +1,154 @@
+import { platform } from './Platform.js';
+
+/**
+ * Random
+ * Seeded pseudo-random numbers (mulberry32) for everything that changes how
+ * a run plays out. A run started from the same seed with the same input
+ * plays out the same way, which is what replays, daily challenges and
+ * automated tests rely on.
+ *
+ * Draws come from named streams, each seeded from the run seed and its
+ * name, so one system drawing more or fewer numbers doesn't shift what the
+ * others get:
+ * - spawns: wave order and adaptive type swaps
+ * - loot: power-up counts, spots and types
+ * - spread: pellet spread
+ * - ai: zombie ability cooldowns and animation timing
+ *
+ * Purely cosmetic randomness (sound variants, pitch jitter, screen-space
+ * effects that never touch the simulation) can stay on Math.random.
+ */
+
+export const RANDOM_STREAMS = ['spawns', 'loot', 'spread', 'ai'];
+
+/**
+ * @returns {number} A fresh 32-bit seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * @param {string} text - A number ("12345") or any text ("2026-10-19")
+ * @returns {number} 32-bit seed: the number itself, or a hash of the text
+ */
+export function parseSeed(text) {
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    return hashString(text, 0x811c9dc5);
+}
+
+/**
+ * @returns {number|null} Seed from `?seed=` in the page URL, if any
+ */
+export function getSeedParam() {
+    const param = platform.dom.getUrlParam('seed');
+    return param ? parseSeed(param) : null;
+}
+
+// FNV-1a
+function hashString(text, hash) {
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+class SeededRandom {
+    /**
+     * @param {number} [seed]
+     */
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit unsigned integer
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} The seed the current sequence started from
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * @returns {number} Uniform float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * @param {number} min
+     * @param {number} max
+     * @returns {number} Uniform float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * @param {number} count
+     * @returns {number} Uniform integer in [0, count)
+     */
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    /**
+     * @template T
+     * @param {T[]} items
+     * @returns {T}
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+}
+
+class RandomService {
+    constructor() {
+        /** @type {Map<string, SeededRandom>} */
+        this.streams = new Map(RANDOM_STREAMS.map(name => [name, new SeededRandom()]));
+        this.setSeed(createSeed());
+    }
+
+    /**
+     * Restart every stream from a run seed
+     * @param {number} seed - 32-bit unsigned integer
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.streams.forEach((stream, name) => stream.setSeed(hashString(name, this.seed)));
+    }
+
+    /**
+     * @returns {number} The run seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * The stream object stays the same across setSeed(), so it can be kept
+     * @param {string} name - One of RANDOM_STREAMS
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        const stream = this.streams.get(name);
+        if (!stream) throw new Error(`Unknown random stream "${name}"`);
+        return stream;
+    }
+}
+
+// Export singleton instance
+export const rng = new RandomService();
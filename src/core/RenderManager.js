@@ -1,3 +1,5 @@
+import { gameClock } from './GameClock.js';
+
 /**
  * RenderManager
  * Manages render loop, pre-rendering, and scene reveal logic
@@ -24,6 +26,11 @@ export class RenderManager {
             camera: [],
             ui: []
         };
+        
+        // Optional begin / end of every frame (replay recording and playback)
+        this.frameHooks = null;
+        // Optional camera effects that only last for the draw (screen shake)
+        this.viewEffects = null;
     }
     
     setSceneLoader(sceneLoader) {
@@ -34,6 +41,23 @@ export class RenderManager {
         this.updateCallbacks = { ...this.updateCallbacks, ...callbacks };
     }
     
+    /**
+     * @param {{ begin: (realDelta: number, elapsedTime: number) => { realDelta: number, elapsedTime: number }, end: () => void }|null} hooks
+     *        begin runs before the game clock ticks and can replace the frame's timing; end runs before rendering
+     */
+    setFrameHooks(hooks) {
+        this.frameHooks = hooks;
+    }
+    
+    /**
+     * @param {{ apply: () => void, restore: () => void }|null} effects
+     *        apply runs right before the frame is drawn, restore right after, so
+     *        nothing aimed through the camera between frames sees the effects
+     */
+    setViewEffects(effects) {
+        this.viewEffects = effects;
+    }
+    
     prepareSceneForDisplay() {
         // Make scene visible for pre-rendering (still hidden behind loading overlay)
         if (this.sceneLoader && this.sceneLoader.currentSceneModel) {
@@ -103,13 +127,19 @@ export class RenderManager {
     animate() {
         requestAnimationFrame(() => this.animate());
         
-        const deltaTime = this.clock.getDelta();
-        const elapsedTime = this.clock.getElapsedTime();
+        let realDelta = this.clock.getDelta();
+        let elapsedTime = this.clock.getElapsedTime();
+        if (this.frameHooks) {
+            ({ realDelta, elapsedTime } = this.frameHooks.begin(realDelta, elapsedTime));
+        }
+        
+        // Game time: scaled by slow motion, stopped while paused, runs scheduled callbacks
+        const deltaTime = gameClock.tick(realDelta);
         
         // CRITICAL: Update TWEEN FIRST - this handles rail movement camera updates
         // This must run before camera breathing/shake to prevent overriding rail movement
         if (this.updateCallbacks.tween) {
-            this.updateCallbacks.tween();
+            this.updateCallbacks.tween(deltaTime);
         }
         
         // Update free camera controls
@@ -126,7 +156,8 @@ export class RenderManager {
         // NOTE: These check railMovementManager.isMoving() to prevent overriding rail movement
         // IMPORTANT: The last callback in the camera array is forceCameraUpdate which ALWAYS wins
         if (this.updateCallbacks.camera.length > 0) {
-            this.updateCallbacks.camera.forEach(callback => callback(elapsedTime, deltaTime));
+            // Camera feel (breathing, recoil, weapon sway) stays on real time
+            this.updateCallbacks.camera.forEach(callback => callback(elapsedTime, realDelta));
         }
         
         // Update UI
@@ -134,7 +165,13 @@ export class RenderManager {
             this.updateCallbacks.ui.forEach(callback => callback());
         }
         
+        if (this.frameHooks) {
+            this.frameHooks.end();
+        }
+        
+        if (this.viewEffects) this.viewEffects.apply();
         this.renderer.render(this.scene, this.camera);
+        if (this.viewEffects) this.viewEffects.restore();
     }
     
     isReady() {
@@ -1,6 +1,14 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
+// Shadow settings (see Settings shadowQuality); null turns shadows off
+const SHADOW_QUALITY = {
+    off: null,
+    low: { type: THREE.BasicShadowMap, mapSize: 512 },
+    medium: { type: THREE.PCFShadowMap, mapSize: 1024 },
+    high: { type: THREE.PCFSoftShadowMap, mapSize: 2048 }
+};
+
 /**
  * Three.js Renderer Setup
  * Manages scene, renderer, camera, lighting, and controls
@@ -14,7 +22,8 @@ export class Renderer {
         // Renderer setup
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.resolutionScale = 1;
+        this.renderer.setPixelRatio(this.getPixelRatio());
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -60,6 +69,7 @@ export class Renderer {
         this.scene.add(ambientLight);
         
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
+        this.shadowLight = directionalLight;
         directionalLight.position.set(-10, 15, -5);
         directionalLight.castShadow = true;
         directionalLight.shadow.mapSize.width = 2048;
@@ -90,6 +100,64 @@ export class Renderer {
         });
     }
     
+    /**
+     * Apply graphics settings live
+     * @param {{ fov: number, shadowQuality: string, resolutionScale: number }} values - From Settings
+     */
+    applySettings({ fov, shadowQuality, resolutionScale }) {
+        // Recoil's FOV kick is relative to BASE_FOV
+        this.BASE_FOV = fov;
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
+        
+        if (resolutionScale !== this.resolutionScale) {
+            this.resolutionScale = resolutionScale;
+            this.renderer.setPixelRatio(this.getPixelRatio());
+        }
+        
+        this.setShadowQuality(shadowQuality);
+    }
+    
+    /**
+     * @returns {number} Device pixel ratio (capped at 2) times the resolution scale
+     */
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio, 2) * this.resolutionScale;
+    }
+    
+    /**
+     * @param {string} quality - Key of SHADOW_QUALITY
+     */
+    setShadowQuality(quality) {
+        const config = SHADOW_QUALITY[quality];
+        const shadowMap = this.renderer.shadowMap;
+        const enabled = config !== null;
+        const type = enabled ? config.type : shadowMap.type;
+        if (shadowMap.enabled === enabled && shadowMap.type === type &&
+            (!enabled || this.shadowLight.shadow.mapSize.width === config.mapSize)) {
+            return;
+        }
+        
+        shadowMap.enabled = enabled;
+        shadowMap.type = type;
+        if (enabled) {
+            this.shadowLight.shadow.mapSize.set(config.mapSize, config.mapSize);
+            // Rebuilt at the new size on the next render
+            if (this.shadowLight.shadow.map) {
+                this.shadowLight.shadow.map.dispose();
+                this.shadowLight.shadow.map = null;
+            }
+        }
+        
+        // Shadow settings are compiled into the shaders
+        this.scene.traverse(object => {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                if (material) material.needsUpdate = true;
+            });
+        });
+    }
+    
     toggleFreeCamera() {
         this.isFreeCamera = !this.isFreeCamera;
         this.controls.enabled = this.isFreeCamera;
@@ -101,15 +169,28 @@ export class Renderer {
     }
     
     setGround(groundMesh) {
+        if (this.ground === groundMesh) return;
+        
         if (this.ground) {
-            this.scene.remove(this.ground);
-            if (this.ground.geometry) this.ground.geometry.dispose();
-            if (this.ground.material) this.ground.material.dispose();
+            if (this.ground.parent === this.scene) {
+                // Fallback plane owned by the renderer
+                this.scene.remove(this.ground);
+                if (this.ground.geometry) this.ground.geometry.dispose();
+                if (this.ground.material) this.ground.material.dispose();
+            } else if (this.ground.userData.originalName !== undefined) {
+                // Floor mesh inside an environment model - just give its name back
+                this.ground.name = this.ground.userData.originalName;
+            }
         }
         this.ground = groundMesh;
         if (groundMesh) {
+            if (groundMesh.parent && groundMesh.userData.originalName === undefined) {
+                groundMesh.userData.originalName = groundMesh.name;
+            }
             groundMesh.name = 'ground';
-            this.scene.add(groundMesh);
+            if (!groundMesh.parent) {
+                this.scene.add(groundMesh);
+            }
         }
     }
     
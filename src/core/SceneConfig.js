@@ -2,65 +2,50 @@ import * as THREE from 'three';
 
 /**
  * Scene Configuration
- * Defines camera positions, look-at points, and spawn points for each scene
+ * Builds runtime camera scenes (stop points) from level data.
+ * Each camera scene holds its camera position, look-at point, waves,
+ * optional boss, power-up spots, music track and the transition to play once
+ * it is cleared.
  */
 
-export const CAMERA_SCENES = [
-    {
-        name: "1",
-        position: { x: 16.44, y: 1, z: -1.37 },
-        lookAt: { x: 8.71, y: 1, z: 3.17 },
-        spawnPoints: [
-            { x: 6.75, y: 0.00, z: 10.49, type: 'walker' },
-            { x: 6.75, y: 0.00, z: 11.49, type: 'walker' },
-            { x: 6.75, y: 0.00, z: 12.49, type: 'walker' }
-        ]
-    },
-    {
-        name: "2",
-        position: { x: 11.96, y: 1, z: -2.74 },
-        lookAt: { x: 11.85, y: 1, z: -7.08 },
-        spawnPoints: [
-            { x: 11.85, y: 0, z: -7.08, type: 'walker' }
-        ]
-    },
-    {
-        name: "3",
-        position: { x: 2.54, y: 1, z: 3.49 },
-        lookAt: { x: 0.64, y: 1, z: 6.74 },
-        spawnPoints: [
-            { x: 3.00, y: 0, z: 6.61, type: 'walker' },
-            { x: 0.72, y: 0, z: 6.82, type: 'walker' },
-            { x: -0.95, y: 0, z: 6.91, type: 'walker' },
-            { x: -2.39, y: 0, z: 6.46, type: 'walker' }
-        ]
-    },
-    {
-        name: "Warehouse Interior",
-        position: { x: 0, y: 1.6, z: 0 },
-        lookAt: { x: 0, y: 1.5, z: -10 },
-        spawnPoints: [
-            { x: -2, y: 0, z: -8, type: 'runner' },
-            { x: 2, y: 0, z: -12, type: 'walker' },
-            { x: 0, y: 0, z: -15, type: 'tank' },
-            { x: -3, y: 0, z: -10, type: 'crawler' },
-            { x: 3, y: 0, z: -8, type: 'runner' },
-            { x: -1, y: 0, z: -14, type: 'walker' },
-            { x: 1, y: 0, z: -16, type: 'tank' }
-        ]
-    }
-];
+const toVector3 = (point) => new THREE.Vector3(point.x, point.y, point.z);
 
-// Fixed positions per scene for spawning power-ups
-export const POWERUP_SPAWN_POSITIONS = [
-    // Scene 0 - Warehouse Exterior
-    [
-        new THREE.Vector3(-2, 1, -6),
-        new THREE.Vector3(2, 1, -8)
-    ],
-    // Scene 1 - Warehouse Interior
-    [
-        new THREE.Vector3(-12, 1, -6),
-        new THREE.Vector3(-14, 1, -9)
-    ]
-];
+/**
+ * Build camera scenes from a validated level
+ * @param {Object} level
+ * @returns {Array<Object>}
+ */
+export function buildCameraScenes(level) {
+    return level.stages.map((stage, index) => {
+        const waves = stage.waves.map(wave => ({
+            ...wave,
+            spawns: (wave.spawns || []).map(spawn => ({ ...spawn })),
+            groups: (wave.groups || []).map(group => ({
+                ...group,
+                points: group.points.map(point => ({ ...point })),
+                mix: group.mix.map(entry => ({ ...entry }))
+            }))
+        }));
+
+        return {
+            id: stage.id,
+            index,
+            name: stage.name,
+            environment: stage.environment,
+            position: toVector3(stage.camera.position),
+            lookAt: toVector3(stage.camera.lookAt),
+            waves,
+            // Fought once the waves are cleared
+            boss: stage.boss ? { type: stage.boss.type, position: toVector3(stage.boss.position) } : null,
+            powerUps: {
+                positions: (stage.powerUps?.positions || []).map(toVector3),
+                maxSpawns: stage.powerUps?.maxSpawns ?? 2,
+                types: stage.powerUps?.types || ['health', 'ammo', 'double_damage', 'slow_mo']
+            },
+            // Music track (MusicManager); the level's track unless the stage has its own
+            music: stage.music || level.music || null,
+            // The schema only lets the last stage leave its transition out
+            transition: stage.transition || { type: 'complete' }
+        };
+    });
+}
@@ -3,7 +3,8 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
 /**
  * SceneLoader
- * Handles loading GLB scene models and managing scene transitions
+ * Handles loading the environment GLBs listed in a level file
+ * and switching which one is visible
  */
 export class SceneLoader {
     constructor() {
@@ -11,8 +12,12 @@ export class SceneLoader {
         this.loadingManager = new THREE.LoadingManager();
         this.loader = new GLTFLoader(this.loadingManager);
         this.currentSceneModel = null;
-        this.warehouseModel = null;
-        this.isWarehouseLoaded = false;
+        
+        // Environment models keyed by level environment id
+        this.environments = new Map();
+        // Load promises (in progress or done) keyed by environment id
+        this.loads = new Map();
+        this.activeEnvironmentId = null;
         this.texturesLoaded = false;
         
         // Track texture loading
@@ -44,116 +49,105 @@ export class SceneLoader {
     }
 
     /**
-     * Load factory scene (outdoor environment)
+     * Load an environment GLB declared in the level file. Each environment is
+     * loaded once: later calls (e.g. a transition reached while the preload is
+     * still running) share the same load.
      * @param {THREE.Scene} scene
-     * @param {Function} onComplete
+     * @param {{id: string, model: string, name?: string}} environment
+     * @param {Function} [onComplete] - Called with the model, or null on failure
+     * @returns {Promise<THREE.Object3D|null>}
      */
-    async loadFactoryScene(scene, onComplete) {
-        try {
-            const gltf = await this.loader.loadAsync('/models/scenes/factory_scene/source/scene.glb');
-            
-            // Remove old scene model if exists
-            if (this.currentSceneModel) {
-                scene.remove(this.currentSceneModel);
-                this.disposeModel(this.currentSceneModel);
-            }
-            
-            this.currentSceneModel = gltf.scene;
-            this.currentSceneModel.name = 'factory_scene';
-
-            // Start hidden - will be made visible after pre-render
-            this.currentSceneModel.visible = false;
-            
-            // Enable shadows on all meshes
-            this.currentSceneModel.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-            
-            scene.add(this.currentSceneModel);
-            
-            console.log('✅ Factory scene loaded');
-            if (onComplete) onComplete(this.currentSceneModel);
-        } catch (error) {
-            console.error('❌ Failed to load factory scene:', error);
-            // Fallback to placeholder ground
-            this.createFallbackGround(scene);
-            if (onComplete) onComplete(null);
+    loadEnvironment(scene, environment, onComplete) {
+        let load = this.loads.get(environment.id);
+        if (!load) {
+            load = this.loadModel(scene, environment);
+            this.loads.set(environment.id, load);
         }
+        if (onComplete) load.then(onComplete);
+        return load;
     }
 
     /**
-     * Load warehouse interior (second chapter)
      * @param {THREE.Scene} scene
-     * @param {Function} onComplete
+     * @param {{id: string, model: string, name?: string}} environment
+     * @returns {Promise<THREE.Object3D|null>}
      */
-    async loadWarehouseInterior(scene, onComplete) {
-        if (this.isWarehouseLoaded) {
-            console.log('⚠️ Warehouse already loaded');
-            if (onComplete) onComplete(this.warehouseModel);
-            return;
-        }
-
+    async loadModel(scene, environment) {
         try {
-            const gltf = await this.loader.loadAsync('/models/scenes/warehouse_interior/source/scene.glb');
+            const gltf = await this.loader.loadAsync(environment.model);
+            const model = gltf.scene;
+            model.name = environment.id;
             
-            this.warehouseModel = gltf.scene;
-            this.warehouseModel.name = 'warehouse_interior';
+            // Start hidden - shown by showEnvironment() (or after pre-render)
+            model.visible = false;
             
-            // Enable shadows
-            this.warehouseModel.traverse((child) => {
+            // Enable shadows on all meshes
+            model.traverse((child) => {
                 if (child.isMesh) {
                     child.castShadow = true;
                     child.receiveShadow = true;
                 }
             });
             
-            // Initially hide warehouse (will be shown when door opens)
-            this.warehouseModel.visible = false;
-            scene.add(this.warehouseModel);
-            this.isWarehouseLoaded = true;
+            scene.add(model);
+            this.environments.set(environment.id, model);
             
-            console.log('✅ Warehouse interior loaded');
-            if (onComplete) onComplete(this.warehouseModel);
+            console.log(`✅ Environment loaded: ${environment.name || environment.id}`);
+            return model;
         } catch (error) {
-            console.error('❌ Failed to load warehouse interior:', error);
-            if (onComplete) onComplete(null);
+            console.error(`❌ Failed to load environment ${environment.id}:`, error);
+            // Let a later call try again
+            this.loads.delete(environment.id);
+            return null;
         }
     }
 
     /**
-     * Show warehouse interior (called when door opens)
+     * Make one environment the active (visible) one and hide the rest
+     * @param {string} environmentId
+     * @returns {THREE.Object3D|null} The active environment model
      */
-    showWarehouse() {
-        if (this.warehouseModel) {
-            this.warehouseModel.visible = true;
-            console.log('🚪 Warehouse interior revealed');
+    showEnvironment(environmentId) {
+        this.environments.forEach((model, id) => {
+            model.visible = id === environmentId;
+        });
+        this.activeEnvironmentId = environmentId;
+        this.currentSceneModel = this.environments.get(environmentId) || null;
+        
+        if (this.currentSceneModel) {
+            console.log(`🏭 Environment shown: ${environmentId}`);
         }
+        return this.currentSceneModel;
     }
 
     /**
-     * Show factory scene (exterior)
+     * Get a loaded environment model
+     * @param {string} environmentId
+     * @returns {THREE.Object3D|null}
      */
-    showFactory() {
-        if (this.currentSceneModel) {
-            this.currentSceneModel.visible = true;
-        }
-        if (this.warehouseModel) {
-            this.warehouseModel.visible = false;
-        }
-        console.log('🏭 Factory scene (exterior) shown');
+    getEnvironment(environmentId) {
+        return this.environments.get(environmentId) || null;
     }
 
     /**
-     * Hide factory scene and show warehouse
+     * Find the ground/floor mesh inside an environment model
+     * @param {THREE.Object3D} model
+     * @returns {THREE.Mesh|null}
      */
-    transitionToWarehouse() {
-        if (this.currentSceneModel) {
-            this.currentSceneModel.visible = false;
-        }
-        this.showWarehouse();
+    findGroundMesh(model) {
+        if (!model) return null;
+        
+        let ground = null;
+        model.traverse((child) => {
+            if (ground || !child.isMesh) return;
+            const name = child.name.toLowerCase();
+            const matName = child.material?.name?.toLowerCase() || '';
+            if (name.includes('ground') || name.includes('floor') || 
+                matName.includes('ground') || matName.includes('floor')) {
+                ground = child;
+            }
+        });
+        return ground;
     }
 
     /**
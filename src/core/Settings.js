@@ -0,0 +1,162 @@
+/**
+ * Settings
+ * Player options, kept in localStorage and applied live.
+ *
+ * SETTING_OPTIONS describes every option (the settings menu is built from
+ * it). Systems apply a value through onChange(); listeners are also called
+ * once when they register, so the stored values take effect at startup.
+ */
+
+const STORAGE_KEY = 'zombieRailShooterSettings';
+
+export const SETTING_OPTIONS = {
+    masterVolume: { label: 'MASTER VOLUME', type: 'range', min: 0, max: 1, step: 0.05, default: 1, percent: true },
+    sfxVolume: { label: 'SFX VOLUME', type: 'range', min: 0, max: 1, step: 0.05, default: 0.7, percent: true },
+    musicVolume: { label: 'MUSIC VOLUME', type: 'range', min: 0, max: 1, step: 0.05, default: 0.5, percent: true },
+    muted: { label: 'SOUND', type: 'toggle', default: false, labels: { false: 'ON', true: 'OFF' } },
+    fov: { label: 'FIELD OF VIEW', type: 'range', min: 60, max: 100, step: 1, default: 75 },
+    mouseSensitivity: { label: 'AIM SENSITIVITY', type: 'range', min: 0.5, max: 2, step: 0.05, default: 1 },
+    shadowQuality: {
+        label: 'SHADOWS',
+        type: 'choice',
+        default: 'high',
+        choices: { off: 'OFF', low: 'LOW', medium: 'MEDIUM', high: 'HIGH' }
+    },
+    resolutionScale: { label: 'RESOLUTION', type: 'range', min: 0.5, max: 1, step: 0.05, default: 1, percent: true },
+    screenShake: { label: 'SCREEN SHAKE', type: 'range', min: 0, max: 1, step: 0.05, default: 1, percent: true },
+    crosshairStyle: {
+        label: 'CROSSHAIR',
+        type: 'choice',
+        default: 'cross',
+        choices: { cross: 'CROSS', dot: 'DOT', circle: 'CIRCLE' }
+    },
+    palette: {
+        label: 'COLOURS',
+        type: 'choice',
+        default: 'default',
+        choices: { default: 'DEFAULT', redGreen: 'RED-GREEN SAFE', blueYellow: 'BLUE-YELLOW SAFE' }
+    }
+};
+
+/**
+ * Bring a stored or user-supplied value back into the option's range
+ * @param {Object} option - Entry of SETTING_OPTIONS
+ * @param {*} value
+ * @returns {*} A valid value (the default if it can't be used)
+ */
+function sanitize(option, value) {
+    switch (option.type) {
+        case 'range':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return option.default;
+            return Math.min(option.max, Math.max(option.min, value));
+        case 'toggle':
+            return typeof value === 'boolean' ? value : option.default;
+        case 'choice':
+            return Object.keys(option.choices).includes(value) ? value : option.default;
+        default:
+            return option.default;
+    }
+}
+
+class Settings {
+    constructor() {
+        this.values = {};
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+        } catch (err) {
+            console.warn('⚠️ Stored settings are unreadable, using defaults:', err);
+        }
+
+        Object.entries(SETTING_OPTIONS).forEach(([key, option]) => {
+            this.values[key] = sanitize(option, stored[key]);
+        });
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (err) {
+            console.warn('⚠️ Could not save settings:', err);
+        }
+    }
+
+    /**
+     * @param {string} key - Key of SETTING_OPTIONS
+     * @returns {*}
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * @returns {Object} Copy of every value
+     */
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Change, store and apply one option
+     * @param {string} key - Key of SETTING_OPTIONS
+     * @param {*} value
+     */
+    set(key, value) {
+        const option = SETTING_OPTIONS[key];
+        if (!option) {
+            console.warn(`⚠️ Unknown setting: ${key}`);
+            return;
+        }
+        const sanitized = sanitize(option, value);
+        if (this.values[key] === sanitized) return;
+
+        this.values[key] = sanitized;
+        this.save();
+        console.log(`⚙️ ${key} = ${sanitized}`);
+        this.listeners.forEach(listener => listener(this.getAll(), key));
+    }
+
+    /**
+     * Next choice of a 'choice' option, or the other state of a 'toggle'
+     * @param {string} key
+     */
+    cycle(key) {
+        const option = SETTING_OPTIONS[key];
+        if (option.type === 'toggle') {
+            this.set(key, !this.values[key]);
+        } else if (option.type === 'choice') {
+            const choices = Object.keys(option.choices);
+            this.set(key, choices[(choices.indexOf(this.values[key]) + 1) % choices.length]);
+        }
+    }
+
+    /**
+     * Put every option back to its default
+     */
+    resetAll() {
+        Object.entries(SETTING_OPTIONS).forEach(([key, option]) => {
+            this.values[key] = option.default;
+        });
+        this.save();
+        console.log('⚙️ Settings reset to defaults');
+        this.listeners.forEach(listener => listener(this.getAll(), null));
+    }
+
+    /**
+     * Apply settings now and on every change
+     * @param {(values: Object, changedKey: string|null) => void} listener -
+     *        changedKey is null for the initial call and after resetAll()
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        listener(this.getAll(), null);
+    }
+}
+
+// Export singleton instance
+export const settings = new Settings();
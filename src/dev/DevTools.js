@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+import { inputManager, formatBinding } from '../systems/InputManager.js';
+import { platform } from '../core/Platform.js';
+
+/**
+ * DevTools
+ * Development tools attached to the running game as plugins (free camera,
+ * rail editor, teleport, helpers; see src/dev/plugins/). They stay off for
+ * players: `?dev=1` turns them on at load and the DEV TOOLS action (` by
+ * default) toggles them. A panel lists each plugin's controls while on.
+ *
+ * A plugin is an object with a `name` and any of:
+ * - attach(game): called once with the game context (see attach())
+ * - enable() / disable(): the tools were turned on / off
+ * - update(deltaTime): every frame while on (real time, paused or not)
+ * - actions: { [inputAction]: handler | { press, release } } - INPUT_ACTIONS
+ *   handled while on (a release always goes through, so nothing stays held)
+ * - takesControls(): true while only dev and menu actions should fire
+ * - help: { action?: string, keys?: string, text: string }[] - panel lines;
+ *   `action` shows that input action's current binding
+ */
+
+/**
+ * What plugins get to work with
+ * @typedef {Object} DevToolsGame
+ * @property {THREE.Scene} scene
+ * @property {THREE.PerspectiveCamera} camera
+ * @property {import('../core/Renderer.js').Renderer} renderer - Orbit controls, free camera flag, axes helper
+ * @property {import('../core/RenderManager.js').RenderManager} renderManager
+ * @property {() => Object|null} getCameraScene - Camera scene the game is at
+ * @property {() => void} resetCamera - Put the camera back on the current camera scene
+ */
+
+// Panel colour (matches the HUD's cyan)
+const PANEL_COLOR = '#00ffff';
+const PANEL_KEY_WIDTH = 14;
+// Pointer travel (px) past which a press is a drag (orbit / pan), not a click
+const DRAG_THRESHOLD = 5;
+
+// Where the last pointer press started (tracked once attached)
+let pointerDown = null;
+
+/**
+ * @returns {boolean} True if `?dev=` asks for the tools at load
+ */
+export function getDevParam() {
+    const param = platform.dom.getUrlParam('dev');
+    return param !== null && param !== '0' && param !== 'false';
+}
+
+/**
+ * First visible scene mesh under a screen point
+ * @param {DevToolsGame} game
+ * @param {number} clientX
+ * @param {number} clientY
+ * @param {(object: THREE.Object3D) => boolean} [filter] - Meshes to consider
+ * @returns {THREE.Intersection|null}
+ */
+export function pickScenePoint(game, clientX, clientY, filter = () => true) {
+    const mouse = new THREE.Vector2(
+        (clientX / window.innerWidth) * 2 - 1,
+        -(clientY / window.innerHeight) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(mouse, game.camera);
+
+    const meshes = [];
+    game.scene.traverseVisible(object => {
+        if (object.isMesh && filter(object)) meshes.push(object);
+    });
+    return raycaster.intersectObjects(meshes, false)[0] || null;
+}
+
+/**
+ * @param {MouseEvent} event - A click / contextmenu event
+ * @returns {boolean} True if the pointer moved since the press (camera drag)
+ */
+export function wasDragged(event) {
+    if (!pointerDown) return false;
+    return Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) > DRAG_THRESHOLD;
+}
+
+/**
+ * @param {THREE.Vector3} point
+ * @returns {string} Point as level JSON ({ "x": .., "y": .., "z": .. })
+ */
+export function formatPoint(point) {
+    return `{ "x": ${point.x.toFixed(2)}, "y": ${point.y.toFixed(2)}, "z": ${point.z.toFixed(2)} }`;
+}
+
+class DevTools {
+    constructor() {
+        this.plugins = [];
+        this.game = null;
+        this.enabled = false;
+        this.panel = null;
+    }
+
+    /**
+     * Add a plugin (attached right away if the game already is)
+     * @param {Object} plugin
+     * @returns {DevTools}
+     */
+    register(plugin) {
+        if (this.plugins.some(p => p.name === plugin.name)) {
+            throw new Error(`Dev tools plugin "${plugin.name}" is already registered`);
+        }
+        this.plugins.push(plugin);
+        if (this.game) this.attachPlugin(plugin);
+        return this;
+    }
+
+    /**
+     * Attach every plugin to the running game; turns the tools on if `?dev=` asks
+     * @param {DevToolsGame} game
+     */
+    attach(game) {
+        this.game = game;
+        window.addEventListener('pointerdown', (event) => {
+            pointerDown = { x: event.clientX, y: event.clientY };
+        }, true);
+        this.plugins.forEach(plugin => this.attachPlugin(plugin));
+        inputManager.onAction('devTools', () => this.toggle());
+        inputManager.setDevInputCallback(() => this.enabled &&
+            this.plugins.some(plugin => plugin.takesControls && plugin.takesControls()));
+        console.log(`🛠️ Dev tools ready (${this.plugins.map(p => p.name).join(', ')})`);
+        if (getDevParam()) this.setEnabled(true);
+    }
+
+    attachPlugin(plugin) {
+        if (plugin.attach) plugin.attach(this.game);
+        Object.entries(plugin.actions || {}).forEach(([action, handler]) => {
+            const { press, release = null } = typeof handler === 'function' ? { press: handler } : handler;
+            inputManager.onAction(action, () => {
+                if (this.enabled) press();
+            }, release);
+        });
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        this.plugins.forEach(plugin => {
+            const hook = enabled ? plugin.enable : plugin.disable;
+            if (hook) hook.call(plugin);
+        });
+        this.showPanel(enabled);
+        console.log(`🛠️ Dev tools ${enabled ? 'on' : 'off'}`);
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    getPlugin(name) {
+        return this.plugins.find(p => p.name === name) || null;
+    }
+
+    /**
+     * @param {number} deltaTime - Real seconds since the last frame
+     */
+    update(deltaTime) {
+        if (!this.enabled) return;
+        this.plugins.forEach(plugin => {
+            if (plugin.update) plugin.update(deltaTime);
+        });
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    showPanel(visible) {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'dev-tools-panel';
+            this.panel.style.cssText = `
+                position: fixed;
+                top: 10px;
+                right: 10px;
+                padding: 8px 12px;
+                font-family: 'Courier New', monospace;
+                font-size: 12px;
+                line-height: 1.5;
+                color: ${PANEL_COLOR};
+                background: rgba(0, 0, 0, 0.6);
+                border: 1px solid ${PANEL_COLOR};
+                z-index: 300;
+                pointer-events: none;
+                white-space: pre;
+            `;
+            document.body.appendChild(this.panel);
+        }
+        const help = [{ action: 'devTools', text: 'close dev tools' }, ...this.plugins.flatMap(plugin => plugin.help || [])];
+        this.panel.textContent = help.map(line => this.formatHelpLine(line)).join('\n');
+        this.panel.style.display = visible ? 'block' : 'none';
+    }
+
+    /**
+     * @param {{ action?: string, keys?: string, text: string }} line
+     * @returns {string}
+     */
+    formatHelpLine({ action, keys, text }) {
+        const key = action ? formatBinding(inputManager.getBindings(action)[0]) : keys;
+        return `${key.padEnd(PANEL_KEY_WIDTH)}${text.toUpperCase()}`;
+    }
+}
+
+// Export singleton instance
+export const devTools = new DevTools();
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+// Fly speed (units per second)
+const FLY_SPEED = 5.0;
+// Orbit target distance in front of the camera when the free camera starts
+const ORBIT_TARGET_DISTANCE = 5;
+// Fly input actions (dev, WASD by default) and their camera-relative directions
+const FLY_ACTIONS = {
+    flyForward: new THREE.Vector3(0, 0, -1),
+    flyBack: new THREE.Vector3(0, 0, 1),
+    flyLeft: new THREE.Vector3(-1, 0, 0),
+    flyRight: new THREE.Vector3(1, 0, 0)
+};
+
+/**
+ * FreeCameraPlugin
+ * Dev tools free camera: orbit controls (drag, wheel, right-drag pan) and
+ * flying on the horizontal plane (the FLY actions, WASD by default). Game
+ * actions are off while it is active, so the fly keys don't also play.
+ * Turning it (or the dev tools) off puts the camera back on the current
+ * camera scene.
+ */
+export class FreeCameraPlugin {
+    constructor() {
+        this.name = 'freeCamera';
+        this.game = null;
+        /** @type {Set<string>} Fly actions held down */
+        this.held = new Set();
+        this.actions = {
+            freeCamera: () => this.setActive(!this.isActive())
+        };
+        Object.keys(FLY_ACTIONS).forEach(action => {
+            this.actions[action] = {
+                press: () => this.held.add(action),
+                release: () => this.held.delete(action)
+            };
+        });
+        this.help = [
+            { action: 'freeCamera', text: 'free camera' },
+            { keys: 'DRAG / WHEEL', text: 'orbit / zoom' },
+            { action: 'flyForward', text: 'fly forward' },
+            { action: 'flyBack', text: 'fly back' },
+            { action: 'flyLeft', text: 'fly left' },
+            { action: 'flyRight', text: 'fly right' }
+        ];
+    }
+
+    /**
+     * @param {import('../DevTools.js').DevToolsGame} game
+     */
+    attach(game) {
+        this.game = game;
+        // Key releases are lost while the window is in the background
+        window.addEventListener('blur', () => this.held.clear());
+    }
+
+    disable() {
+        if (this.isActive()) this.setActive(false);
+        this.held.clear();
+    }
+
+    isActive() {
+        return this.game.renderer.isFreeCamera;
+    }
+
+    takesControls() {
+        return this.isActive();
+    }
+
+    /**
+     * @param {boolean} active
+     */
+    setActive(active) {
+        const { renderer, renderManager, camera } = this.game;
+        if (renderer.isFreeCamera !== active) renderer.toggleFreeCamera();
+        renderManager.updateCallbacks.freeCamera.enabled = active;
+
+        if (active) {
+            // Orbit around what the camera is looking at, not the origin
+            const direction = camera.getWorldDirection(new THREE.Vector3());
+            renderer.controls.target.copy(camera.position).addScaledVector(direction, ORBIT_TARGET_DISTANCE);
+        } else {
+            this.game.resetCamera();
+        }
+        console.log(`🎥 Free camera ${active ? 'on' : 'off'}`);
+    }
+
+    /**
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        if (!this.isActive() || this.held.size === 0) return;
+
+        const { camera, renderer } = this.game;
+        const move = new THREE.Vector3();
+        this.held.forEach(action => move.add(FLY_ACTIONS[action]));
+        if (move.lengthSq() === 0) return;
+
+        // Camera-relative, kept horizontal
+        const yaw = new THREE.Euler(0, new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ').y, 0);
+        move.applyEuler(yaw).setY(0).normalize().multiplyScalar(FLY_SPEED * deltaTime);
+
+        camera.position.add(move);
+        renderer.controls.target.add(move);
+    }
+}
@@ -0,0 +1,54 @@
+import * as THREE from 'three';
+
+const GRID_SIZE = 100;
+const GRID_COLOR = 0x00ffff;
+const GRID_LINE_COLOR = 0x335555;
+
+/**
+ * HelpersPlugin
+ * Dev tools scene helpers: the renderer's axes helper and a 1-unit floor
+ * grid. Shown while the dev tools are on (toggled with the HELPERS action),
+ * never for players.
+ */
+export class HelpersPlugin {
+    constructor() {
+        this.name = 'helpers';
+        this.game = null;
+        this.enabled = false;
+        this.visible = true;
+        this.grid = new THREE.GridHelper(GRID_SIZE, GRID_SIZE, GRID_COLOR, GRID_LINE_COLOR);
+        this.grid.position.y = 0.01;
+        this.actions = {
+            helpers: () => {
+                this.visible = !this.visible;
+                this.apply();
+            }
+        };
+        this.help = [{ action: 'helpers', text: 'axes / grid' }];
+    }
+
+    /**
+     * @param {import('../DevTools.js').DevToolsGame} game
+     */
+    attach(game) {
+        this.game = game;
+        game.scene.add(this.grid);
+        this.apply();
+    }
+
+    enable() {
+        this.enabled = true;
+        this.apply();
+    }
+
+    disable() {
+        this.enabled = false;
+        this.apply();
+    }
+
+    apply() {
+        const visible = this.enabled && this.visible;
+        this.game.renderer.axesHelper.visible = visible;
+        this.grid.visible = visible;
+    }
+}
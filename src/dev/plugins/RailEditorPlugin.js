@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+import { pickScenePoint, formatPoint, wasDragged } from '../DevTools.js';
+
+// Camera height above the clicked floor (the bundled level's rails run at 1.0)
+const WAYPOINT_HEIGHT = 1.0;
+// Travel time written for an exported segment (ms)
+const EXPORT_DURATION = 5000;
+const MARKER_COLOR = 0x00ff00;
+const LINE_COLOR = 0x00ffff;
+
+/**
+ * RailEditorPlugin
+ * Dev tools rail editor (free camera only): click the floor to place
+ * waypoints, shown as green markers joined by a cyan line, and export them
+ * as a rail segment for the level file's `rails`.
+ */
+export class RailEditorPlugin {
+    constructor() {
+        this.name = 'railEditor';
+        this.game = null;
+        this.enabled = false;
+        /** @type {THREE.Vector3[]} */
+        this.points = [];
+        this.group = new THREE.Group();
+        this.group.name = 'DevRailEditor';
+        this.line = null;
+        this.help = [
+            { keys: 'CLICK', text: 'place rail point' },
+            { keys: 'Z / X', text: 'undo / clear points' },
+            { keys: 'E', text: 'export rail segment' }
+        ];
+    }
+
+    /**
+     * @param {import('../DevTools.js').DevToolsGame} game
+     */
+    attach(game) {
+        this.game = game;
+        this.group.visible = false;
+        game.scene.add(this.group);
+
+        window.addEventListener('click', (event) => {
+            if (!this.isEditing() || event.button !== 0 || event.shiftKey || wasDragged(event)) return;
+            this.placePoint(event.clientX, event.clientY);
+        });
+        window.addEventListener('keydown', (event) => {
+            if (!this.isEditing() || event.repeat) return;
+            if (event.code === 'KeyZ') this.removeLastPoint();
+            else if (event.code === 'KeyX') this.clearPoints();
+            else if (event.code === 'KeyE') this.exportSegment();
+        });
+    }
+
+    enable() {
+        this.enabled = true;
+        this.group.visible = true;
+    }
+
+    disable() {
+        this.enabled = false;
+        this.group.visible = false;
+    }
+
+    isEditing() {
+        return this.enabled && this.game.renderer.isFreeCamera;
+    }
+
+    /**
+     * @param {number} clientX
+     * @param {number} clientY
+     */
+    placePoint(clientX, clientY) {
+        const hit = pickScenePoint(this.game, clientX, clientY, object => !object.userData.isDevTool);
+        if (!hit) {
+            console.log('⚠️ Nothing under the cursor to place a rail point on');
+            return;
+        }
+
+        const point = hit.point.clone();
+        point.y += WAYPOINT_HEIGHT;
+        this.points.push(point);
+
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.2, 16, 16),
+            new THREE.MeshBasicMaterial({ color: MARKER_COLOR, transparent: true, opacity: 0.8 })
+        );
+        marker.position.copy(point);
+        marker.userData.isDevTool = true;
+        this.group.add(marker);
+        this.updateLine();
+
+        console.log(`📍 Rail point #${this.points.length}: ${formatPoint(point)}`);
+    }
+
+    removeLastPoint() {
+        if (this.points.length === 0) return;
+        this.points.pop();
+        this.disposeObject(this.group.children.filter(child => child !== this.line).pop());
+        this.updateLine();
+    }
+
+    clearPoints() {
+        this.points = [];
+        [...this.group.children].forEach(child => this.disposeObject(child));
+        this.line = null;
+        console.log('🗑️ Rail points cleared');
+    }
+
+    updateLine() {
+        if (this.line) this.disposeObject(this.line);
+        this.line = null;
+        if (this.points.length < 2) return;
+
+        this.line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(this.points),
+            new THREE.LineBasicMaterial({ color: LINE_COLOR, transparent: true, opacity: 0.7 })
+        );
+        this.line.userData.isDevTool = true;
+        this.group.add(this.line);
+    }
+
+    /**
+     * Log the points as a level `rails` entry (and copy it, where allowed)
+     */
+    exportSegment() {
+        if (this.points.length === 0) {
+            console.log('⚠️ No rail points to export');
+            return;
+        }
+
+        const last = this.points[this.points.length - 1];
+        const waypoints = this.points.map(point => `        ${formatPoint(point)}`).join(',\n');
+        const segment = [
+            '{',
+            '    "id": "rail_new",',
+            '    "waypoints": [',
+            waypoints,
+            '    ],',
+            `    "duration": ${EXPORT_DURATION},`,
+            `    "lookAt": ${formatPoint(last)},`,
+            '    "enemySpawns": []',
+            '}'
+        ].join('\n');
+
+        console.log('📋 Rail segment for the level file\'s "rails" (set its id and lookAt):');
+        console.log(segment);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(segment).catch(() => {});
+        }
+    }
+
+    /**
+     * @param {THREE.Object3D} [object]
+     */
+    disposeObject(object) {
+        if (!object) return;
+        this.group.remove(object);
+        object.geometry.dispose();
+        object.material.dispose();
+    }
+}
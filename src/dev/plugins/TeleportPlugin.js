@@ -0,0 +1,86 @@
+import { pickScenePoint, formatPoint, wasDragged } from '../DevTools.js';
+
+// Camera height above the point teleported to
+const EYE_HEIGHT = 1.6;
+
+/**
+ * TeleportPlugin
+ * Dev tools teleport (free camera only): right click or shift + click moves
+ * the camera above the clicked point; double click logs the point's
+ * coordinates (for spawn points, stage positions and the like).
+ */
+export class TeleportPlugin {
+    constructor() {
+        this.name = 'teleport';
+        this.game = null;
+        this.enabled = false;
+        this.help = [
+            { keys: 'RIGHT CLICK', text: 'teleport (or shift + click)' },
+            { keys: 'DOUBLE CLICK', text: 'log coordinates' }
+        ];
+    }
+
+    /**
+     * @param {import('../DevTools.js').DevToolsGame} game
+     */
+    attach(game) {
+        this.game = game;
+
+        window.addEventListener('contextmenu', (event) => {
+            if (!this.isActive()) return;
+            event.preventDefault();
+            if (!wasDragged(event)) this.teleport(event.clientX, event.clientY);
+        });
+        window.addEventListener('click', (event) => {
+            if (this.isActive() && event.shiftKey && !wasDragged(event)) {
+                this.teleport(event.clientX, event.clientY);
+            }
+        });
+        window.addEventListener('dblclick', (event) => {
+            if (this.isActive()) this.logCoordinates(event.clientX, event.clientY);
+        });
+    }
+
+    enable() {
+        this.enabled = true;
+    }
+
+    disable() {
+        this.enabled = false;
+    }
+
+    isActive() {
+        return this.enabled && this.game.renderer.isFreeCamera;
+    }
+
+    /**
+     * @param {number} clientX
+     * @param {number} clientY
+     */
+    teleport(clientX, clientY) {
+        const hit = pickScenePoint(this.game, clientX, clientY, object => !object.userData.isDevTool);
+        if (!hit) {
+            console.log('⚠️ Nothing under the cursor to teleport to');
+            return;
+        }
+
+        const { camera, renderer } = this.game;
+        camera.position.set(hit.point.x, hit.point.y + EYE_HEIGHT, hit.point.z);
+        renderer.controls.target.copy(hit.point);
+        renderer.controls.update();
+        console.log(`📍 Teleported to ${formatPoint(hit.point)}`);
+    }
+
+    /**
+     * @param {number} clientX
+     * @param {number} clientY
+     */
+    logCoordinates(clientX, clientY) {
+        const { camera } = this.game;
+        const hit = pickScenePoint(this.game, clientX, clientY);
+        if (hit) {
+            console.log(`📍 Point: ${formatPoint(hit.point)} on ${hit.object.name || 'unnamed'} (${hit.object.type})`);
+        }
+        console.log(`📍 Camera: ${formatPoint(camera.position)}`);
+    }
+}
@@ -0,0 +1,312 @@
+import * as THREE from 'three';
+import Zombie, { ZOMBIE_TYPES } from './Zombie.js';
+
+// ============================================================================
+// BOSS TYPES CONFIG
+// ============================================================================
+// A boss is built on a zombie type (`baseType`: model, placeholder, ability)
+// and overrides its stats. Level stages declare one with
+// `"boss": { "type": "butcher", "position": {...} }`.
+//
+// - phases: entered when health drops to `health` (fraction of max). Each
+//   phase can speed the boss up, change how often weak points open and
+//   spawn minions (group 'boss', killed off when the boss dies).
+// - weakPoints: glowing spots that open and close on a timer. Hits on an
+//   open weak point use the `weakPoint` hit-zone multiplier. `at` places
+//   it as fractions (0..1) of the body's bounding box; +z is the front.
+export const BOSS_TYPES = {
+    butcher: {
+        name: 'The Butcher',
+        baseType: 'tank',
+        health: 1500,
+        speed: 0.35,
+        damage: 30,
+        points: 2500,
+        color: 0x990000,
+        scale: 2.2,
+        // Armoured body: aim for the weak points
+        hitZones: { head: 0.6, torso: 0.3, limbs: 0.2, weakPoint: 3.0 },
+        weakPoints: [
+            { id: 'gut', at: { x: 0.5, y: 0.5, z: 1.0 }, radius: 0.35, openTime: 3, closedTime: 4, color: 0xffff00 },
+            { id: 'shoulder', at: { x: 0.9, y: 0.8, z: 0.8 }, radius: 0.25, openTime: 2, closedTime: 5, color: 0xffff00 }
+        ],
+        phases: [
+            { health: 1.0, speedMultiplier: 1.0, weakPointRate: 1.0, message: 'THE BUTCHER APPROACHES' },
+            {
+                health: 0.66,
+                speedMultiplier: 1.25,
+                weakPointRate: 1.3,
+                message: 'THE BUTCHER CALLS FOR HELP',
+                minions: [{ type: 'runner', count: 3 }]
+            },
+            {
+                health: 0.33,
+                speedMultiplier: 1.5,
+                weakPointRate: 1.6,
+                message: 'THE BUTCHER IS ENRAGED',
+                minions: [{ type: 'spitter', count: 1 }, { type: 'bloater', count: 1 }, { type: 'walker', count: 2 }]
+            }
+        ]
+    }
+};
+
+// Seconds the boss stands and roars when entering a phase
+const ROAR_DURATION = 1.5;
+// Weak points flicker for this long before opening
+const OPEN_WARNING_TIME = 0.6;
+
+/**
+ * Base zombie type merged with the boss overrides (before difficulty scaling)
+ * @param {string} bossType - Key of BOSS_TYPES
+ * @returns {Object}
+ */
+export function getBossBaseConfig(bossType) {
+    const boss = BOSS_TYPES[bossType];
+    return { ...ZOMBIE_TYPES[boss.baseType], ...boss };
+}
+
+// ============================================================================
+// BOSS CLASS
+// ============================================================================
+export default class Boss extends Zombie {
+    /**
+     * @param {THREE.Vector3} position
+     * @param {string} bossType - Key of BOSS_TYPES
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {object} gameData
+     * @param {object} [options] - Zombie options, plus:
+     * @param {(minions: {type: string, count: number}[], boss: Boss) => void} [options.spawnMinions]
+     * @param {(boss: Boss) => void} [options.onDefeated]
+     */
+    constructor(position, bossType, scene, camera, gameData, options = {}) {
+        super(
+            position,
+            BOSS_TYPES[bossType].baseType,
+            scene,
+            camera,
+            gameData,
+            { config: getBossBaseConfig(bossType), ...options, bossType }
+        );
+    }
+
+    /**
+     * Zombie.spawn plus phase and weak point state (called from the Zombie constructor)
+     */
+    spawn(position, options = {}) {
+        super.spawn(position, options);
+
+        this.isBoss = true;
+        this.bossType = options.bossType;
+        this.spawnMinions = options.spawnMinions || null;
+        this.onDefeated = options.onDefeated || null;
+        this.abilityContext = options.abilityContext || null;
+        this.phases = this.config.phases;
+        this.phaseIndex = -1;
+        this.roarTimer = 0;
+
+        this.buildWeakPoints();
+        this.enterPhase(0);
+    }
+
+    // ========================================================================
+    // PHASES
+    // ========================================================================
+
+    /**
+     * @param {number} index
+     */
+    enterPhase(index) {
+        this.phaseIndex = index;
+        const phase = this.phases[index];
+
+        this.baseSpeed = this.config.speed * (phase.speedMultiplier ?? 1);
+        this.weakPointRate = phase.weakPointRate ?? 1;
+
+        // Roar: stand still, weak points shut
+        this.roarTimer = ROAR_DURATION;
+        this.weakPoints.forEach(weakPoint => this.closeWeakPoint(weakPoint));
+
+        console.log(`👹 ${this.config.name} phase ${index + 1}/${this.phases.length}`);
+        if (phase.message && this.abilityContext) {
+            this.abilityContext.warn(phase.message, this.config.color);
+        }
+        if (phase.minions && this.spawnMinions) {
+            this.spawnMinions(phase.minions, this);
+        }
+    }
+
+    /**
+     * Enter every phase whose health threshold has been crossed
+     */
+    checkPhase() {
+        const fraction = this.health / this.maxHealth;
+        while (
+            this.phaseIndex < this.phases.length - 1 &&
+            fraction <= this.phases[this.phaseIndex + 1].health
+        ) {
+            this.enterPhase(this.phaseIndex + 1);
+        }
+    }
+
+    /**
+     * @returns {{ index: number, count: number, thresholds: number[] }} For the HUD
+     */
+    getPhaseInfo() {
+        return {
+            index: this.phaseIndex,
+            count: this.phases.length,
+            thresholds: this.phases.slice(1).map(phase => phase.health)
+        };
+    }
+
+    // ========================================================================
+    // WEAK POINTS
+    // ========================================================================
+
+    buildWeakPoints() {
+        this.removeWeakPoints();
+        this.weakPoints = (this.config.weakPoints || []).map(definition => {
+            const material = new THREE.MeshStandardMaterial({
+                color: definition.color,
+                emissive: definition.color,
+                emissiveIntensity: 0.2
+            });
+            const mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 16, 12), material);
+            const weakPoint = { definition, mesh, isOpen: false, timer: definition.closedTime };
+            mesh.userData.weakPoint = weakPoint;
+            return weakPoint;
+        });
+        this.attachWeakPoints();
+    }
+
+    /**
+     * Place weak points on the current mesh (placeholder or GLB model)
+     */
+    attachWeakPoints() {
+        const bounds = this.localBounds;
+        const size = bounds.getSize(new THREE.Vector3());
+
+        this.weakPoints.forEach(({ definition, mesh }) => {
+            mesh.position.set(
+                bounds.min.x + definition.at.x * size.x,
+                bounds.min.y + definition.at.y * size.y,
+                bounds.min.z + definition.at.z * size.z
+            );
+            // Radius is in world units; the parent is scaled
+            mesh.userData.baseScale = definition.radius / this.modelScale;
+            this.mesh.add(mesh);
+        });
+    }
+
+    removeWeakPoints() {
+        (this.weakPoints || []).forEach(({ mesh }) => {
+            if (mesh.parent) mesh.parent.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.weakPoints = [];
+    }
+
+    closeWeakPoint(weakPoint) {
+        weakPoint.isOpen = false;
+        weakPoint.timer = weakPoint.definition.closedTime / this.weakPointRate;
+    }
+
+    /**
+     * Open / close weak points on their timers and animate them
+     * @param {number} deltaTime
+     */
+    updateWeakPoints(deltaTime) {
+        this.weakPoints.forEach(weakPoint => {
+            const { definition, mesh } = weakPoint;
+
+            // Shut while roaring
+            if (this.roarTimer <= 0) {
+                weakPoint.timer -= deltaTime;
+                if (weakPoint.timer <= 0) {
+                    if (weakPoint.isOpen) {
+                        this.closeWeakPoint(weakPoint);
+                    } else {
+                        weakPoint.isOpen = true;
+                        weakPoint.timer = definition.openTime * this.weakPointRate;
+                    }
+                }
+            }
+
+            const baseScale = mesh.userData.baseScale;
+            if (weakPoint.isOpen) {
+                mesh.scale.setScalar(baseScale);
+                mesh.material.emissiveIntensity = 1.2 + Math.sin(this.animator.time * 10) * 0.6;
+            } else {
+                mesh.scale.setScalar(baseScale * 0.4);
+                // Flicker just before opening
+                const aboutToOpen = this.roarTimer <= 0 && weakPoint.timer < OPEN_WARNING_TIME;
+                mesh.material.emissiveIntensity = aboutToOpen && Math.sin(this.animator.time * 40) > 0 ? 1.0 : 0.2;
+            }
+        });
+    }
+
+    /**
+     * @returns {boolean} True if any weak point is open
+     */
+    hasOpenWeakPoint() {
+        return this.weakPoints.some(weakPoint => weakPoint.isOpen);
+    }
+
+    // ========================================================================
+    // ZOMBIE OVERRIDES
+    // ========================================================================
+
+    update(deltaTime) {
+        if (this.isDead) return;
+        this.updateWeakPoints(deltaTime);
+
+        if (this.roarTimer > 0) {
+            this.roarTimer -= deltaTime;
+            this.isMoving = false;
+            this.faceTowards(this.target);
+            this.setEmissive(this.config.color, 0.5 + Math.abs(Math.sin(this.roarTimer * 12)));
+            if (this.roarTimer <= 0) this.restoreMaterials();
+            return;
+        }
+
+        super.update(deltaTime);
+    }
+
+    /**
+     * Open weak points take priority over the body's hit zones
+     * @param {THREE.Vector3} hitPoint
+     * @param {THREE.Object3D} [hitObject] - Mesh the ray hit (a weak point's mesh)
+     * @returns {string}
+     */
+    getHitZone(hitPoint, hitObject) {
+        const weakPoint = hitObject && hitObject.userData.weakPoint;
+        if (weakPoint && weakPoint.isOpen) return 'weakPoint';
+        return super.getHitZone(hitPoint);
+    }
+
+    takeDamage(amount, zone = 'torso') {
+        const result = super.takeDamage(amount, zone);
+        if (!result.killed && result.damage > 0) this.checkPhase();
+        return result;
+    }
+
+    applyModel(instance) {
+        super.applyModel(instance);
+        // The weak points were children of the placeholder
+        if (this.weakPoints) this.attachWeakPoints();
+    }
+
+    die(wasHeadshot = false, killedByPlayer = true) {
+        this.removeWeakPoints();
+        super.die(wasHeadshot, killedByPlayer);
+        console.log(`🏆 ${this.config.name} defeated!`);
+        if (this.onDefeated) this.onDefeated(this);
+    }
+
+    remove() {
+        this.removeWeakPoints();
+        super.remove();
+    }
+}
@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+import { gameEvents } from '../core/GameEvents.js';
+
+// Distance from a projectile's landing point within which the player is hit
+const PLAYER_HIT_RADIUS = 1.5;
+// Minimum flight time so point-blank spits can still be shot down
+const MIN_FLIGHT_TIME = 0.4;
+
+/**
+ * HazardManager
+ * Enemy projectiles (spitter acid) and area blast effects (bloater
+ * explosions, screamer shockwaves).
+ *
+ * Projectiles are lobbed at where the player was when they were fired and
+ * can be shot down on the way; one that lands near the player hurts them.
+ */
+export class HazardManager {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     */
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.projectiles = [];
+        this.blasts = [];
+    }
+
+    /**
+     * Lob a projectile along an arc
+     * @param {object} options
+     * @param {THREE.Vector3} options.from
+     * @param {THREE.Vector3} options.to - Landing point (usually the player)
+     * @param {number} options.speed - Units per second along the straight line
+     * @param {number} options.damage
+     * @param {number} [options.color]
+     * @param {number} [options.arcHeight]
+     * @returns {Object} The projectile
+     */
+    launchProjectile({ from, to, speed, damage, color = 0x88ff00, arcHeight = 1.5 }) {
+        const geometry = new THREE.SphereGeometry(0.2, 12, 12);
+        const material = new THREE.MeshStandardMaterial({
+            color,
+            emissive: color,
+            emissiveIntensity: 0.8
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(from);
+
+        const projectile = {
+            mesh,
+            from: from.clone(),
+            to: to.clone(),
+            damage,
+            color,
+            arcHeight,
+            elapsed: 0,
+            duration: Math.max(from.distanceTo(to) / speed, MIN_FLIGHT_TIME)
+        };
+        mesh.userData.isProjectile = true;
+        mesh.userData.projectile = projectile;
+
+        this.scene.add(mesh);
+        this.projectiles.push(projectile);
+        return projectile;
+    }
+
+    /**
+     * Destroy a projectile in flight (shot down by the player)
+     * @param {Object} projectile
+     */
+    intercept(projectile) {
+        if (!this.projectiles.includes(projectile)) return;
+        console.log('🎯 Projectile shot down');
+        this.addBlast(projectile.mesh.position, 0.6, projectile.color, 0.3);
+        this.removeProjectile(projectile);
+    }
+
+    /**
+     * Expanding, fading sphere (visual only)
+     * @param {THREE.Vector3} position
+     * @param {number} radius - Final radius
+     * @param {number} color
+     * @param {number} [duration] - Seconds
+     */
+    addBlast(position, radius, color, duration = 0.5) {
+        const geometry = new THREE.SphereGeometry(1, 16, 12);
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(position);
+        mesh.scale.setScalar(0.01);
+        this.scene.add(mesh);
+
+        this.blasts.push({ mesh, radius, duration, elapsed: 0 });
+    }
+
+    /**
+     * @returns {THREE.Mesh[]} Projectile meshes the player can shoot
+     */
+    getShootableMeshes() {
+        return this.projectiles.map(projectile => projectile.mesh);
+    }
+
+    /**
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.elapsed += deltaTime;
+            const t = Math.min(projectile.elapsed / projectile.duration, 1);
+
+            projectile.mesh.position.lerpVectors(projectile.from, projectile.to, t);
+            projectile.mesh.position.y += Math.sin(t * Math.PI) * projectile.arcHeight;
+
+            if (t >= 1) {
+                this.land(projectile);
+            }
+        }
+
+        for (let i = this.blasts.length - 1; i >= 0; i--) {
+            const blast = this.blasts[i];
+            blast.elapsed += deltaTime;
+            const progress = Math.min(blast.elapsed / blast.duration, 1);
+
+            blast.mesh.scale.setScalar(Math.max(blast.radius * progress, 0.01));
+            blast.mesh.material.opacity = 0.6 * (1 - progress);
+
+            if (progress >= 1) {
+                this.disposeMesh(blast.mesh);
+                this.blasts.splice(i, 1);
+            }
+        }
+    }
+
+    land(projectile) {
+        if (this.camera.position.distanceTo(projectile.to) <= PLAYER_HIT_RADIUS) {
+            gameEvents.emit('playerAttacked', { amount: projectile.damage, source: 'acid' });
+        }
+        this.addBlast(projectile.to, 0.8, projectile.color, 0.4);
+        this.removeProjectile(projectile);
+    }
+
+    removeProjectile(projectile) {
+        const index = this.projectiles.indexOf(projectile);
+        if (index !== -1) this.projectiles.splice(index, 1);
+        this.disposeMesh(projectile.mesh);
+    }
+
+    disposeMesh(mesh) {
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+
+    clear() {
+        this.projectiles.forEach(projectile => this.disposeMesh(projectile.mesh));
+        this.blasts.forEach(blast => this.disposeMesh(blast.mesh));
+        this.projectiles.length = 0;
+        this.blasts.length = 0;
+    }
+}
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+
+/**
+ * Hit Zones
+ * Resolves which body part of a zombie a shot hit: 'head', 'torso' or 'limbs'.
+ *
+ * GLB models with a skeleton use the nearest bone to the hit point.
+ * Placeholders and models without bones fall back to proxy collider volumes
+ * defined as fractions of the zombie's local (unscaled) bounding box, so the
+ * result does not depend on the rescale applied in Zombie.loadModel.
+ */
+
+export const HIT_ZONE_NAMES = ['head', 'torso', 'limbs'];
+
+// Default damage multipliers, overridden per type via ZOMBIE_TYPES[type].hitZones
+export const DEFAULT_HIT_ZONES = {
+    head: 2.0,
+    torso: 1.0,
+    limbs: 0.6
+};
+
+// Bone name patterns (Mixamo and most rigs), checked in order
+const BONE_ZONE_PATTERNS = [
+    { zone: 'head', pattern: /head|neck|jaw|eye/i },
+    { zone: 'limbs', pattern: /arm|hand|finger|thumb|shoulder|clavicle|leg|thigh|calf|knee|foot|toe/i },
+    { zone: 'torso', pattern: /spine|chest|hips|pelvis|torso|root|body/i }
+];
+
+// Proxy collider volumes as [min, max] fractions of the local bounding box.
+// Anything outside head and torso counts as limbs.
+const PROXY_VOLUMES = {
+    upright: {
+        head: { y: [0.82, 1.0] },
+        torso: { x: [0.2, 0.8], y: [0.45, 0.82] }
+    },
+    // Crawlers are low and long: the head is the front of the body
+    crawler: {
+        head: { y: [0.4, 1.0], z: [0.75, 1.0] },
+        torso: { x: [0.2, 0.8], z: [0.25, 0.75] }
+    }
+};
+
+/**
+ * Map a bone to a zone by name
+ * @param {THREE.Bone} bone
+ * @returns {string|null}
+ */
+function zoneForBone(bone) {
+    const match = BONE_ZONE_PATTERNS.find(entry => entry.pattern.test(bone.name));
+    return match ? match.zone : null;
+}
+
+/**
+ * Collect the named bones of a model with their zones
+ * @param {THREE.Object3D} model
+ * @returns {Array<{ bone: THREE.Bone, zone: string }>} Empty if the model has no usable skeleton
+ */
+export function buildSkeletonZones(model) {
+    const bones = [];
+    model.traverse((child) => {
+        if (!child.isBone) return;
+        const zone = zoneForBone(child);
+        if (zone) bones.push({ bone: child, zone });
+    });
+
+    // A rig without a head bone can't tell headshots apart, use proxies instead
+    return bones.some(entry => entry.zone === 'head') ? bones : [];
+}
+
+/**
+ * Compute the bounding box of an object in its own local space
+ * @param {THREE.Object3D} object - Must not be parented or transformed yet
+ * @returns {THREE.Box3}
+ */
+export function computeLocalBounds(object) {
+    object.updateMatrixWorld(true);
+    const inverse = object.matrixWorld.clone().invert();
+    return new THREE.Box3().setFromObject(object).applyMatrix4(inverse);
+}
+
+const _bonePosition = new THREE.Vector3();
+const _localPoint = new THREE.Vector3();
+const _size = new THREE.Vector3();
+
+/**
+ * Nearest-bone lookup for skinned models
+ * @param {Array<{ bone: THREE.Bone, zone: string }>} skeletonZones
+ * @param {THREE.Vector3} hitPoint - World space
+ * @returns {string}
+ */
+function resolveFromSkeleton(skeletonZones, hitPoint) {
+    let closestZone = 'torso';
+    let closestDistance = Infinity;
+    skeletonZones.forEach(({ bone, zone }) => {
+        bone.getWorldPosition(_bonePosition);
+        const distance = _bonePosition.distanceToSquared(hitPoint);
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestZone = zone;
+        }
+    });
+    return closestZone;
+}
+
+/**
+ * Proxy volume lookup
+ * @param {THREE.Object3D} mesh - Zombie root object
+ * @param {THREE.Box3} localBounds
+ * @param {string} type - Zombie type
+ * @param {THREE.Vector3} hitPoint - World space
+ * @returns {string}
+ */
+function resolveFromProxies(mesh, localBounds, type, hitPoint) {
+    mesh.updateMatrixWorld(true);
+    _localPoint.copy(hitPoint);
+    mesh.worldToLocal(_localPoint);
+    localBounds.getSize(_size);
+
+    // Normalise to 0..1 inside the bounding box
+    const fraction = {
+        x: _size.x > 0 ? (_localPoint.x - localBounds.min.x) / _size.x : 0.5,
+        y: _size.y > 0 ? (_localPoint.y - localBounds.min.y) / _size.y : 0.5,
+        z: _size.z > 0 ? (_localPoint.z - localBounds.min.z) / _size.z : 0.5
+    };
+
+    const volumes = PROXY_VOLUMES[type] || PROXY_VOLUMES.upright;
+    const inside = (volume) => Object.entries(volume).every(([axis, [min, max]]) => {
+        return fraction[axis] >= min && fraction[axis] <= max;
+    });
+
+    if (inside(volumes.head)) return 'head';
+    if (inside(volumes.torso)) return 'torso';
+    return 'limbs';
+}
+
+/**
+ * Resolve the hit zone for a shot on a zombie
+ * @param {import('./Zombie.js').default} zombie
+ * @param {THREE.Vector3} hitPoint - World space
+ * @returns {'head' | 'torso' | 'limbs'}
+ */
+export function resolveHitZone(zombie, hitPoint) {
+    if (zombie.skeletonZones && zombie.skeletonZones.length > 0) {
+        return resolveFromSkeleton(zombie.skeletonZones, hitPoint);
+    }
+    if (zombie.localBounds) {
+        return resolveFromProxies(zombie.mesh, zombie.localBounds, zombie.type, hitPoint);
+    }
+    return 'torso';
+}
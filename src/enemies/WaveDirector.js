@@ -0,0 +1,202 @@
+import { rng } from '../core/Random.js';
+
+const spawnRandom = rng.stream('spawns');
+
+// Seconds between spawns within a wave or group (unless the level says otherwise)
+const DEFAULT_SPAWN_INTERVAL = 0.3;
+
+/**
+ * WaveDirector
+ * Runs the waves of one camera scene on game time (so pauses hold it).
+ *
+ * A wave is started by its `trigger`, measured from when the previous wave
+ * started:
+ * - cleared (default): every zombie of the previous waves is down
+ * - kills: `count` zombies of the previous wave are down
+ * - time: `seconds` have passed
+ * A wave whose trigger can no longer fire (everything is dead) starts anyway,
+ * so a scene never stalls. The first wave ignores its trigger.
+ *
+ * Once started, a wave waits `delay` seconds and then spawns its fixed
+ * `spawns` and its `groups` (a type mix spread over a list of points, with
+ * its own delay and interval).
+ */
+export class WaveDirector {
+    /**
+     * @param {(spawn: {x:number, y:number, z:number, type:string}) => import('./Zombie.js').default} spawnZombie
+     * @param {(text: string, color: number) => void} [announce] - Called when a wave after the first starts
+     * @param {(spawns: Object[], index: number) => Object[]} [prepareWave] - Can change a wave's
+     *        spawns (same length) just before it starts, e.g. adaptive difficulty
+     */
+    constructor(spawnZombie, announce = null, prepareWave = null) {
+        this.spawnZombie = spawnZombie;
+        this.announce = announce;
+        this.prepareWave = prepareWave;
+        this.clear();
+    }
+
+    /**
+     * @param {Object[]} waves - Scene waves from the level (see LevelSchema WAVE)
+     */
+    start(waves) {
+        this.clear();
+        this.waves = waves.map((definition, index) => ({
+            definition,
+            index,
+            spawns: buildSpawnList(definition),
+            started: false,
+            elapsed: 0,
+            spawned: 0,
+            killed: 0,
+            // Zombies from this wave still standing
+            zombies: []
+        }));
+        if (this.waves.length > 0) this.startWave(this.waves[0]);
+    }
+
+    clear() {
+        this.waves = [];
+        this.currentIndex = -1;
+    }
+
+    startWave(wave) {
+        wave.started = true;
+        this.currentIndex = wave.index;
+        console.log(`🌊 Wave ${wave.index + 1}/${this.waves.length} (${wave.spawns.length} zombies)`);
+        if (this.prepareWave) {
+            const spawns = this.prepareWave(wave.spawns.map(entry => entry.spawn), wave.index);
+            wave.spawns = wave.spawns.map((entry, i) => ({ time: entry.time, spawn: spawns[i] }));
+        }
+        if (wave.index > 0 && this.announce) {
+            this.announce(`WAVE ${wave.index + 1}`, 0xff4400);
+        }
+    }
+
+    /**
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        this.waves.forEach(wave => {
+            if (!wave.started) return;
+            wave.elapsed += deltaTime;
+
+            // Spawns are sorted by time
+            while (wave.spawned < wave.spawns.length && wave.spawns[wave.spawned].time <= wave.elapsed) {
+                const zombie = this.spawnZombie(wave.spawns[wave.spawned].spawn);
+                wave.zombies.push(zombie);
+                wave.spawned++;
+            }
+
+            // Count zombies going down (they are pooled and reused later,
+            // so drop them from the wave as soon as they die)
+            for (let i = wave.zombies.length - 1; i >= 0; i--) {
+                if (wave.zombies[i].isDead) {
+                    wave.zombies.splice(i, 1);
+                    wave.killed++;
+                }
+            }
+        });
+
+        const next = this.waves[this.currentIndex + 1];
+        if (next && this.shouldStart(next)) this.startWave(next);
+    }
+
+    /**
+     * @param {Object} wave - Not yet started
+     * @returns {boolean}
+     */
+    shouldStart(wave) {
+        const previous = this.waves[wave.index - 1];
+        const trigger = wave.definition.trigger || { type: 'cleared' };
+
+        if (this.isCleared()) return true;
+        if (trigger.type === 'kills') return previous.killed >= trigger.count;
+        if (trigger.type === 'time') return previous.elapsed >= trigger.seconds;
+        return false;
+    }
+
+    /**
+     * @returns {boolean} True if every started wave has spawned and lost all its zombies
+     */
+    isCleared() {
+        return this.waves.every(wave => !wave.started || (wave.spawned === wave.spawns.length && wave.zombies.length === 0));
+    }
+
+    /**
+     * @returns {boolean} True once every wave has started and been cleared
+     */
+    isFinished() {
+        return this.waves.every(wave => wave.started) && this.isCleared();
+    }
+
+    /**
+     * @returns {number} Zombies across all waves of the scene
+     */
+    getTotal() {
+        return this.waves.reduce((total, wave) => total + wave.spawns.length, 0);
+    }
+
+    /**
+     * For the HUD
+     * @returns {{ wave: number, waveCount: number, waveKilled: number, waveTotal: number, nextWaveIn: number|null }}
+     *          `nextWaveIn` is set while a timed wave is counting down
+     */
+    getProgress() {
+        const current = this.waves[this.currentIndex];
+        if (!current) return { wave: 0, waveCount: 0, waveKilled: 0, waveTotal: 0, nextWaveIn: null };
+
+        const next = this.waves[this.currentIndex + 1];
+        const trigger = next && next.definition.trigger;
+        const nextWaveIn = trigger && trigger.type === 'time'
+            ? Math.max(0, trigger.seconds - current.elapsed)
+            : null;
+
+        return {
+            wave: current.index + 1,
+            waveCount: this.waves.length,
+            waveKilled: current.killed,
+            waveTotal: current.spawns.length,
+            nextWaveIn
+        };
+    }
+}
+
+/**
+ * Timed spawn list for a wave: fixed spawns, then every group's type mix
+ * (shuffled) cycled over its points
+ * @param {Object} wave
+ * @returns {{ time: number, spawn: {x:number, y:number, z:number, type:string} }[]}
+ */
+function buildSpawnList(wave) {
+    const delay = wave.delay ?? 0;
+    const interval = wave.interval ?? DEFAULT_SPAWN_INTERVAL;
+
+    const list = (wave.spawns || []).map((spawn, index) => ({
+        time: delay + index * interval,
+        spawn
+    }));
+
+    (wave.groups || []).forEach(group => {
+        const groupDelay = delay + (group.delay ?? 0);
+        const groupInterval = group.interval ?? interval;
+        const types = shuffle(group.mix.flatMap(({ type, count }) => Array(count).fill(type)));
+
+        types.forEach((type, index) => {
+            const point = group.points[index % group.points.length];
+            list.push({
+                time: groupDelay + index * groupInterval,
+                spawn: { x: point.x, y: point.y, z: point.z, type }
+            });
+        });
+    });
+
+    return list.sort((a, b) => a.time - b.time);
+}
+
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = spawnRandom.int(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
@@ -1,5 +1,13 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { ZombieAnimator } from './ZombieAnimator.js';
+import { zombieModelRegistry } from './ZombieModelRegistry.js';
+import { createAbility } from './ZombieAbilities.js';
+import { DEFAULT_HIT_ZONES, buildSkeletonZones, resolveHitZone } from './HitZones.js';
+import { soundManager } from '../systems/SoundManager.js';
+import { rng } from '../core/Random.js';
+import { gameEvents } from '../core/GameEvents.js';
+
+const aiRandom = rng.stream('ai');
 
 // ============================================================================
 // ZOMBIE TYPES CONFIG
@@ -13,6 +21,7 @@ export const ZOMBIE_TYPES = {
         points: 100,
         color: 0xff0000,
         scale: 1.0,
+        hitZones: { head: 2.0, torso: 1.0, limbs: 0.6 },
         // modelPath: '/models/zombies/zombie/source/scene.glb'
     },
     runner: {
@@ -23,6 +32,7 @@ export const ZOMBIE_TYPES = {
         points: 150,
         color: 0xff6600,
         scale: 0.9,
+        hitZones: { head: 2.0, torso: 1.0, limbs: 0.75 },
         // modelPath: '/models/zombies/zombie/source/scene.glb'
     },
     tank: {
@@ -33,6 +43,8 @@ export const ZOMBIE_TYPES = {
         points: 200,
         color: 0x660000,
         scale: 1.3,
+        // Armoured body: only headshots really hurt
+        hitZones: { head: 2.5, torso: 0.8, limbs: 0.5 },
         // modelPath: '/models/zombies/bloated/source/scene.glb'
     },
     crawler: {
@@ -43,12 +55,91 @@ export const ZOMBIE_TYPES = {
         points: 75,
         color: 0x00ff00,
         scale: 0.5,
+        hitZones: { head: 2.0, torso: 1.0, limbs: 0.8 },
+        // modelPath: '/models/zombies/zombie/source/scene.glb'
+    },
+    // Archetypes with an `ability` (see ZombieAbilities.js). Ability damage
+    // comes from `damage`, so it scales with the difficulty like melee does.
+    spitter: {
+        name: 'Spitter',
+        health: 60,
+        speed: 0.6,
+        damage: 12,
+        points: 175,
+        color: 0x88ff00,
+        scale: 1.0,
+        hitZones: { head: 2.0, torso: 1.0, limbs: 0.6 },
+        ability: {
+            type: 'spit',
+            range: 9,
+            windup: 0.9,
+            cooldown: 3.5,
+            projectileSpeed: 6,
+            color: 0x88ff00,
+            spawnWarning: 'SPITTER SPOTTED',
+            warning: 'ACID INCOMING - SHOOT IT DOWN!'
+        },
+        // modelPath: '/models/zombies/zombie/source/scene.glb'
+    },
+    screamer: {
+        name: 'Screamer',
+        health: 70,
+        speed: 0.7,
+        damage: 8,
+        points: 200,
+        color: 0xcc00ff,
+        scale: 0.95,
+        hitZones: { head: 2.5, torso: 1.0, limbs: 0.6 },
+        ability: {
+            type: 'scream',
+            triggerRange: 12,
+            radius: 8,
+            windup: 1.2,
+            cooldown: 9,
+            duration: 5,
+            speedMultiplier: 1.5,
+            damageMultiplier: 1.25,
+            color: 0xcc00ff,
+            spawnWarning: 'SCREAMER SPOTTED - KILL IT FIRST',
+            warning: 'SCREAMER - ZOMBIES ENRAGED!'
+        },
         // modelPath: '/models/zombies/zombie/source/scene.glb'
+    },
+    bloater: {
+        name: 'Bloater',
+        health: 80,
+        speed: 0.4,
+        damage: 30,
+        points: 150,
+        color: 0xffaa00,
+        scale: 1.4,
+        // Soft everywhere: the gut is the weak spot
+        hitZones: { head: 1.5, torso: 1.5, limbs: 0.8 },
+        ability: {
+            type: 'explode',
+            triggerRange: 2.5,
+            radius: 3.5,
+            fuse: 1.2,
+            zombieDamage: 150,
+            color: 0xffaa00,
+            spawnWarning: 'BLOATER SPOTTED - POP IT FROM RANGE',
+            warning: 'BLOATER ABOUT TO BLOW!'
+        },
+        // modelPath: '/models/zombies/bloated/source/scene.glb'
     }
 };
 
-// Shared loader instance
-const gltfLoader = new GLTFLoader();
+// How often (seconds) a zombie following the player re-plans its route,
+// and how far the player must have moved for a new plan
+const REPLAN_INTERVAL = 0.5;
+const REPLAN_DISTANCE = 1.0;
+// Distance at which a waypoint counts as reached
+const WAYPOINT_RADIUS = 0.3;
+// Seconds between groans, and distance walked per footstep (times scale)
+const GROAN_INTERVAL = { min: 3, max: 8 };
+const STRIDE_LENGTH = 0.8;
+
+const _feet = new THREE.Vector3();
 
 // ============================================================================
 // ZOMBIE CLASS
@@ -56,38 +147,91 @@ const gltfLoader = new GLTFLoader();
 export default class Zombie {
     /**
      * @param {THREE.Vector3} position
-     * @param {'walker' | 'runner' | 'tank' | 'crawler'} type
+     * @param {'walker' | 'runner' | 'tank' | 'crawler' | 'spitter' | 'screamer' | 'bloater'} type
      * @param {THREE.Scene} scene
      * @param {THREE.Camera} camera
      * @param {object} gameData
-     * @param {(amount: number) => void} damagePlayer
-     * @param {() => void} incrementCombo
+     * @param {object} [options]
+     * @param {{x:number,y:number,z:number}[]} [options.approachPath] - Waypoints to walk before homing on the player
+     * @param {{x:number,y:number,z:number}} [options.target] - Fixed point to attack (defaults to following the camera)
+     * @param {import('../systems/NavMesh.js').NavMesh} [options.navMesh] - Walkable areas of the current environment
+     * @param {import('./ZombieAbilities.js').AbilityContext} [options.abilityContext] - Needed by archetypes with an ability
+     * @param {string} [options.group] - Spawn group, e.g. 'scene' or 'ambush:path_1'
+     * @param {object} [options.config] - Type config override (e.g. scaled by difficulty)
      */
-    constructor(position, type = 'walker', scene, camera, gameData, damagePlayer, incrementCombo) {
+    constructor(position, type = 'walker', scene, camera, gameData, options = {}) {
         this.type = type;
-        this.config = ZOMBIE_TYPES[type];
         this.scene = scene;
         this.camera = camera;
         this.gameData = gameData;
-        this.damagePlayer = damagePlayer;
-        this.incrementCombo = incrementCombo;
         
         // Create temporary placeholder mesh (will be replaced by GLB)
+        const baseConfig = options.config || ZOMBIE_TYPES[type];
         const geometry = this.type === 'crawler'
             ? new THREE.BoxGeometry(0.8, 0.5, 0.8)
             : new THREE.BoxGeometry(0.5, 1.5, 0.5);
         const material = new THREE.MeshStandardMaterial({ 
-            color: this.config.color,
-            emissive: this.config.color,
+            color: baseConfig.color,
+            emissive: baseConfig.color,
             emissiveIntensity: 0.3
         });
         this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.position.copy(position);
-        this.mesh.position.y = (this.type === 'crawler' ? 0.25 : 0.75) * this.config.scale;
-        this.mesh.scale.setScalar(this.config.scale);
+        this.mesh.userData.originalMaterial = material;
+        this.mesh.scale.setScalar(baseConfig.scale);
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         this.isPlaceholder = true;
+        this.modelScale = baseConfig.scale;
+        this.pendingModel = null;
+        
+        // Proxy hit volumes until a skeleton is available
+        geometry.computeBoundingBox();
+        this.localBounds = geometry.boundingBox.clone();
+        this.skeletonZones = [];
+        
+        this.mesh.userData.zombie = this;
+        this.mesh.userData.isZombie = true;
+        
+        // Animation (procedural until a GLB with clips is loaded)
+        this.facing = new THREE.Vector3(0, 0, 1);
+        this.animator = new ZombieAnimator(type);
+        
+        this.spawn(position, options);
+        
+        // Load GLB model asynchronously (cached per type by the registry)
+        this.loadModel();
+    }
+    
+    /**
+     * (Re)initialise per-life state and add the zombie to the scene.
+     * Called by the constructor and again when ZombieManager reuses a pooled zombie.
+     * @param {THREE.Vector3} position
+     * @param {object} [options] - Same options as the constructor
+     */
+    spawn(position, options = {}) {
+        this.config = options.config || ZOMBIE_TYPES[this.type];
+        
+        // A model that finished loading while this zombie was dying
+        if (this.pendingModel) {
+            this.applyModel(this.pendingModel);
+            this.pendingModel = null;
+        }
+        
+        // Navigation: path over the nav mesh when the environment has one,
+        // straight-line homing otherwise
+        this.navMesh = options.navMesh || null;
+        this.heightOffset = (this.type === 'crawler' ? 0.25 : 0.75) * this.config.scale;
+        this.radius = (this.type === 'crawler' ? 0.45 : 0.35) * this.config.scale;
+        const spawnArea = this.navMesh ? this.navMesh.findArea(position) : null;
+        this.groundY = spawnArea ? spawnArea.y : 0;
+        
+        this.restoreMaterials();
+        this.mesh.position.copy(position);
+        this.mesh.position.y = this.groundY + this.heightOffset;
+        this.mesh.rotation.set(0, 0, 0);
+        
+        // Hit zones: damage multipliers per body part
+        this.hitZones = { ...DEFAULT_HIT_ZONES, ...this.config.hitZones };
         
         // Stats
         this.health = this.config.health;
@@ -95,14 +239,27 @@ export default class Zombie {
         this.baseSpeed = this.config.speed;
         this.currentSpeed = this.baseSpeed;
         this.isDead = false;
+        this.killedByPlayer = false;
         this.isAttacking = false;
+        this.isRemoved = false;
+        // Seconds alive (time-to-kill for adaptive difficulty)
+        this.age = 0;
         
-        // AI
-        this.target = new THREE.Vector3(
-            this.camera.position.x,
-            0.75,
-            this.camera.position.z
-        );
+        // AI: follow the player unless given a fixed target (e.g. a rail ambush point)
+        this.followsPlayer = !options.target;
+        this.target = new THREE.Vector3();
+        this.setTarget(options.target || this.camera.position);
+        this.group = options.group || 'scene';
+        
+        // Planned route over the nav mesh (empty = walk straight at the target)
+        this.navPath = [];
+        this.navIndex = 0;
+        this.plannedTarget = null;
+        this.replanTimer = 0;
+        
+        // Optional approach path walked before homing on the target
+        this.approachPath = (options.approachPath || []).map(wp => new THREE.Vector3(wp.x, 0, wp.z));
+        this.approachIndex = 0;
         this.distanceToPlayer = 999;
         this.attackRange = 1.5;
         
@@ -110,134 +267,143 @@ export default class Zombie {
         this.hitFlashTimer = 0;
         this.scuttleTime = 0;
         this.baseX = this.mesh.position.x;
+        this.isMoving = false;
+        this.attackTimer = 0;
+        this.facing.set(0, 0, 1);
         
-        this.mesh.userData.zombie = this;
-        this.mesh.userData.isZombie = true;
+        // Sounds: groan every few seconds, footsteps by distance walked
+        this.groanTimer = THREE.MathUtils.randFloat(GROAN_INTERVAL.min, GROAN_INTERVAL.max);
+        this.strideDistance = 0;
+        this.animator.bind(this.mesh, this.animations || [], this.mesh.position.y);
+        this.animator.floorY = this.groundY;
+        // Procedural gait out of step with the rest of the wave
+        this.animator.time = aiRandom.range(0, 10);
         
-        this.scene.add(this.mesh);
+        // Screamer buff (speed / damage) and the type's special ability
+        this.buff = null;
+        this.buffTimer = 0;
+        if (this.ability) this.ability.dispose();
+        this.ability = createAbility(this, options.abilityContext);
         
-        // Load GLB model asynchronously
-        this.loadModel();
+        this.scene.add(this.mesh);
+        soundManager.play('zombie_spawn', { position: this.mesh });
         
         console.log(`🧟 Spawned ${this.config.name} at`, position);
     }
     
     /**
-     * Load GLB model for this zombie
+     * Get this type's GLB model from the shared registry
      */
     async loadModel() {
-        try {
-            console.log(`📦 Loading zombie model: ${this.config.modelPath}`);
-            const gltf = await gltfLoader.loadAsync(this.config.modelPath);
-            const model = gltf.scene.clone();
-            
-            // Enable shadows on all meshes
-            model.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                    
-                    // Ensure materials are visible (fix for dark/invisible models)
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(mat => {
-                                if (mat) {
-                                    mat.needsUpdate = true;
-                                    // Increase emissive if material is too dark
-                                    if (!mat.emissive) mat.emissive = new THREE.Color(0x000000);
-                                    if (mat.color) {
-                                        // Lighten very dark materials
-                                        if (mat.color.r < 0.1 && mat.color.g < 0.1 && mat.color.b < 0.1) {
-                                            mat.color.multiplyScalar(2);
-                                        }
-                                    }
-                                }
-                            });
-                        } else {
-                            child.material.needsUpdate = true;
-                            if (!child.material.emissive) child.material.emissive = new THREE.Color(0x000000);
-                            if (child.material.color) {
-                                if (child.material.color.r < 0.1 && child.material.color.g < 0.1 && child.material.color.b < 0.1) {
-                                    child.material.color.multiplyScalar(2);
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Store original material for hit flash
-                    if (!child.userData.originalMaterial) {
-                        child.userData.originalMaterial = child.material;
-                    }
-                }
-            });
-            
-            // Get model bounding box to determine proper scale
-            const box = new THREE.Box3().setFromObject(model);
-            const size = box.getSize(new THREE.Vector3());
-            const maxDimension = Math.max(size.x, size.y, size.z);
-            
-            // Calculate scale based on expected zombie height (roughly 1.8 units)
-            // If model is very large or very small, adjust scale accordingly
-            let calculatedScale = this.config.scale;
-            if (maxDimension > 0) {
-                // If model is larger than 10 units, scale it down
-                if (maxDimension > 10) {
-                    calculatedScale = (this.config.scale * 1.8) / maxDimension;
-                } else if (maxDimension < 0.5) {
-                    // If model is very small, scale it up
-                    calculatedScale = (this.config.scale * 1.8) / maxDimension;
-                }
-            }
-            
-            // Position and scale model
-            model.position.copy(this.mesh.position);
-            model.scale.setScalar(calculatedScale);
-            model.rotation.y = this.mesh.rotation.y;
-            
-            console.log(`📏 ${this.config.name} model size: ${maxDimension.toFixed(2)}, applied scale: ${calculatedScale.toFixed(2)}`);
-            
-            // Replace placeholder with model
-            const oldMesh = this.mesh;
-            this.mesh = model;
-            this.mesh.userData.zombie = this;
-            this.mesh.userData.isZombie = true;
-            
-            // Remove placeholder and add model
-            this.scene.remove(oldMesh);
-            oldMesh.geometry.dispose();
-            oldMesh.material.dispose();
+        const instance = await zombieModelRegistry.instantiate(this.config);
+        if (!instance) return; // No model for this type: keep the placeholder
+        
+        // Don't swap meshes mid-death; apply on the next spawn instead
+        if (this.isDead && !this.isRemoved) {
+            this.pendingModel = instance;
+            return;
+        }
+        this.applyModel(instance);
+    }
+    
+    /**
+     * Replace the placeholder with a model instance from the registry
+     * @param {{ model: THREE.Object3D, animations: THREE.AnimationClip[], localBounds: THREE.Box3, scale: number }} instance
+     */
+    applyModel(instance) {
+        const { model, animations, localBounds, scale } = instance;
+        
+        // Resolve hit zones from the skeleton (or proxy volumes) of this clone
+        this.skeletonZones = buildSkeletonZones(model);
+        this.localBounds = localBounds;
+        this.animations = animations;
+        this.modelScale = scale;
+        
+        // Position and scale model
+        model.position.copy(this.mesh.position);
+        model.scale.setScalar(scale);
+        model.rotation.y = this.mesh.rotation.y;
+        
+        // Replace placeholder with model
+        const oldMesh = this.mesh;
+        const wasInScene = !!oldMesh.parent;
+        this.mesh = model;
+        this.mesh.userData.zombie = this;
+        this.mesh.userData.isZombie = true;
+        
+        // Placeholder geometry/material are owned by this zombie
+        this.scene.remove(oldMesh);
+        oldMesh.geometry.dispose();
+        oldMesh.material.dispose();
+        if (wasInScene) {
             this.scene.add(this.mesh);
+            this.animator.bind(this.mesh, animations, this.animator.baseY);
+        }
+        
+        this.isPlaceholder = false;
+        console.log(`✅ Loaded GLB model for ${this.config.name}`);
+    }
+    
+    /**
+     * Put back the shared materials, disposing per-instance copies
+     * (hit flash and death fade clones)
+     */
+    restoreMaterials() {
+        this.mesh.traverse((child) => {
+            if (!child.isMesh || !child.userData.originalMaterial) return;
+            if (child.material === child.userData.originalMaterial) return;
             
-            this.isPlaceholder = false;
-            console.log(`✅ Loaded GLB model for ${this.config.name}`);
-        } catch (error) {
-            console.error(`❌ Failed to load zombie model for ${this.config.name}:`, error);
-            // Keep placeholder mesh if loading fails
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(mat => {
+                if (mat.userData.isInstanceMaterial) mat.dispose();
+            });
+            child.material = child.userData.originalMaterial;
+        });
+        
+        if (this.isPlaceholder) {
+            this.mesh.material.emissive.setHex(this.config.color);
+            this.mesh.material.emissiveIntensity = 0.3;
+            this.mesh.material.opacity = 1;
+            this.mesh.material.transparent = false;
         }
     }
     
-    update(deltaTime, slowMoActive) {
+    /**
+     * @param {number} deltaTime - Game time (slow motion is already applied)
+     */
+    update(deltaTime) {
         if (this.isDead) return;
+        this.isMoving = false;
+        this.age += deltaTime;
+        
+        // Attack cooldown runs on game time (pauses with the game)
+        if (this.attackTimer > 0) {
+            this.attackTimer -= deltaTime;
+            if (this.attackTimer <= 0) {
+                this.isAttacking = false;
+            }
+        }
         
         // Update hit flash
         if (this.hitFlashTimer > 0) {
             this.hitFlashTimer -= deltaTime;
             if (this.hitFlashTimer <= 0) {
-                if (this.isPlaceholder) {
-                    this.mesh.material.emissiveIntensity = 0.3;
-                } else {
-                    // Reset all mesh materials in the model
-                    this.mesh.traverse((child) => {
-                        if (child.isMesh && child.userData.originalMaterial) {
-                            child.material = child.userData.originalMaterial;
-                        }
-                    });
-                }
+                // Drop the flash copies and go back to the shared materials
+                this.restoreMaterials();
             }
         }
         
-        // Calculate distance to player
-        this.distanceToPlayer = this.mesh.position.distanceTo(this.target);
+        this.groanTimer -= deltaTime;
+        if (this.groanTimer <= 0) {
+            this.groanTimer = THREE.MathUtils.randFloat(GROAN_INTERVAL.min, GROAN_INTERVAL.max);
+            soundManager.play('zombie_groan', { position: this.mesh });
+        }
+        
+        // Follow the player's rail position and re-plan the route when it moves
+        this.updateNavigation(deltaTime);
+        
+        // Calculate distance to player (feet to feet, so other floors are out of reach)
+        this.distanceToPlayer = this.getFeetPosition(_feet).distanceTo(this.target);
         
         // Speed up as zombie gets closer (tension!)
         const speedMultiplier = THREE.MathUtils.mapLinear(
@@ -245,28 +411,58 @@ export default class Zombie {
             10, 2,  // From 10 units away to 2 units away
             1, 2    // Speed goes from 1x to 2x
         );
-        const slowFactor = slowMoActive ? 0.5 : 1;
-        this.currentSpeed = this.baseSpeed * Math.max(1, speedMultiplier) * slowFactor;
+        this.currentSpeed = this.baseSpeed * Math.max(1, speedMultiplier);
+        
+        // Enraged by a screamer: faster, glowing
+        if (this.buffTimer > 0) {
+            this.buffTimer -= deltaTime;
+            if (this.buffTimer > 0) {
+                this.currentSpeed *= this.buff.speedMultiplier;
+                if (this.hitFlashTimer <= 0) this.setEmissive(0xff0000, 0.8);
+            } else {
+                this.buff = null;
+                this.restoreMaterials();
+            }
+        }
+        
+        // Archetype abilities (spit, scream, explode) can take over this frame
+        if (this.ability && this.ability.update(deltaTime)) {
+            this.updateGroundHeight();
+            return;
+        }
         
-        // Check if in attack range
-        if (this.distanceToPlayer < this.attackRange) {
+        // Check if in attack range (approach paths are always walked to the end)
+        const isApproaching = this.approachIndex < this.approachPath.length;
+        if (!isApproaching && this.distanceToPlayer < this.attackRange) {
             if (!this.isAttacking) {
                 this.attack();
             }
             return;
         }
         
-        // Move toward player
+        // Move toward the next approach waypoint, then along the route to the player
+        const moveTarget = this.getMoveTarget();
+        const onLink = this.isOnLink();
         const direction = new THREE.Vector3();
-        direction.subVectors(this.target, this.mesh.position);
-        direction.y = 0;
+        direction.subVectors(moveTarget, this.getFeetPosition(_feet));
+        // Only stairs / ladders change height; everything else walks on the floor
+        if (!onLink) direction.y = 0;
         
-        if (direction.length() > this.attackRange) {
+        const stopDistance = moveTarget === this.target ? this.attackRange : 0;
+        if (direction.length() > stopDistance) {
             direction.normalize();
             
             // Forward movement
-            this.mesh.position.x += direction.x * this.currentSpeed * deltaTime;
-            this.mesh.position.z += direction.z * this.currentSpeed * deltaTime;
+            const step = this.currentSpeed * deltaTime;
+            this.mesh.position.x += direction.x * step;
+            this.mesh.position.z += direction.z * step;
+            if (onLink) this.groundY += direction.y * step;
+            
+            this.strideDistance += step;
+            if (this.strideDistance >= STRIDE_LENGTH * this.config.scale) {
+                this.strideDistance = 0;
+                soundManager.play('zombie_footstep', { position: this.mesh });
+            }
             
             // Crawlers "scuttle" side-to-side
             if (this.type === 'crawler') {
@@ -283,128 +479,291 @@ export default class Zombie {
             // Face direction
             const angle = Math.atan2(direction.x, direction.z);
             this.mesh.rotation.y = angle;
+            this.facing.set(direction.x, 0, direction.z).normalize();
+            this.isMoving = true;
+        }
+        
+        this.updateGroundHeight();
+    }
+    
+    /**
+     * Turn to face a point (used while standing still, e.g. winding up an ability)
+     * @param {THREE.Vector3} point
+     */
+    faceTowards(point) {
+        const dx = point.x - this.mesh.position.x;
+        const dz = point.z - this.mesh.position.z;
+        if (dx === 0 && dz === 0) return;
+        this.mesh.rotation.y = Math.atan2(dx, dz);
+        this.facing.set(dx, 0, dz).normalize();
+    }
+    
+    /**
+     * Tint the zombie (hit flash, buffs, ability telegraphs). GLB models get
+     * per-instance material copies; restoreMaterials() undoes it.
+     * @param {number} color
+     * @param {number} intensity
+     */
+    setEmissive(color, intensity) {
+        this.mesh.traverse((child) => {
+            // Only the body (not attachments like boss weak points)
+            if (!child.isMesh || !child.userData.originalMaterial) return;
+            if (Array.isArray(child.material) || !child.material.emissive) return;
+            if (!this.isPlaceholder && !child.material.userData.isInstanceMaterial) {
+                child.material = child.material.clone();
+                child.material.userData.isInstanceMaterial = true;
+            }
+            child.material.emissive.setHex(color);
+            child.material.emissiveIntensity = intensity;
+        });
+    }
+    
+    /**
+     * @returns {number} Damage per hit (melee, acid, explosion) including any buff
+     */
+    getDamage() {
+        const multiplier = this.buff ? this.buff.damageMultiplier : 1;
+        return Math.round(this.config.damage * multiplier);
+    }
+    
+    /**
+     * Enrage this zombie for a while (screamer)
+     * @param {{speedMultiplier: number, damageMultiplier: number, duration: number}} buff
+     */
+    applyBuff({ speedMultiplier, damageMultiplier, duration }) {
+        this.buff = { speedMultiplier, damageMultiplier };
+        this.buffTimer = duration;
+    }
+    
+    /**
+     * Feet position: the mesh's x/z on the floor it is standing on
+     * @param {THREE.Vector3} [target]
+     * @returns {THREE.Vector3}
+     */
+    getFeetPosition(target = new THREE.Vector3()) {
+        return target.set(this.mesh.position.x, this.groundY, this.mesh.position.z);
+    }
+    
+    /**
+     * Set the point to attack, projected onto the floor below it
+     * @param {{x:number,y:number,z:number}} point - e.g. the camera position
+     */
+    setTarget(point) {
+        if (!this.navMesh || !this.navMesh.projectToFloor(point, this.target)) {
+            this.target.set(point.x, 0, point.z);
+        }
+    }
+    
+    /**
+     * Track the player and re-plan the route over the nav mesh
+     * @param {number} deltaTime
+     */
+    updateNavigation(deltaTime) {
+        if (this.followsPlayer) {
+            this.setTarget(this.camera.position);
         }
+        
+        this.replanTimer -= deltaTime;
+        if (!this.navMesh || this.replanTimer > 0) return;
+        // Finish approach paths and stairs before re-planning
+        if (this.approachIndex < this.approachPath.length || this.isOnLink()) return;
+        if (this.plannedTarget && this.plannedTarget.distanceTo(this.target) < REPLAN_DISTANCE) return;
+        
+        this.planPath();
+    }
+    
+    /**
+     * Plan a route from the current position to the target. Falls back to
+     * walking straight at the target if either end is off the nav mesh.
+     */
+    planPath() {
+        this.replanTimer = REPLAN_INTERVAL;
+        this.plannedTarget = this.target.clone();
+        this.navPath = this.navMesh.findPath(this.getFeetPosition(), this.target) || [];
+        this.navIndex = 0;
+    }
+    
+    /**
+     * @returns {boolean} True while walking the points of a stairs / ladder link
+     */
+    isOnLink() {
+        const next = this.navPath[this.navIndex];
+        const previous = this.navPath[this.navIndex - 1];
+        return !!next && next.onLink && !!previous && previous.onLink;
+    }
+    
+    /**
+     * Snap to the floor being walked on and keep the mesh (and its animation)
+     * at that height
+     */
+    updateGroundHeight() {
+        if (this.navMesh && !this.isOnLink()) {
+            const area = this.navMesh.findArea(this.getFeetPosition(_feet));
+            if (area) this.groundY = area.y;
+        }
+        this.mesh.position.y = this.groundY + this.heightOffset;
+        this.animator.baseY = this.mesh.position.y;
+        this.animator.floorY = this.groundY;
+    }
+    
+    /**
+     * Shift sideways (local avoidance) without leaving the current nav area
+     * @param {number} dx
+     * @param {number} dz
+     */
+    nudge(dx, dz) {
+        const area = this.navMesh && !this.isOnLink()
+            ? this.navMesh.findArea(this.getFeetPosition(_feet))
+            : null;
+        this.mesh.position.x += dx;
+        this.mesh.position.z += dz;
+        if (area) this.navMesh.clampToArea(this.mesh.position, area);
+    }
+    
+    /**
+     * Advance the animation mixer / procedural animation. Runs for dead
+     * zombies too so death animations finish (and the body is removed).
+     * @param {number} deltaTime
+     */
+    updateAnimation(deltaTime) {
+        if (this.isRemoved) return;
+        this.animator.update(deltaTime, this.isMoving ? this.currentSpeed : 0, this.facing);
+    }
+    
+    /**
+     * Current point to walk toward: the next approach waypoint, the next
+     * waypoint of the planned route, or the target
+     * @returns {THREE.Vector3}
+     */
+    getMoveTarget() {
+        while (this.approachIndex < this.approachPath.length) {
+            const waypoint = this.approachPath[this.approachIndex];
+            const dx = waypoint.x - this.mesh.position.x;
+            const dz = waypoint.z - this.mesh.position.z;
+            if (Math.sqrt(dx * dx + dz * dz) > WAYPOINT_RADIUS) {
+                return waypoint;
+            }
+            this.approachIndex++;
+        }
+        
+        while (this.navIndex < this.navPath.length) {
+            const waypoint = this.navPath[this.navIndex].position;
+            const feet = this.getFeetPosition(_feet);
+            // Height only matters on stairs; on a floor the waypoint may sit a step up or down
+            if (!this.isOnLink()) feet.y = waypoint.y;
+            if (feet.distanceTo(waypoint) > WAYPOINT_RADIUS) {
+                return waypoint;
+            }
+            this.navIndex++;
+        }
+        return this.target;
     }
     
     attack() {
         if (this.isAttacking) return;
         
         this.isAttacking = true;
-        console.log(`💥 ${this.config.name} attacking! Damage: ${this.config.damage}`);
+        const damage = this.getDamage();
+        console.log(`💥 ${this.config.name} attacking! Damage: ${damage}`);
         
         // Deal damage to player
-        this.damagePlayer(this.config.damage);
-        
-        // Attack animation - lunge forward
-        const originalZ = this.mesh.position.z;
-        this.mesh.position.z += 0.3;
+        this.damagePlayer(damage);
+        soundManager.play('zombie_attack', { position: this.mesh });
         
-        setTimeout(() => {
-            if (this.mesh) {
-                this.mesh.position.z = originalZ;
-            }
-            this.isAttacking = false;
-        }, 500);
+        // Attack animation (clip or procedural lunge); can attack again once it ends
+        this.attackTimer = this.animator.playAttack();
     }
     
-    takeDamage(amount, isHeadshot = false) {
-        if (this.isDead) return { killed: false, headshot: false };
+    /**
+     * Hit the player (attacks, explosions); PlayerManager applies the damage
+     * @param {number} amount
+     */
+    damagePlayer(amount) {
+        gameEvents.emit('playerAttacked', { amount, source: this.type });
+    }
+    
+    /**
+     * Which body part a world-space hit point landed on
+     * @param {THREE.Vector3} hitPoint
+     * @returns {'head' | 'torso' | 'limbs'}
+     */
+    getHitZone(hitPoint) {
+        return resolveHitZone(this, hitPoint);
+    }
+    
+    /**
+     * @param {number} amount - Base weapon damage
+     * @param {'head' | 'torso' | 'limbs'} [zone] - Hit zone; scales damage by this type's multiplier
+     * @returns {{ killed: boolean, headshot: boolean, zone: string, damage: number }}
+     */
+    takeDamage(amount, zone = 'torso') {
+        if (this.isDead) return { killed: false, headshot: false, zone, damage: 0 };
         
-        const actualDamage = isHeadshot ? amount * 2 : amount;
+        const isHeadshot = zone === 'head';
+        const actualDamage = amount * (this.hitZones[zone] ?? 1);
         this.health -= actualDamage;
         
-        // Flash effect
-        if (this.isPlaceholder) {
-            this.mesh.material.emissiveIntensity = 1.0;
-        } else {
-            // Flash all meshes in the model
-            this.mesh.traverse((child) => {
-                if (child.isMesh) {
-                    const flashMaterial = child.material.clone();
-                    flashMaterial.emissive = new THREE.Color(this.config.color);
-                    flashMaterial.emissiveIntensity = 1.0;
-                    child.material = flashMaterial;
-                }
-            });
-        }
+        // Flash effect (on per-instance copies, GLB materials are shared)
+        this.setEmissive(this.config.color, 1.0);
         this.hitFlashTimer = 0.1;
+        this.animator.playHit();
+        soundManager.play('zombie_hit', { position: this.mesh });
         
-        console.log(`🎯 ${this.config.name} hit! ${isHeadshot ? '💀 HEADSHOT!' : ''} HP: ${this.health}/${this.maxHealth}`);
+        console.log(`🎯 ${this.config.name} hit (${zone})! ${isHeadshot ? '💀 HEADSHOT!' : ''} HP: ${this.health}/${this.maxHealth}`);
         
         if (this.health <= 0) {
             this.die(isHeadshot);
-            return { killed: true, headshot: isHeadshot };
+            return { killed: true, headshot: isHeadshot, zone, damage: actualDamage };
         }
         
-        return { killed: false, headshot: isHeadshot };
+        return { killed: false, headshot: isHeadshot, zone, damage: actualDamage };
     }
     
-    die(wasHeadshot = false) {
+    /**
+     * @param {boolean} [wasHeadshot]
+     * @param {boolean} [killedByPlayer] - False for self-inflicted deaths (a bloater
+     *        blowing itself up), which don't score
+     */
+    die(wasHeadshot = false, killedByPlayer = true) {
         this.isDead = true;
+        this.killedByPlayer = killedByPlayer;
         
         // Score and stats
-        let points = this.config.points;
-        if (wasHeadshot) points *= 2;
-        
-        this.gameData.score += points;
-        this.gameData.totalZombiesKilled++;
-        
-        // Combo
-        this.incrementCombo();
+        const points = killedByPlayer ? this.config.points * (wasHeadshot ? 2 : 1) : 0;
+        if (killedByPlayer) {
+            this.gameData.score += points;
+            this.gameData.totalZombiesKilled++;
+            console.log(`💀 ${this.config.name} killed! ${wasHeadshot ? 'HEADSHOT! ' : ''}+${points} points`);
+        }
+        // Combo (PlayerManager) and the headshot indicator react to this
+        gameEvents.emit('zombieKilled', {
+            zombie: this,
+            type: this.type,
+            headshot: wasHeadshot,
+            points,
+            byPlayer: killedByPlayer
+        });
         
-        console.log(`💀 ${this.config.name} killed! ${wasHeadshot ? 'HEADSHOT! ' : ''}+${points} points`);
+        soundManager.play('zombie_death', { position: this.mesh });
         
-        // Death animation
-        const startY = this.mesh.position.y;
-        const duration = 1000;
-        const startTime = Date.now();
+        // Bloaters explode, telegraphs are cancelled
+        if (this.ability) this.ability.onDeath();
         
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            this.mesh.position.y = startY * (1 - progress);
-            this.mesh.rotation.x = progress * Math.PI / 2;
-            this.mesh.material.opacity = 1 - progress;
-            this.mesh.material.transparent = true;
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                this.remove();
-            }
-        };
-        
-        animate();
+        // Death animation; the body is removed once it finishes
+        this.isMoving = false;
+        this.animator.playDeath(() => this.remove());
     }
     
     remove() {
+        if (this.isRemoved) return;
+        this.isRemoved = true;
+        if (this.ability) this.ability.dispose();
+        this.animator.stop();
         this.scene.remove(this.mesh);
         
-        if (this.isPlaceholder) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        } else {
-            // Dispose GLB model resources
-            this.mesh.traverse((child) => {
-                if (child.isMesh) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(mat => {
-                                if (mat.map) mat.map.dispose();
-                                if (mat.normalMap) mat.normalMap.dispose();
-                                mat.dispose();
-                            });
-                        } else {
-                            if (child.material.map) child.material.map.dispose();
-                            if (child.material.normalMap) child.material.normalMap.dispose();
-                            child.material.dispose();
-                        }
-                    }
-                }
-            });
-        }
+        // Geometry, textures and original materials belong to the shared
+        // model cache (or are reused on respawn), only drop our own copies
+        this.restoreMaterials();
     }
 }
 
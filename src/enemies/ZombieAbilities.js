@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import { rng } from '../core/Random.js';
+
+/**
+ * Zombie Abilities
+ * Special behaviour for archetypes that do more than melee, selected by
+ * `ZOMBIE_TYPES[type].ability.type`:
+ * - spit: keeps its distance and lobs acid the player can shoot down
+ * - scream: stops to scream, enraging nearby zombies (faster, harder hits)
+ * - explode: swells up near the player and blows up; also blows up when killed
+ *
+ * Every ability telegraphs before it fires (glow, shockwave ring, swelling)
+ * and raises a HUD warning through `context.warn`.
+ *
+ * Abilities are updated from Zombie.update() before the melee check. When
+ * update() returns true the zombie neither walks nor melees this frame.
+ */
+
+const aiRandom = rng.stream('ai');
+
+const _position = new THREE.Vector3();
+
+/**
+ * @typedef {Object} AbilityContext
+ * @property {import('./HazardManager.js').HazardManager} hazards
+ * @property {THREE.Camera} camera
+ * @property {() => import('./Zombie.js').default[]} getZombies
+ * @property {(text: string, color: number) => void} warn
+ */
+
+class ZombieAbility {
+    /**
+     * @param {import('./Zombie.js').default} zombie
+     * @param {Object} settings - The type's `ability` config
+     * @param {AbilityContext} context
+     */
+    constructor(zombie, settings, context) {
+        this.zombie = zombie;
+        this.settings = settings;
+        this.context = context;
+        // Stagger first use so a wave doesn't act in unison
+        this.cooldown = (settings.cooldown || 0) * aiRandom.range(0.3, 1);
+    }
+
+    /**
+     * @param {number} deltaTime
+     * @returns {boolean} True if the ability controls the zombie this frame
+     */
+    update(deltaTime) {
+        this.cooldown -= deltaTime;
+        return false;
+    }
+
+    warn(text) {
+        if (text) this.context.warn(text, this.zombie.config.color);
+    }
+
+    /** Called when the zombie dies (before its death animation) */
+    onDeath() {
+        this.dispose();
+    }
+
+    /** Remove any telegraph visuals */
+    dispose() {}
+}
+
+/**
+ * Spitter: holds position inside `range` and lobs acid after a glowing wind-up
+ */
+class SpitAbility extends ZombieAbility {
+    constructor(zombie, settings, context) {
+        super(zombie, settings, context);
+        this.windupTimer = 0;
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+        const zombie = this.zombie;
+        const { settings } = this;
+
+        if (this.windupTimer > 0) {
+            this.windupTimer -= deltaTime;
+            zombie.faceTowards(zombie.target);
+            // Pulse faster as the spit gets closer
+            const progress = 1 - this.windupTimer / settings.windup;
+            zombie.setEmissive(settings.color, 0.5 + Math.abs(Math.sin(progress * progress * 20)) * 1.5);
+
+            if (this.windupTimer <= 0) {
+                zombie.restoreMaterials();
+                this.spit();
+                this.cooldown = settings.cooldown;
+            }
+            return true;
+        }
+
+        // Too close: fall back to melee. Too far: keep walking in.
+        if (zombie.distanceToPlayer <= zombie.attackRange) return false;
+        if (zombie.distanceToPlayer > settings.range) return false;
+
+        zombie.faceTowards(zombie.target);
+        if (this.cooldown <= 0) {
+            this.windupTimer = settings.windup;
+            this.warn(settings.warning);
+        }
+        return true;
+    }
+
+    spit() {
+        const zombie = this.zombie;
+        const from = zombie.mesh.position.clone();
+        from.y += zombie.heightOffset * 0.8;
+
+        // Aim just below the eye line so the acid is visible on its way in
+        const to = this.context.camera.position.clone();
+        to.y -= 0.2;
+
+        console.log(`🤮 ${zombie.config.name} spits!`);
+        this.context.hazards.launchProjectile({
+            from,
+            to,
+            speed: this.settings.projectileSpeed,
+            damage: zombie.getDamage(),
+            color: this.settings.color
+        });
+    }
+
+    dispose() {
+        this.windupTimer = 0;
+    }
+}
+
+/**
+ * Screamer: stops and screams (growing ring on the floor), buffing every
+ * other zombie within `radius`
+ */
+class ScreamAbility extends ZombieAbility {
+    constructor(zombie, settings, context) {
+        super(zombie, settings, context);
+        this.windupTimer = 0;
+        this.ring = null;
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+        const zombie = this.zombie;
+        const { settings } = this;
+
+        if (this.windupTimer > 0) {
+            this.windupTimer -= deltaTime;
+            const progress = 1 - this.windupTimer / settings.windup;
+            zombie.faceTowards(zombie.target);
+            zombie.setEmissive(settings.color, 0.5 + progress * 1.5);
+            this.updateRing(progress);
+
+            if (this.windupTimer <= 0) {
+                zombie.restoreMaterials();
+                this.removeRing();
+                this.scream();
+                this.cooldown = settings.cooldown;
+            }
+            return true;
+        }
+
+        if (this.cooldown > 0 || zombie.distanceToPlayer > settings.triggerRange) return false;
+
+        // Only worth screaming with someone to buff
+        if (this.findAllies().length === 0) return false;
+
+        this.windupTimer = settings.windup;
+        this.warn(settings.warning);
+        return true;
+    }
+
+    findAllies() {
+        const center = this.zombie.getFeetPosition(_position);
+        return this.context.getZombies().filter(other => {
+            return other !== this.zombie
+                && !other.isDead
+                && other.getFeetPosition().distanceTo(center) <= this.settings.radius;
+        });
+    }
+
+    scream() {
+        const allies = this.findAllies();
+        console.log(`😱 ${this.zombie.config.name} screams! ${allies.length} zombie(s) enraged`);
+
+        allies.forEach(other => other.applyBuff({
+            speedMultiplier: this.settings.speedMultiplier,
+            damageMultiplier: this.settings.damageMultiplier,
+            duration: this.settings.duration
+        }));
+        this.context.hazards.addBlast(this.zombie.mesh.position, this.settings.radius, this.settings.color, 0.6);
+    }
+
+    /**
+     * Shockwave ring on the floor that grows to the scream radius
+     * @param {number} progress - 0..1 through the wind-up
+     */
+    updateRing(progress) {
+        if (!this.ring) {
+            const geometry = new THREE.RingGeometry(0.9, 1, 48);
+            const material = new THREE.MeshBasicMaterial({
+                color: this.settings.color,
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            this.ring = new THREE.Mesh(geometry, material);
+            this.ring.rotation.x = -Math.PI / 2;
+            this.zombie.scene.add(this.ring);
+        }
+        this.zombie.getFeetPosition(this.ring.position);
+        this.ring.position.y += 0.05;
+        this.ring.scale.setScalar(Math.max(this.settings.radius * progress, 0.01));
+    }
+
+    removeRing() {
+        if (!this.ring) return;
+        this.zombie.scene.remove(this.ring);
+        this.ring.geometry.dispose();
+        this.ring.material.dispose();
+        this.ring = null;
+    }
+
+    dispose() {
+        this.windupTimer = 0;
+        this.removeRing();
+    }
+}
+
+/**
+ * Bloater: lights a fuse (swelling and flashing) once within `triggerRange`
+ * and explodes, hurting the player and every zombie within `radius`.
+ * Killing it first still sets it off, wherever it is.
+ */
+class ExplodeAbility extends ZombieAbility {
+    constructor(zombie, settings, context) {
+        super(zombie, settings, context);
+        this.fuseTimer = 0;
+        this.exploded = false;
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+        const zombie = this.zombie;
+        const { settings } = this;
+
+        if (this.fuseTimer > 0) {
+            this.fuseTimer -= deltaTime;
+            const progress = 1 - this.fuseTimer / settings.fuse;
+            const flash = Math.sin(progress * progress * 40) > 0;
+            zombie.mesh.scale.setScalar(zombie.modelScale * (1 + progress * 0.3));
+            zombie.setEmissive(settings.color, flash ? 2 : 0.3);
+
+            if (this.fuseTimer <= 0) {
+                this.explode();
+                // Blew itself up: no score for the player
+                zombie.die(false, false);
+            }
+            return true;
+        }
+
+        if (zombie.distanceToPlayer > settings.triggerRange) return false;
+
+        this.fuseTimer = settings.fuse;
+        this.warn(settings.warning);
+        return true;
+    }
+
+    explode() {
+        if (this.exploded) return;
+        this.exploded = true;
+
+        const zombie = this.zombie;
+        const center = zombie.mesh.position.clone();
+        zombie.mesh.scale.setScalar(zombie.modelScale);
+        console.log(`💥 ${zombie.config.name} explodes!`);
+
+        this.context.hazards.addBlast(center, this.settings.radius, this.settings.color, 0.5);
+
+        if (this.context.camera.position.distanceTo(center) <= this.settings.radius) {
+            zombie.damagePlayer(zombie.getDamage());
+        }
+
+        // Caught in the blast (may chain into other bloaters)
+        this.context.getZombies().forEach(other => {
+            if (other === zombie || other.isDead) return;
+            if (other.mesh.position.distanceTo(center) <= this.settings.radius) {
+                other.takeDamage(this.settings.zombieDamage, 'torso');
+            }
+        });
+    }
+
+    onDeath() {
+        this.explode();
+        this.dispose();
+    }
+
+    dispose() {
+        this.fuseTimer = 0;
+    }
+}
+
+const ABILITIES = {
+    spit: SpitAbility,
+    scream: ScreamAbility,
+    explode: ExplodeAbility
+};
+
+/**
+ * Create the ability for a zombie's type, if it has one
+ * @param {import('./Zombie.js').default} zombie
+ * @param {AbilityContext} [context] - Without a context (e.g. no ZombieManager) abilities are disabled
+ * @returns {ZombieAbility|null}
+ */
+export function createAbility(zombie, context) {
+    const settings = zombie.config.ability;
+    if (!settings || !context) return null;
+
+    const AbilityClass = ABILITIES[settings.type];
+    if (!AbilityClass) {
+        console.warn(`⚠️ Unknown zombie ability "${settings.type}" on ${zombie.config.name}`);
+        return null;
+    }
+    return new AbilityClass(zombie, settings, context);
+}
@@ -0,0 +1,379 @@
+import * as THREE from 'three';
+import { rng } from '../core/Random.js';
+
+/**
+ * ZombieAnimator
+ * Drives a zombie's animations: an AnimationMixer over the GLB's clips when
+ * the model has them, otherwise a procedural fallback (bob, lunge, flinch,
+ * topple and fade) applied to the zombie's root object.
+ *
+ * Advanced only through Zombie.updateAnimation(), which ZombieManager.update
+ * calls with the slow-mo adjusted delta, so pause and slow-mo apply to both.
+ */
+
+const aiRandom = rng.stream('ai');
+
+// Clip name patterns, matched against the GLB animation names
+const CLIP_PATTERNS = {
+    idle: /idle|stand/i,
+    walk: /walk/i,
+    run: /run|sprint/i,
+    crawl: /crawl/i,
+    attack: /attack|bite|punch|swipe/i,
+    hit: /hit|react|hurt|damage/i,
+    death: /death|die|dying|dead/i
+};
+
+// World units per second covered at timeScale 1 (used to sync feet to speed)
+const WALK_CLIP_SPEED = 0.5;
+const RUN_CLIP_SPEED = 1.5;
+
+// Speeds between these blend walk into run
+const RUN_BLEND_START = 0.6;
+const RUN_BLEND_END = 1.2;
+
+const FADE_TIME = 0.2;
+const ATTACK_DURATION = 0.5;
+const HIT_DURATION = 0.15;
+const PROCEDURAL_DEATH_DURATION = 1.0;
+
+export class ZombieAnimator {
+    /**
+     * @param {'walker' | 'runner' | 'tank' | 'crawler'} type
+     */
+    constructor(type) {
+        this.type = type;
+        this.root = null;
+        this.mixer = null;
+        this.actions = {};
+        this.deathActions = [];
+
+        // Locomotion / one-shot state
+        this.state = 'locomotion';
+        this.oneShotTimer = 0;
+        this.deathTimer = 0;
+        this.deathDuration = PROCEDURAL_DEATH_DURATION;
+        this.onDeathComplete = null;
+
+        // Procedural fallback state (time is randomised per spawn by Zombie)
+        this.time = 0;
+        this.baseY = 0;
+        // Floor under the zombie; the procedural death sinks the body onto it
+        this.floorY = 0;
+        this.lungeOffset = new THREE.Vector3();
+        this.deathStartY = 0;
+    }
+
+    /**
+     * Attach to a zombie root object (placeholder or GLB model)
+     * @param {THREE.Object3D} root
+     * @param {THREE.AnimationClip[]} [clips]
+     * @param {number} [baseY] - Resting height (defaults to the root's current y)
+     */
+    bind(root, clips = [], baseY = root.position.y) {
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.mixer.getRoot());
+        }
+
+        this.root = root;
+        this.baseY = baseY;
+        this.lungeOffset.set(0, 0, 0);
+        this.state = 'locomotion';
+        this.oneShotTimer = 0;
+        this.deathTimer = 0;
+        this.onDeathComplete = null;
+        this.mixer = null;
+        this.actions = {};
+        this.deathActions = [];
+
+        if (clips.length === 0) return;
+
+        this.mixer = new THREE.AnimationMixer(root);
+        clips.forEach(clip => {
+            const name = Object.keys(CLIP_PATTERNS).find(key => CLIP_PATTERNS[key].test(clip.name));
+            if (!name) return;
+
+            const action = this.mixer.clipAction(clip);
+            if (name === 'death') {
+                this.deathActions.push(action);
+            } else if (!this.actions[name]) {
+                this.actions[name] = action;
+            }
+        });
+
+        // Locomotion clips run continuously and are blended by weight
+        ['idle', 'walk', 'run', 'crawl'].forEach(name => {
+            const action = this.actions[name];
+            if (!action) return;
+            action.setEffectiveWeight(0);
+            action.play();
+        });
+
+        // One-shots play once and hold their last frame until faded out
+        [this.actions.attack, this.actions.hit, ...this.deathActions].forEach(action => {
+            if (!action) return;
+            action.setLoop(THREE.LoopOnce, 1);
+            action.clampWhenFinished = true;
+        });
+
+        console.log(`🎞️ ${this.type} animations: ${Object.keys(this.actions).join(', ') || 'none'}${this.deathActions.length ? `, ${this.deathActions.length} death variant(s)` : ''}`);
+    }
+
+    /**
+     * Play the attack one-shot
+     * @returns {number} Seconds until the attack finishes
+     */
+    playAttack() {
+        if (this.state === 'dead') return 0;
+        const duration = this.playOneShot(this.actions.attack, ATTACK_DURATION);
+        this.state = 'attack';
+        this.oneShotTimer = duration;
+        return duration;
+    }
+
+    /**
+     * Play the hit-react one-shot (ignored while attacking or dead)
+     */
+    playHit() {
+        if (this.state !== 'locomotion') return;
+        this.oneShotTimer = this.playOneShot(this.actions.hit, HIT_DURATION);
+        this.state = 'hit';
+    }
+
+    /**
+     * Play a random death variant
+     * @param {() => void} onComplete - Called once the death animation has finished
+     */
+    playDeath(onComplete) {
+        this.state = 'dead';
+        this.onDeathComplete = onComplete;
+        this.deathTimer = 0;
+
+        if (this.mixer && this.deathActions.length > 0) {
+            const action = aiRandom.pick(this.deathActions);
+            this.fadeOutAllExcept(action);
+            action.reset().setEffectiveWeight(1).fadeIn(FADE_TIME).play();
+            // Linger on the last frame briefly before the body is removed
+            this.deathDuration = action.getClip().duration + 0.5;
+            return;
+        }
+
+        // Procedural topple + fade
+        if (this.mixer) this.fadeOutAllExcept(null);
+        this.deathStartY = this.root.position.y;
+        this.deathDuration = PROCEDURAL_DEATH_DURATION;
+        this.isolateMaterials();
+        this.setTransparent(true);
+    }
+
+    /**
+     * Advance animations
+     * @param {number} deltaTime - Already scaled for slow-mo
+     * @param {number} speed - Current ground speed (0 when standing still)
+     * @param {THREE.Vector3} [facing] - Unit forward direction, used for the procedural lunge
+     */
+    update(deltaTime, speed, facing) {
+        if (!this.root) return;
+        this.time += deltaTime;
+
+        if (this.state === 'dead') {
+            this.updateDeath(deltaTime);
+            if (this.mixer) this.mixer.update(deltaTime);
+            return;
+        }
+
+        if (this.state !== 'locomotion') {
+            this.oneShotTimer -= deltaTime;
+            if (this.oneShotTimer <= 0) {
+                this.state = 'locomotion';
+                [this.actions.attack, this.actions.hit].forEach(action => action && action.fadeOut(FADE_TIME));
+            }
+        }
+
+        if (this.mixer) {
+            this.updateLocomotionWeights(speed);
+            this.mixer.update(deltaTime);
+        }
+
+        // Procedural layer covers anything the clips don't
+        this.updateProcedural(speed, facing);
+    }
+
+    /**
+     * Blend idle / walk / run (or crawl) by speed
+     * @param {number} speed
+     */
+    updateLocomotionWeights(speed) {
+        // One-shots take over the whole body while they play
+        const locomotionWeight = this.state === 'locomotion' ? 1 : 0.2;
+        const { idle, walk, run, crawl } = this.actions;
+        const moving = speed > 0.01;
+
+        let walkWeight = 0;
+        let runWeight = 0;
+        let crawlWeight = 0;
+
+        if (moving && this.type === 'crawler' && crawl) {
+            crawlWeight = 1;
+        } else if (moving) {
+            const runBlend = run
+                ? THREE.MathUtils.clamp((speed - RUN_BLEND_START) / (RUN_BLEND_END - RUN_BLEND_START), 0, 1)
+                : 0;
+            runWeight = runBlend;
+            walkWeight = walk ? 1 - runBlend : 0;
+            // No walk clip: run everything on the run clip
+            if (!walk && run) runWeight = 1;
+            // No locomotion clips at all for this type but a crawl exists
+            if (!walk && !run && crawl) crawlWeight = 1;
+        }
+
+        const idleWeight = moving ? 0 : 1;
+
+        if (idle) idle.setEffectiveWeight(idleWeight * locomotionWeight);
+        if (walk) {
+            walk.setEffectiveWeight(walkWeight * locomotionWeight);
+            walk.setEffectiveTimeScale(Math.max(speed / WALK_CLIP_SPEED, 0.1));
+        }
+        if (run) {
+            run.setEffectiveWeight(runWeight * locomotionWeight);
+            run.setEffectiveTimeScale(Math.max(speed / RUN_CLIP_SPEED, 0.1));
+        }
+        if (crawl) {
+            crawl.setEffectiveWeight(crawlWeight * locomotionWeight);
+            crawl.setEffectiveTimeScale(Math.max(speed / WALK_CLIP_SPEED, 0.1));
+        }
+    }
+
+    /**
+     * Procedural fallback for missing clips: shamble bob, attack lunge and hit flinch
+     * @param {number} speed
+     * @param {THREE.Vector3} [facing]
+     */
+    updateProcedural(speed, facing) {
+        const root = this.root;
+        const { walk, run, crawl, attack, hit } = this.actions;
+
+        // Shamble: bob and sway scaled by speed
+        if (!walk && !run && !crawl) {
+            const gait = this.time * (4 + speed * 4);
+            const bobAmount = this.type === 'crawler' ? 0.02 : 0.05;
+            root.position.y = this.baseY + Math.abs(Math.sin(gait)) * bobAmount * Math.min(speed * 2, 1);
+            root.rotation.z = Math.sin(gait * 0.5) * 0.06 * Math.min(speed * 2, 1);
+        }
+
+        // Attack: lunge forward and back over the attack duration
+        if (!attack) {
+            root.position.sub(this.lungeOffset);
+            this.lungeOffset.set(0, 0, 0);
+            if (this.state === 'attack' && facing) {
+                const t = 1 - Math.max(this.oneShotTimer, 0) / ATTACK_DURATION;
+                this.lungeOffset.copy(facing).multiplyScalar(Math.sin(t * Math.PI) * 0.3);
+            }
+            root.position.add(this.lungeOffset);
+        }
+
+        // Hit react: flinch backwards
+        if (!hit) {
+            root.rotation.x = this.state === 'hit'
+                ? -0.25 * Math.max(this.oneShotTimer, 0) / HIT_DURATION
+                : 0;
+        }
+    }
+
+    /**
+     * Advance the death animation and report when it is done
+     * @param {number} deltaTime
+     */
+    updateDeath(deltaTime) {
+        this.deathTimer += deltaTime;
+        const progress = Math.min(this.deathTimer / this.deathDuration, 1);
+
+        if (!this.mixer || this.deathActions.length === 0) {
+            // Remove any lunge left over from an interrupted attack
+            this.root.position.sub(this.lungeOffset);
+            this.lungeOffset.set(0, 0, 0);
+
+            this.root.position.y = this.floorY + (this.deathStartY - this.floorY) * (1 - progress);
+            this.root.rotation.x = progress * Math.PI / 2;
+            this.setOpacity(1 - progress);
+        }
+
+        if (progress >= 1 && this.onDeathComplete) {
+            const onComplete = this.onDeathComplete;
+            this.onDeathComplete = null;
+            onComplete();
+        }
+    }
+
+    /**
+     * Fade out every action except the given one
+     * @param {THREE.AnimationAction|null} keep
+     */
+    fadeOutAllExcept(keep) {
+        [...Object.values(this.actions), ...this.deathActions].forEach(action => {
+            if (action !== keep) action.fadeOut(FADE_TIME);
+        });
+    }
+
+    /**
+     * Start a one-shot clip if the model has it
+     * @param {THREE.AnimationAction} [action]
+     * @param {number} fallbackDuration - Used for the procedural version
+     * @returns {number} Duration in seconds
+     */
+    playOneShot(action, fallbackDuration) {
+        if (!action) return fallbackDuration;
+        action.reset().setEffectiveWeight(1).fadeIn(FADE_TIME / 2).play();
+        return action.getClip().duration;
+    }
+
+    /**
+     * Give this zombie its own copies of its materials so fading it doesn't
+     * fade every other zombie sharing the cached model's materials
+     */
+    isolateMaterials() {
+        this.root.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            const isolate = (mat) => {
+                if (mat.userData.isInstanceMaterial) return mat;
+                const copy = mat.clone();
+                copy.userData.isInstanceMaterial = true;
+                return copy;
+            };
+            child.material = Array.isArray(child.material)
+                ? child.material.map(isolate)
+                : isolate(child.material);
+        });
+    }
+
+    setTransparent(transparent) {
+        this.root.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(mat => { mat.transparent = transparent; });
+        });
+    }
+
+    setOpacity(opacity) {
+        this.root.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(mat => { mat.opacity = opacity; });
+        });
+    }
+
+    /**
+     * Stop all animation (zombie removed or returned to the pool)
+     */
+    stop() {
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.mixer.getRoot());
+            this.mixer = null;
+        }
+        this.actions = {};
+        this.deathActions = [];
+        this.root = null;
+    }
+}
@@ -1,86 +1,391 @@
 import * as THREE from 'three';
-import Zombie from './Zombie.js';
+import Zombie, { ZOMBIE_TYPES } from './Zombie.js';
+import Boss, { getBossBaseConfig } from './Boss.js';
+import { zombieModelRegistry } from './ZombieModelRegistry.js';
+import { HazardManager } from './HazardManager.js';
+import { WaveDirector } from './WaveDirector.js';
+import { getZombieConfig, scaleZombieConfig } from '../core/Difficulty.js';
+import { adaptiveDifficulty } from '../core/AdaptiveDifficulty.js';
+import { gameEvents } from '../core/GameEvents.js';
+
+// Local avoidance: how quickly overlapping zombies are pushed apart (per second)
+const SEPARATION_RATE = 10;
+// Zombies further apart vertically than this are on different floors
+const SEPARATION_HEIGHT = 1.0;
+// Distance from the boss at which its minions appear
+const MINION_SPAWN_RADIUS = 2.5;
 
 /**
  * Manages all zombies for the current scene.
  * Keeps the array small and hides spawn / update details from main.js.
+ *
+ * Removed zombies (death animation finished, or scene cleared) leave the
+ * active array and go into a pool, and later spawns of the same type reuse
+ * them instead of building new meshes and mixers.
+ *
+ * Scene waves are run by a WaveDirector (delays, groups, kill / time
+ * triggers). A stage can end in a boss, spawned once its waves are cleared. The boss
+ * and its minions use the 'boss' group; the scene clears when the boss dies.
  */
 export default class ZombieManager {
-    constructor(scene, camera, gameData, damagePlayer, incrementCombo) {
+    constructor(scene, camera, gameData) {
         this.scene = scene;
         this.camera = camera;
         this.gameData = gameData;
-        this.damagePlayer = damagePlayer;
-        this.incrementCombo = incrementCombo;
         
         this.zombies = [];
-        this.sceneZombiesKilled = 0;
+        
+        // Inactive zombies waiting to be respawned
+        this.pool = [];
+        
+        // Spawned / killed totals per group; survive zombies leaving the array
+        this.groupStats = new Map();
+        
+        // Walkable areas of the active environment (null = straight-line homing)
+        this.navMesh = null;
+        
+        // Spitter acid and explosion effects
+        this.hazards = new HazardManager(scene, camera);
+        
+        // Shared with zombie abilities (see ZombieAbilities.js)
+        this.abilityContext = {
+            hazards: this.hazards,
+            camera,
+            getZombies: () => this.zombies,
+            warn: (text, color) => gameEvents.emit('threatWarning', { text, color })
+        };
+        
+        // Wave sequencing for the current camera scene
+        // Each wave start re-scores the player and may retype its zombies
+        this.waveDirector = new WaveDirector(
+            spawn => this.spawnZombieAt(spawn, spawn.type),
+            this.abilityContext.warn,
+            (spawns, index) => {
+                adaptiveDifficulty.evaluate(`scene ${this.gameData.currentScene + 1}, wave ${index + 1}`);
+                return adaptiveDifficulty.adjustSpawns(spawns);
+            }
+        );
+        
+        // Boss declared by the current stage, and the boss once spawned
+        this.bossStage = null;
+        this.boss = null;
     }
     
     /**
-     * Spawn all zombies for the current scene from spawn point config.
-     * @param {{x:number,y:number,z:number,type:string}[]} spawnPoints
+     * Load every zombie type's model into the shared cache ahead of the first spawn
+     * @returns {Promise<void>}
      */
-    spawnSceneZombies(spawnPoints) {
-        console.log(`🎬 Spawning zombies for Scene ${this.gameData.currentScene + 1}`);
-        
-        this.sceneZombiesKilled = 0;
+    preloadModels() {
+        return zombieModelRegistry.preload(Object.values(ZOMBIE_TYPES).map(t => t.modelPath));
+    }
+    
+    /**
+     * Use the nav mesh of the environment that is now active
+     * @param {import('../systems/NavMesh.js').NavMesh|null} navMesh
+     */
+    setNavMesh(navMesh) {
+        this.navMesh = navMesh;
+    }
+    
+    /**
+     * Start the waves declared for a camera scene (clears any previous zombies).
+     * @param {Object[]} waves - Scene waves (see WaveDirector)
+     * @param {{type: string, position: THREE.Vector3}|null} [boss] - Boss fought after the waves
+     */
+    startSceneWaves(waves, boss = null) {
         this.clearZombies();
+        this.bossStage = boss;
+        console.log(`🎬 Starting ${waves.length} wave(s) for Scene ${this.gameData.currentScene + 1}`);
+        this.waveDirector.start(waves);
+    }
+    
+    /**
+     * @returns {{ wave: number, waveCount: number, waveKilled: number, waveTotal: number, nextWaveIn: number|null }}
+     */
+    getWaveProgress() {
+        return this.waveDirector.getProgress();
+    }
+    
+    /**
+     * @returns {number} Zombies the current scene's waves spawn in total
+     */
+    getSceneZombieTotal() {
+        return this.waveDirector.getTotal();
+    }
+    
+    /**
+     * Spawn a single zombie immediately (used by waves and rail ambushes).
+     * @param {{x:number,y:number,z:number}} position
+     * @param {string} type
+     * @param {object} [options]
+     * @param {{x:number,y:number,z:number}[]} [options.path] - Approach path to walk before homing on the target
+     * @param {{x:number,y:number,z:number}} [options.target] - Fixed attack position (defaults to following the camera)
+     * @param {string} [options.group] - Spawn group; only 'scene' zombies count toward clearing the scene
+     * @returns {Zombie}
+     */
+    spawnZombieAt(position, type, options = {}) {
+        const spawnPosition = new THREE.Vector3(position.x, position.y, position.z);
+        const config = getZombieConfig(type);
+        config.speed *= adaptiveDifficulty.getSpeedMultiplier();
+        const spawnOptions = {
+            approachPath: options.path,
+            target: options.target,
+            group: options.group || 'scene',
+            config,
+            navMesh: this.navMesh,
+            abilityContext: this.abilityContext
+        };
+        
+        let zombie;
+        const pooledIndex = this.pool.findIndex(z => z.type === type);
+        if (pooledIndex !== -1) {
+            zombie = this.pool.splice(pooledIndex, 1)[0];
+            zombie.spawn(spawnPosition, spawnOptions);
+        } else {
+            zombie = new Zombie(
+                spawnPosition,
+                type,
+                this.scene,
+                this.camera,
+                this.gameData,
+                spawnOptions
+            );
+        }
+        
+        this.zombies.push(zombie);
+        this.getGroupStats(spawnOptions.group).spawned++;
+        
+        const spawnWarning = zombie.config.ability?.spawnWarning;
+        if (spawnWarning) this.abilityContext.warn(spawnWarning, zombie.config.color);
+        return zombie;
+    }
+    
+    /**
+     * Spawn the stage boss. Its phases call back here for minions; when it
+     * dies any minions still standing die with it.
+     * @param {{type: string, position: {x:number,y:number,z:number}}} bossStage
+     * @returns {Boss}
+     */
+    spawnBoss({ type, position }) {
+        const config = scaleZombieConfig(getBossBaseConfig(type));
+        
+        this.boss = new Boss(
+            new THREE.Vector3(position.x, position.y, position.z),
+            type,
+            this.scene,
+            this.camera,
+            this.gameData,
+            {
+                group: 'boss',
+                config,
+                navMesh: this.navMesh,
+                abilityContext: this.abilityContext,
+                spawnMinions: (minions, boss) => this.spawnMinions(minions, boss),
+                onDefeated: () => {
+                    this.zombies.forEach(z => {
+                        if (z.group === 'boss' && !z.isDead) z.die(false, false);
+                    });
+                }
+            }
+        );
+        
+        this.zombies.push(this.boss);
+        this.getGroupStats('boss').spawned++;
+        console.log(`👹 Boss: ${config.name}`);
+        return this.boss;
+    }
+    
+    /**
+     * Spawn minions in a ring around the boss
+     * @param {{type: string, count: number}[]} minions
+     * @param {Boss} boss
+     */
+    spawnMinions(minions, boss) {
+        const center = boss.getFeetPosition();
+        const spawns = minions.flatMap(({ type, count }) => Array(count).fill(type));
         
-        spawnPoints.forEach((spawn, index) => {
-            setTimeout(() => {
-                const zombie = new Zombie(
-                    new THREE.Vector3(spawn.x, spawn.y, spawn.z),
-                    spawn.type,
-                    this.scene,
-                    this.camera,
-                    this.gameData,
-                    this.damagePlayer,
-                    this.incrementCombo
-                );
-                this.zombies.push(zombie);
-            }, index * 300);
+        spawns.forEach((type, index) => {
+            const angle = (index / spawns.length) * Math.PI * 2;
+            const position = new THREE.Vector3(
+                center.x + Math.cos(angle) * MINION_SPAWN_RADIUS,
+                center.y,
+                center.z + Math.sin(angle) * MINION_SPAWN_RADIUS
+            );
+            // Behind a wall or off the floor: spawn on the boss instead
+            if (this.navMesh && !this.navMesh.isWalkableSegment(center, position)) {
+                position.copy(center);
+            }
+            this.spawnZombieAt(position, type, { group: 'boss' });
         });
     }
     
     /**
-     * Update all zombies and notify when scene is cleared.
-     * @param {number} deltaTime
-     * @param {boolean} slowMoActive
+     * @returns {Boss|null} The current stage's boss (alive or dead), if spawned
+     */
+    getBoss() {
+        return this.boss;
+    }
+    
+    /**
+     * @param {string} group
+     * @returns {{spawned: number, killed: number}} Totals for zombies no longer in the active array included
+     */
+    getGroupStats(group) {
+        if (!this.groupStats.has(group)) {
+            this.groupStats.set(group, { spawned: 0, killed: 0 });
+        }
+        return this.groupStats.get(group);
+    }
+    
+    /**
+     * Update all zombies and the wave director; spawns the boss once the
+     * waves are done and emits sceneCleared when the whole scene is cleared
+     * (every frame until the state leaves gameplay).
+     * @param {number} deltaTime - Game time (gameClock: slow motion applied, 0 while paused)
      * @param {string} currentState
      * @param {string} gameplayStateConst
-     * @param {() => void} onSceneClearedCb
      */
-    update(deltaTime, slowMoActive, currentState, gameplayStateConst, onSceneClearedCb) {
+    update(deltaTime, currentState, gameplayStateConst) {
         this.zombies.forEach(zombie => {
             if (!zombie.isDead) {
-                zombie.update(deltaTime, slowMoActive);
+                zombie.update(deltaTime);
             }
         });
+        this.separateZombies(deltaTime);
+        this.hazards.update(deltaTime);
+        this.updateAnimations(deltaTime);
+        this.waveDirector.update(deltaTime);
         
-        const aliveCount = this.zombies.filter(z => !z.isDead).length;
-        
+        // Rail ambush zombies never hold up (or clear) the scene
         if (
-            aliveCount === 0 &&
-            this.zombies.length > 0 &&
+            this.waveDirector.isFinished() &&
+            this.getGroupStats('scene').spawned > 0 &&
             currentState === gameplayStateConst
         ) {
-            onSceneClearedCb();
+            if (this.bossStage && !this.boss) {
+                this.spawnBoss(this.bossStage);
+            } else if (!this.boss || this.boss.isDead) {
+                gameEvents.emit('sceneCleared', { scene: this.gameData.currentScene });
+            }
+        }
+    }
+    
+    /**
+     * Local avoidance: push apart living zombies on the same floor that overlap
+     * @param {number} deltaTime
+     */
+    separateZombies(deltaTime) {
+        const alive = this.zombies.filter(z => !z.isDead);
+        const strength = Math.min(1, deltaTime * SEPARATION_RATE);
+        
+        for (let i = 0; i < alive.length; i++) {
+            for (let j = i + 1; j < alive.length; j++) {
+                const a = alive[i];
+                const b = alive[j];
+                if (Math.abs(a.groundY - b.groundY) > SEPARATION_HEIGHT) continue;
+                
+                const dx = b.mesh.position.x - a.mesh.position.x;
+                const dz = b.mesh.position.z - a.mesh.position.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                const minDistance = a.radius + b.radius;
+                if (distance >= minDistance) continue;
+                
+                // Exactly on top of each other: split along x
+                const nx = distance > 0.0001 ? dx / distance : 1;
+                const nz = distance > 0.0001 ? dz / distance : 0;
+                const push = (minDistance - distance) * 0.5 * strength;
+                a.nudge(-nx * push, -nz * push);
+                b.nudge(nx * push, nz * push);
+            }
+        }
+    }
+    
+    /**
+     * Advance zombie animations only (no AI). Also used outside GAMEPLAY so
+     * death animations still finish and bodies get removed. Animation mixers
+     * only advance from here, on game time, so slow-mo and pause apply to them.
+     * @param {number} deltaTime
+     */
+    updateAnimations(deltaTime) {
+        this.zombies.forEach(zombie => zombie.updateAnimation(deltaTime));
+        this.recycleRemovedZombies();
+    }
+    
+    /**
+     * Move zombies whose death animation has finished into the pool
+     */
+    recycleRemovedZombies() {
+        for (let i = this.zombies.length - 1; i >= 0; i--) {
+            const zombie = this.zombies[i];
+            if (!zombie.isRemoved) continue;
+            
+            if (zombie.isDead) this.getGroupStats(zombie.group).killed++;
+            if (zombie.isDead && zombie.killedByPlayer) adaptiveDifficulty.recordKill(zombie.age);
+            this.zombies.splice(i, 1);
+            // Bosses are one-offs (and would otherwise respawn as their base type)
+            if (!zombie.isBoss) this.pool.push(zombie);
         }
     }
     
     clearZombies() {
-        this.zombies.forEach(z => z.remove());
+        this.waveDirector.clear();
+        
+        this.zombies.forEach(z => {
+            z.remove();
+            if (!z.isBoss) this.pool.push(z);
+        });
         this.zombies.length = 0;
-        this.sceneZombiesKilled = 0;
+        this.bossStage = null;
+        this.boss = null;
+        this.groupStats.clear();
+        this.hazards.clear();
     }
     
     getZombies() {
         return this.zombies;
     }
     
-    incrementSceneZombiesKilled() {
-        this.sceneZombiesKilled++;
+    /**
+     * @returns {number} Distance from the player to the closest living zombie (Infinity if none)
+     */
+    getNearestDistance() {
+        return this.zombies.reduce((nearest, z) => z.isDead ? nearest : Math.min(nearest, z.distanceToPlayer), Infinity);
+    }
+    
+    /**
+     * @returns {THREE.Mesh[]} Enemy projectiles the player can shoot down
+     */
+    getProjectileMeshes() {
+        return this.hazards.getShootableMeshes();
+    }
+    
+    /**
+     * Destroy a projectile that was shot
+     * @param {Object} projectile - `userData.projectile` of a projectile mesh
+     */
+    interceptProjectile(projectile) {
+        this.hazards.intercept(projectile);
+    }
+    
+    /**
+     * @param {string} [group] - Only count zombies from this spawn group
+     * @returns {number}
+     */
+    getAliveCount(group) {
+        return this.zombies.filter(z => !z.isDead && (!group || z.group === group)).length;
+    }
+    
+    /**
+     * @param {string} [group] - Only count zombies from this spawn group
+     * @returns {number}
+     */
+    getKilledCount(group) {
+        const dying = this.zombies.filter(z => z.isDead && (!group || z.group === group)).length;
+        if (group) return dying + this.getGroupStats(group).killed;
+        
+        let recycled = 0;
+        this.groupStats.forEach(stats => { recycled += stats.killed; });
+        return dying + recycled;
     }
 }
 
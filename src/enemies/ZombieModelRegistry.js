@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import { computeLocalBounds } from './HitZones.js';
+import { platform } from '../core/Platform.js';
+
+// Expected zombie height in world units, used to normalise odd model scales
+const TARGET_HEIGHT = 1.8;
+
+/**
+ * ZombieModelRegistry
+ * Loads each zombie GLB once and hands out skinned clones.
+ *
+ * Clones share geometry, materials and textures with the cached template,
+ * so instances must never dispose them. Per-instance material copies (hit
+ * flash, death fade) are tagged with `userData.isInstanceMaterial` and are
+ * the only materials a zombie disposes.
+ */
+export class ZombieModelRegistry {
+    constructor() {
+        this.loader = new GLTFLoader();
+        /** @type {Map<string, Promise<Object|null>>} modelPath -> prepared template */
+        this.templates = new Map();
+    }
+
+    /**
+     * Load (once) and prepare the template for a model path
+     * @param {string} modelPath
+     * @returns {Promise<{ scene: THREE.Object3D, animations: THREE.AnimationClip[], localBounds: THREE.Box3, normalizeScale: number } | null>}
+     */
+    loadTemplate(modelPath) {
+        // Headless: zombies keep their placeholder meshes
+        if (!platform.graphics.available) return Promise.resolve(null);
+        if (!this.templates.has(modelPath)) {
+            console.log(`📦 Loading zombie model: ${modelPath}`);
+            const promise = this.loader.loadAsync(modelPath)
+                .then(gltf => this.prepareTemplate(gltf))
+                .catch(error => {
+                    console.error(`❌ Failed to load zombie model ${modelPath}:`, error);
+                    return null;
+                });
+            this.templates.set(modelPath, promise);
+        }
+        return this.templates.get(modelPath);
+    }
+
+    /**
+     * One-time fixes applied to the shared template
+     * @param {Object} gltf
+     */
+    prepareTemplate(gltf) {
+        const scene = gltf.scene;
+
+        scene.traverse((child) => {
+            if (!child.isMesh) return;
+            child.castShadow = true;
+            child.receiveShadow = true;
+
+            // Ensure materials are visible (fix for dark/invisible models)
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(mat => {
+                if (!mat) return;
+                mat.needsUpdate = true;
+                if (!mat.emissive) mat.emissive = new THREE.Color(0x000000);
+                // Lighten very dark materials
+                if (mat.color && mat.color.r < 0.1 && mat.color.g < 0.1 && mat.color.b < 0.1) {
+                    mat.color.multiplyScalar(2);
+                }
+            });
+        });
+
+        // Bounds in model space, shared by every clone for hit zones and scaling
+        const localBounds = computeLocalBounds(scene);
+        const size = localBounds.getSize(new THREE.Vector3());
+        const maxDimension = Math.max(size.x, size.y, size.z);
+
+        // Rescale models that are far too large or too small
+        let normalizeScale = 1;
+        if (maxDimension > 10 || (maxDimension > 0 && maxDimension < 0.5)) {
+            normalizeScale = TARGET_HEIGHT / maxDimension;
+        }
+
+        console.log(`📏 Zombie model size: ${maxDimension.toFixed(2)}, normalize scale: ${normalizeScale.toFixed(2)}`);
+
+        return {
+            scene,
+            animations: gltf.animations,
+            localBounds,
+            normalizeScale
+        };
+    }
+
+    /**
+     * Preload models (e.g. every modelPath in ZOMBIE_TYPES)
+     * @param {Array<string|undefined>} modelPaths - Missing paths are skipped
+     * @returns {Promise<void>}
+     */
+    preload(modelPaths) {
+        const paths = new Set(modelPaths.filter(Boolean));
+        return Promise.all([...paths].map(path => this.loadTemplate(path))).then(() => {});
+    }
+
+    /**
+     * Create a new instance of a zombie type's model
+     * @param {{ modelPath?: string, scale: number }} config - Zombie type config
+     * @returns {Promise<{ model: THREE.Object3D, animations: THREE.AnimationClip[], localBounds: THREE.Box3, scale: number } | null>}
+     *          null if the type has no model (placeholder only) or loading failed
+     */
+    async instantiate(config) {
+        if (!config || !config.modelPath) return null;
+
+        const template = await this.loadTemplate(config.modelPath);
+        if (!template) return null;
+
+        // SkeletonUtils rebinds skinned meshes to the clone's own bones
+        const model = SkeletonUtils.clone(template.scene);
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.userData.originalMaterial = child.material;
+            }
+        });
+
+        return {
+            model,
+            animations: template.animations,
+            localBounds: template.localBounds,
+            scale: config.scale * template.normalizeScale
+        };
+    }
+}
+
+// Export singleton instance
+export const zombieModelRegistry = new ZombieModelRegistry();
@@ -0,0 +1,46 @@
+import { assertValidLevel } from './LevelSchema.js';
+
+/**
+ * LevelLoader
+ * Loads level JSON (from a bundled object or a URL) and validates it
+ */
+
+/**
+ * Load and validate a level
+ * @param {Object|string} source - Parsed level object or URL of a level JSON file
+ * @returns {Promise<Object>} The validated level
+ * @throws {LevelValidationError} If the level does not match the schema
+ */
+export async function loadLevel(source) {
+    let level = source;
+
+    if (typeof source === 'string') {
+        console.log(`📦 Loading level: ${source}`);
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to load level "${source}": HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        try {
+            level = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Level "${source}" is not valid JSON: ${error.message}`);
+        }
+    }
+
+    assertValidLevel(level);
+    console.log(`✅ Level "${level.name}" loaded: ${level.stages.length} stage(s), ${(level.rails || []).length} rail segment(s)`);
+    return level;
+}
+
+/**
+ * Get the environment the level starts in
+ * @param {Object} level
+ * @returns {Object}
+ */
+export function getInitialEnvironment(level) {
+    return level.environments.find(env => env.initial)
+        || level.environments.find(env => env.id === level.stages[0].environment)
+        || level.environments[0];
+}
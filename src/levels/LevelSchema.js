@@ -0,0 +1,513 @@
+import { ZOMBIE_TYPES } from '../enemies/Zombie.js';
+import { BOSS_TYPES } from '../enemies/Boss.js';
+import { MUSIC_TRACKS } from '../systems/MusicManager.js';
+
+/**
+ * Level Schema
+ * Describes the JSON level format and validates level files against it.
+ *
+ * The schema uses a small subset of JSON Schema (type, required, properties,
+ * additionalProperties, items, enum, minItems, minimum, maximum) so error
+ * messages can point designers at the exact field that is wrong, e.g.
+ * `stages[2].camera.position.x: expected number, got string`.
+ */
+
+const POWERUP_TYPES = ['health', 'ammo', 'double_damage', 'slow_mo'];
+
+const MUSIC_TRACK = { type: 'string', enum: Object.keys(MUSIC_TRACKS) };
+
+const VECTOR3 = {
+    type: 'object',
+    required: ['x', 'y', 'z'],
+    additionalProperties: false,
+    properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        z: { type: 'number' }
+    }
+};
+
+const VECTOR2 = {
+    type: 'object',
+    required: ['x', 'z'],
+    additionalProperties: false,
+    properties: {
+        x: { type: 'number' },
+        z: { type: 'number' }
+    }
+};
+
+// Walkable floor rectangle at height y (see systems/NavMesh.js)
+const NAV_AREA = {
+    type: 'object',
+    required: ['id', 'y', 'min', 'max'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string' },
+        y: { type: 'number' },
+        min: VECTOR2,
+        max: VECTOR2
+    }
+};
+
+// Stairs / ladder between two areas, walked through its points in order
+const NAV_LINK = {
+    type: 'object',
+    required: ['from', 'to', 'points'],
+    additionalProperties: false,
+    properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        points: { type: 'array', minItems: 2, items: VECTOR3 }
+    }
+};
+
+const NAVIGATION = {
+    type: 'object',
+    required: ['areas'],
+    additionalProperties: false,
+    properties: {
+        areas: { type: 'array', minItems: 1, items: NAV_AREA },
+        links: { type: 'array', items: NAV_LINK }
+    }
+};
+
+const SPAWN_POINT = {
+    type: 'object',
+    required: ['x', 'y', 'z', 'type'],
+    properties: {
+        ...VECTOR3.properties,
+        type: { type: 'string', enum: Object.keys(ZOMBIE_TYPES) }
+    }
+};
+
+const RAIL_ENEMY_SPAWN = {
+    type: 'object',
+    required: ['timing', 'position', 'type'],
+    additionalProperties: false,
+    properties: {
+        timing: { type: 'number', minimum: 0, maximum: 1 },
+        position: VECTOR3,
+        type: { type: 'string', enum: Object.keys(ZOMBIE_TYPES) },
+        path: { type: 'array', items: VECTOR3 }
+    }
+};
+
+const RAIL_SEGMENT = {
+    type: 'object',
+    required: ['id', 'waypoints'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        waypoints: { type: 'array', minItems: 1, items: VECTOR3 },
+        duration: { type: 'number', minimum: 1 },
+        lookAt: VECTOR3,
+        holdAt: { type: 'number', minimum: 0, maximum: 1 },
+        enemySpawns: { type: 'array', items: RAIL_ENEMY_SPAWN }
+    }
+};
+
+const SPAWN_GROUP = {
+    type: 'object',
+    required: ['points', 'mix'],
+    additionalProperties: false,
+    properties: {
+        points: { type: 'array', minItems: 1, items: VECTOR3 },
+        mix: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['type', 'count'],
+                additionalProperties: false,
+                properties: {
+                    type: { type: 'string', enum: Object.keys(ZOMBIE_TYPES) },
+                    count: { type: 'number', minimum: 1 }
+                }
+            }
+        },
+        delay: { type: 'number', minimum: 0 },
+        interval: { type: 'number', minimum: 0 }
+    }
+};
+
+const WAVE_TRIGGER = {
+    type: 'object',
+    required: ['type'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: ['cleared', 'kills', 'time'] },
+        count: { type: 'number', minimum: 1 },
+        seconds: { type: 'number', minimum: 0 }
+    }
+};
+
+const WAVE = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        trigger: WAVE_TRIGGER,
+        delay: { type: 'number', minimum: 0 },
+        interval: { type: 'number', minimum: 0 },
+        spawns: { type: 'array', minItems: 1, items: SPAWN_POINT },
+        groups: { type: 'array', minItems: 1, items: SPAWN_GROUP }
+    }
+};
+
+const BOSS = {
+    type: 'object',
+    required: ['type', 'position'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: Object.keys(BOSS_TYPES) },
+        position: VECTOR3
+    }
+};
+
+const TRANSITION = {
+    type: 'object',
+    required: ['type'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: ['camera', 'environment', 'complete'] },
+        environment: { type: 'string' },
+        message: { type: 'string' },
+        delay: { type: 'number', minimum: 0 },
+        duration: { type: 'number', minimum: 0 }
+    }
+};
+
+const STAGE = {
+    type: 'object',
+    required: ['id', 'name', 'environment', 'camera', 'waves'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        environment: { type: 'string' },
+        camera: {
+            type: 'object',
+            required: ['position', 'lookAt'],
+            additionalProperties: false,
+            properties: {
+                position: VECTOR3,
+                lookAt: VECTOR3
+            }
+        },
+        waves: { type: 'array', minItems: 1, items: WAVE },
+        boss: BOSS,
+        music: MUSIC_TRACK,
+        powerUps: {
+            type: 'object',
+            required: ['positions'],
+            additionalProperties: false,
+            properties: {
+                positions: { type: 'array', items: VECTOR3 },
+                maxSpawns: { type: 'number', minimum: 0 },
+                types: { type: 'array', items: { type: 'string', enum: POWERUP_TYPES } }
+            }
+        },
+        transition: TRANSITION
+    }
+};
+
+export const LEVEL_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'environments', 'stages'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        version: { type: 'number' },
+        music: MUSIC_TRACK,
+        environments: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'model'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    model: { type: 'string' },
+                    initial: { type: 'boolean' },
+                    preload: { type: 'boolean' },
+                    navigation: NAVIGATION
+                }
+            }
+        },
+        rails: { type: 'array', items: RAIL_SEGMENT },
+        stages: { type: 'array', minItems: 1, items: STAGE }
+    }
+};
+
+/**
+ * Error thrown when a level file does not match the schema
+ */
+export class LevelValidationError extends Error {
+    /**
+     * @param {string} levelName
+     * @param {string[]} errors
+     */
+    constructor(levelName, errors) {
+        super(`Invalid level "${levelName}":\n  - ${errors.join('\n  - ')}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema node, collecting readable errors
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Dotted path used in error messages
+ * @param {string[]} errors
+ */
+function checkNode(value, schema, path, errors) {
+    const actualType = describeType(value);
+    if (schema.type && actualType !== schema.type) {
+        errors.push(`${path}: expected ${schema.type}, got ${actualType}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: "${value}" is not one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.type === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push(`${path}: expected a finite number`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: needs at least ${schema.minItems} item(s), got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkNode(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        });
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                checkNode(value[key], properties[key], `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: unknown field`);
+            }
+        });
+    }
+}
+
+// Max height difference between a point and the area floor it stands on
+const NAV_STEP_HEIGHT = 0.5;
+
+function isOnArea(area, point) {
+    return point.x >= area.min.x && point.x <= area.max.x
+        && point.z >= area.min.z && point.z <= area.max.z
+        && Math.abs(point.y - area.y) <= NAV_STEP_HEIGHT;
+}
+
+/**
+ * Navigation checks: area bounds, unique ids and link endpoints on their areas
+ * @param {Object} navigation
+ * @param {string} path
+ * @param {string[]} errors
+ */
+function checkNavigation(navigation, path, errors) {
+    const areas = new Map();
+    navigation.areas.forEach((area, index) => {
+        if (areas.has(area.id)) {
+            errors.push(`${path}.areas: duplicate id "${area.id}"`);
+        }
+        areas.set(area.id, area);
+        if (area.min.x >= area.max.x || area.min.z >= area.max.z) {
+            errors.push(`${path}.areas[${index}]: min must be smaller than max on x and z`);
+        }
+    });
+
+    (navigation.links || []).forEach((link, index) => {
+        const first = link.points[0];
+        const last = link.points[link.points.length - 1];
+        [['from', first], ['to', last]].forEach(([key, point]) => {
+            const area = areas.get(link[key]);
+            if (!area) {
+                errors.push(`${path}.links[${index}].${key}: unknown area "${link[key]}"`);
+            } else if (!isOnArea(area, point)) {
+                errors.push(`${path}.links[${index}].${key}: link end (${point.x}, ${point.y}, ${point.z}) is not on area "${area.id}"`);
+            }
+        });
+    });
+}
+
+/**
+ * Checks that cannot be expressed in the schema itself:
+ * unique ids and references between environments, rails and stages
+ * @param {Object} level
+ * @param {string[]} errors
+ */
+function checkReferences(level, errors) {
+    const findDuplicates = (items) => {
+        const seen = new Set();
+        return items.filter(item => {
+            if (seen.has(item.id)) return true;
+            seen.add(item.id);
+            return false;
+        }).map(item => item.id);
+    };
+
+    findDuplicates(level.environments).forEach(id => errors.push(`level.environments: duplicate id "${id}"`));
+    findDuplicates(level.stages).forEach(id => errors.push(`level.stages: duplicate id "${id}"`));
+    findDuplicates(level.rails || []).forEach(id => errors.push(`level.rails: duplicate id "${id}"`));
+
+    level.environments.forEach((env, index) => {
+        if (env.navigation) checkNavigation(env.navigation, `level.environments[${index}].navigation`, errors);
+    });
+
+    (level.rails || []).forEach((rail, index) => {
+        if (rail.holdAt === undefined) return;
+        const path = `level.rails[${index}]`;
+        const spawns = rail.enemySpawns || [];
+
+        if (spawns.length === 0) {
+            errors.push(`${path}.holdAt: has no enemySpawns to wait for`);
+        }
+        // A spawn past the hold point would never fire, so the camera would wait forever
+        spawns.forEach((spawn, spawnIndex) => {
+            if (spawn.timing > rail.holdAt) {
+                errors.push(`${path}.enemySpawns[${spawnIndex}].timing: ${spawn.timing} is after holdAt ${rail.holdAt}`);
+            }
+        });
+    });
+
+    const environmentIds = new Set(level.environments.map(env => env.id));
+    if (level.environments.filter(env => env.initial).length > 1) {
+        errors.push('level.environments: only one environment can be marked "initial"');
+    }
+
+    level.stages.forEach((stage, index) => {
+        const path = `level.stages[${index}]`;
+        if (!environmentIds.has(stage.environment)) {
+            errors.push(`${path}.environment: unknown environment "${stage.environment}"`);
+        }
+
+        stage.waves.forEach((wave, waveIndex) => {
+            const wavePath = `${path}.waves[${waveIndex}]`;
+            if (!wave.spawns && !wave.groups) {
+                errors.push(`${wavePath}: needs "spawns" or "groups"`);
+            }
+            const trigger = wave.trigger;
+            if (trigger?.type === 'kills' && trigger.count === undefined) {
+                errors.push(`${wavePath}.trigger.count: is required for "kills" triggers`);
+            }
+            if (trigger?.type === 'time' && trigger.seconds === undefined) {
+                errors.push(`${wavePath}.trigger.seconds: is required for "time" triggers`);
+            }
+        });
+
+        // Zombies spawned off the nav mesh can't path to the player
+        const navigation = level.environments.find(env => env.id === stage.environment)?.navigation;
+        if (navigation) {
+            const checkOnMesh = (point, pointPath) => {
+                if (!navigation.areas.some(area => isOnArea(area, point))) {
+                    errors.push(`${pointPath}: (${point.x}, ${point.y}, ${point.z}) is not on any navigation area`);
+                }
+            };
+            stage.waves.forEach((wave, waveIndex) => {
+                const wavePath = `${path}.waves[${waveIndex}]`;
+                (wave.spawns || []).forEach((spawn, spawnIndex) => {
+                    checkOnMesh(spawn, `${wavePath}.spawns[${spawnIndex}]`);
+                });
+                (wave.groups || []).forEach((group, groupIndex) => {
+                    group.points.forEach((point, pointIndex) => {
+                        checkOnMesh(point, `${wavePath}.groups[${groupIndex}].points[${pointIndex}]`);
+                    });
+                });
+            });
+            if (stage.boss) checkOnMesh(stage.boss.position, `${path}.boss.position`);
+        }
+
+        const transition = stage.transition;
+        const isLast = index === level.stages.length - 1;
+        const nextStage = level.stages[index + 1];
+
+        // Only the last stage may leave it out (it then completes the mission)
+        if (!transition) {
+            if (!isLast) errors.push(`${path}.transition: is required on every stage but the last`);
+            return;
+        }
+
+        if (transition.type === 'environment') {
+            if (!transition.environment) {
+                errors.push(`${path}.transition.environment: is required for "environment" transitions`);
+            } else if (!environmentIds.has(transition.environment)) {
+                errors.push(`${path}.transition.environment: unknown environment "${transition.environment}"`);
+            } else if (nextStage && nextStage.environment !== transition.environment) {
+                errors.push(`${path}.transition.environment: "${transition.environment}" does not match the next stage's environment "${nextStage.environment}"`);
+            }
+        }
+
+        if (transition.type === 'camera' && nextStage && nextStage.environment !== stage.environment) {
+            errors.push(`${path}.transition: next stage is in "${nextStage.environment}", use an "environment" transition`);
+        }
+
+        if (transition.type !== 'complete' && isLast) {
+            errors.push(`${path}.transition: the last stage must use a "complete" transition`);
+        }
+        if (transition.type === 'complete' && !isLast) {
+            errors.push(`${path}.transition: only the last stage can use a "complete" transition`);
+        }
+    });
+}
+
+/**
+ * Validate a parsed level against the schema
+ * @param {Object} level
+ * @returns {string[]} Human readable errors (empty if valid)
+ */
+export function validateLevel(level) {
+    const errors = [];
+    checkNode(level, LEVEL_SCHEMA, 'level', errors);
+
+    // Reference checks assume the basic structure is intact
+    if (errors.length === 0) {
+        checkReferences(level, errors);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a level and throw a LevelValidationError if it is invalid
+ * @param {Object} level
+ * @returns {Object} The same level, for chaining
+ */
+export function assertValidLevel(level) {
+    const errors = validateLevel(level);
+    if (errors.length > 0) {
+        throw new LevelValidationError(level?.name || level?.id || 'unknown', errors);
+    }
+    return level;
+}
@@ -0,0 +1,24 @@
+import warehouseLevel from './warehouse.json';
+import { platform } from '../core/Platform.js';
+
+/**
+ * Bundled levels
+ * Add new level JSON files here to ship them with the game.
+ * Levels can also be loaded from a URL with `?level=/path/to/level.json`.
+ */
+export const LEVELS = {
+    [warehouseLevel.id]: warehouseLevel
+};
+
+export const DEFAULT_LEVEL_ID = warehouseLevel.id;
+
+/**
+ * Resolve which level to load from the page URL
+ * `?level=<id>` picks a bundled level, anything else is treated as a URL
+ * @returns {Object|string} Level object or URL for LevelLoader.loadLevel
+ */
+export function getLevelSource() {
+    const param = platform.dom.getUrlParam('level');
+    if (!param) return LEVELS[DEFAULT_LEVEL_ID];
+    return LEVELS[param] || param;
+}
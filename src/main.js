@@ -6,18 +6,67 @@
 import * as THREE from 'three';
 import TWEEN from '@tweenjs/tween.js';
 import { GameState, gameData } from './core/GameState.js';
-import { CAMERA_SCENES } from './core/SceneConfig.js';
+import { gameClock } from './core/GameClock.js';
+import { settings } from './core/Settings.js';
+import { rng, createSeed, getSeedParam } from './core/Random.js';
+import { gameEvents } from './core/GameEvents.js';
+import { getPalette } from './ui/Palettes.js';
+import { buildCameraScenes } from './core/SceneConfig.js';
 import { Renderer } from './core/Renderer.js';
 import { RenderManager } from './core/RenderManager.js';
 import { SceneLoader } from './core/SceneLoader.js';
 import { PowerUpManager } from './systems/PowerUpManager.js';
 import { PlayerManager } from './systems/PlayerManager.js';
 import ZombieManager from './enemies/ZombieManager.js';
-import { updateRecoil, setRecoilWeapon } from './combat/Recoil.js';
-import { initShootingSystem } from './combat/ShootingSystem.js';
-import { initHUD, createUI, updateUI, updateFinalStats, saveLeaderboard } from './ui/HUD.js';
+import { updateRecoil, resetRecoil, setRecoilWeapon, setRecoilFovKickScale, getRecoilFovOffset } from './combat/Recoil.js';
+import {
+    initShootingSystem,
+    pressTrigger,
+    aimTrigger,
+    releaseTrigger,
+    cancelTrigger,
+    updateTrigger,
+    updateImpactSpheres
+} from './combat/ShootingSystem.js';
+import {
+    initHUD,
+    createUI,
+    updateUI,
+    updateFinalStats,
+    saveLeaderboard,
+    showPauseMenu,
+    setPauseMenuCallbacks,
+    applyHUDSettings,
+    moveCrosshair,
+    isPauseMenuOpen,
+    setReplayCallbacks,
+    showReplayBanner
+} from './ui/HUD.js';
 import { WeaponModelManager } from './weapons/WeaponModelManager.js';
+import { weaponManager } from './weapons/WeaponManager.js';
+import { soundManager } from './systems/SoundManager.js';
+import { musicManager } from './systems/MusicManager.js';
+import { inputManager } from './systems/InputManager.js';
+import { replayManager } from './systems/ReplayManager.js';
+import {
+    getDifficulty,
+    getDifficultyId,
+    setDifficulty,
+    cycleDifficulty,
+    isGodMode,
+    setGodMode,
+    toggleGodMode
+} from './core/Difficulty.js';
 import { RailMovementManager } from './systems/RailMovementManager.js';
+import { buildRailPaths } from './systems/RailPathConfig.js';
+import { buildNavMeshes } from './systems/NavMesh.js';
+import { loadLevel, getInitialEnvironment } from './levels/LevelLoader.js';
+import { getLevelSource } from './levels/index.js';
+import { devTools } from './dev/DevTools.js';
+import { FreeCameraPlugin } from './dev/plugins/FreeCameraPlugin.js';
+import { RailEditorPlugin } from './dev/plugins/RailEditorPlugin.js';
+import { TeleportPlugin } from './dev/plugins/TeleportPlugin.js';
+import { HelpersPlugin } from './dev/plugins/HelpersPlugin.js';
 
 // ============================================================================
 // THREE.JS SETUP
@@ -35,50 +84,66 @@ const sceneLoader = new SceneLoader();
 const renderManager = new RenderManager(renderer, scene, camera, clock);
 renderManager.setSceneLoader(sceneLoader);
 
-let currentCameraScene = CAMERA_SCENES[0];
+// Audio: listener on the camera so positional sounds are heard from the player
+soundManager.init(camera);
+musicManager.init();
 
-// Player Manager
-const playerManager = new PlayerManager(
-    updateUI,
-    () => playerManager.resetCombo(),
-    gameOver
-);
+// Replays: every frame's timing goes through the replay manager, which
+// records it or plays a recorded run's back
+replayManager.init(camera);
+renderManager.setFrameHooks({
+    begin: (realDelta, elapsedTime) => replayManager.beginFrame(realDelta, elapsedTime),
+    end: () => replayManager.endFrame()
+});
+
+// Level data (set once the level file is loaded and validated)
+let level = null;
+let cameraScenes = [];
+let navMeshes = new Map();
+let currentCameraScene = null;
+
+// Player Manager (takes zombie hits and kills from game events)
+const playerManager = new PlayerManager();
 
 // Power-Up Manager
-const powerUpManager = new PowerUpManager(
-    scene,
-    camera,
-    gameData,
-    updateUI,
-    showPowerUpMessage
-);
+const powerUpManager = new PowerUpManager(scene, camera, gameData);
 
 // Zombie Manager
-const zombieManager = new ZombieManager(
-    scene,
-    camera,
-    gameData,
-    (amount) => playerManager.damage(amount),
-    () => playerManager.incrementCombo()
-);
+const zombieManager = new ZombieManager(scene, camera, gameData);
 
 // Weapon Model Manager
 const weaponModelManager = new WeaponModelManager(scene, camera);
 
 // Rail Movement Manager
+// Paths are set from the level file in initLevel()
 const railMovementManager = new RailMovementManager(camera, threeRenderer, gameData, GameState, clock);
-railMovementManager.init(); // Initialize paths
 
 // Set up enemy spawn callback for rail movement
-railMovementManager.setEnemySpawnCallback((position, type, zombiePath) => {
-    // TODO: Spawn enemy at position with type and optional path
-    // This will be called automatically when the camera reaches spawn points along the path
-    console.log(`🎯 Rail enemy spawn: ${type} at`, position, 'path:', zombiePath);
-    // Example: zombieManager.spawnZombieAt(position, type, zombiePath);
+// Ambush zombies head for the end of the rail segment they were spawned on
+railMovementManager.setEnemySpawnCallback((position, type, zombiePath, railPath) => {
+    const waypoints = railPath.waypoints;
+    const target = waypoints[waypoints.length - 1];
+    console.log(`🎯 Rail enemy spawn: ${type} on ${railPath.id}`);
+    zombieManager.spawnZombieAt(position, type, {
+        path: zombiePath,
+        target,
+        group: `ambush:${railPath.id}`
+    });
+});
+
+// Paths with a holdAt point wait here until their ambush group is dead
+railMovementManager.setAmbushClearedCallback((pathId) => {
+    return zombieManager.getAliveCount(`ambush:${pathId}`) === 0;
 });
 
-// Screen shake
+// Screen shake and recoil's FOV punch are only drawn: they are put on the
+// camera for the render and taken off again, so they never move the aim
+// (the screen shake setting doesn't change how a run plays out)
 let screenShakeIntensity = 0;
+const shakeOffset = new THREE.Vector3();
+// Camera position / FOV the effects were put on top of
+const viewBeforeEffects = { position: new THREE.Vector3(), fov: 0 };
+renderManager.setViewEffects({ apply: applyViewEffects, restore: restoreViewEffects });
 
 // Global flag to disable camera breathing/shake during rail movement
 // This is checked directly in camera update functions
@@ -93,14 +158,30 @@ initShootingSystem({
     gameDataRef: gameData,
     zombieManagerRef: zombieManager,
     powerUpsArrayRef: () => powerUpManager.getPowerUps(),
-    reload: () => playerManager.reload(currentWeaponId),
-    updateUI,
-    resetCombo: () => playerManager.resetCombo(),
-    createDamageNumber,
-    showHeadshotIndicator,
-    triggerScreenShake: () => { screenShakeIntensity = 0.02; }
+    reload: () => playerManager.reload()
 });
 
+// ============================================================================
+// GAME EVENTS
+// ============================================================================
+// The HUD refreshes and shows threat warnings itself (initHUD)
+gameEvents.on('shotFired', () => { screenShakeIntensity = 0.02 * settings.get('screenShake'); });
+// Weak point hits get the big critical-hit number too
+gameEvents.on('zombieHit', ({ point, damage, headshot, zone }) => {
+    createDamageNumber(point, Math.round(damage), headshot || zone === 'weakPoint');
+});
+gameEvents.on('zombieKilled', ({ headshot }) => {
+    if (headshot) showHeadshotIndicator();
+});
+gameEvents.on('headshotStreak', () => musicManager.playStinger('headshotStreak'));
+gameEvents.on('powerUpCollected', ({ label }) => showPowerUpMessage(`POWER-UP: ${label}`));
+// Threat warnings are announced (ducking the rest of the mix)
+gameEvents.on('threatWarning', () => soundManager.announce());
+gameEvents.on('sceneCleared', () => onSceneCleared());
+// Camera breathing / shake resume once the camera is off the rails
+gameEvents.on('railArrived', () => { isRailMovementActive = false; });
+gameEvents.on('playerDied', () => gameOver());
+
 // ============================================================================
 // HUD INIT
 // ============================================================================
@@ -115,28 +196,34 @@ initHUD({
 // ============================================================================
 // WEAPON SYSTEM
 // ============================================================================
-let currentWeaponId = 'pistol';
-
-// Weapon ammo configuration
-const WEAPON_AMMO_CONFIG = {
-    pistol: {
-        clipSize: 11,
-        reserveSize: 22 // 2 clips
-    },
-    shotgun: {
-        clipSize: 6,
-        reserveSize: 12 // 2 clips
-    },
-    rifle: {
-        clipSize: 24,
-        reserveSize: 48 // 2 clips
-    }
-};
-
+// Ammo, reload and fire rate are owned by weaponManager (weapons/WeaponManager.js)
 function switchCurrentWeapon(id) {
-    if (currentWeaponId === id) return;
+    if (weaponManager.currentWeaponId === id) return;
+    
+    // Each weapon keeps its own clip and reserve; switching cancels a reload
+    cancelTrigger();
+    weaponManager.switchWeapon(id);
+    const weaponLabel = showCurrentWeapon();
+    
+    const indicator = document.getElementById('weapon-switch-message');
+    if (indicator) {
+        indicator.textContent = `SWITCHED TO ${weaponLabel}`;
+        indicator.style.opacity = '1';
+        indicator.style.display = 'block';
+        setTimeout(() => {
+            indicator.style.opacity = '0';
+        }, 600);
+    }
     
-    currentWeaponId = id;
+    updateUI();
+}
+
+/**
+ * Sync recoil, weapon model and HUD weapon slots with weaponManager
+ * @returns {string} HUD label of the current weapon
+ */
+function showCurrentWeapon() {
+    const id = weaponManager.currentWeaponId;
     setRecoilWeapon(id);
     
     // Switch weapon model
@@ -144,23 +231,6 @@ function switchCurrentWeapon(id) {
         weaponModelManager.switchWeapon(id);
     }
     
-    // Update ammo values for the new weapon
-    const weaponConfig = WEAPON_AMMO_CONFIG[id];
-    if (weaponConfig) {
-        // If switching weapons, preserve current ammo ratio or set to full
-        const oldMaxAmmo = gameData.maxAmmo;
-        const ammoRatio = oldMaxAmmo > 0 ? gameData.currentAmmo / oldMaxAmmo : 1;
-        
-        gameData.maxAmmo = weaponConfig.clipSize;
-        gameData.currentAmmo = Math.round(weaponConfig.clipSize * ammoRatio);
-        gameData.reserveAmmo = weaponConfig.reserveSize;
-        
-        // Ensure we don't exceed max ammo
-        if (gameData.currentAmmo > gameData.maxAmmo) {
-            gameData.currentAmmo = gameData.maxAmmo;
-        }
-    }
-    
     const weaponLabel = {
         pistol: 'PISTOL',
         shotgun: 'SHOTGUN',
@@ -169,7 +239,11 @@ function switchCurrentWeapon(id) {
     
     const nameEl = document.getElementById('weapon-name');
     if (nameEl) {
-        nameEl.textContent = weaponLabel;
+        // Show the fire mode for weapons that can change it
+        const weapon = weaponManager.currentWeapon;
+        nameEl.textContent = weapon.fireModes.length > 1
+            ? `${weaponLabel} [${weapon.fireMode.toUpperCase()}]`
+            : weaponLabel;
     }
     
     // Highlight current slot
@@ -190,15 +264,7 @@ function switchCurrentWeapon(id) {
         activeSlot.style.background = 'rgba(0,255,255,0.15)';
     }
     
-    const indicator = document.getElementById('weapon-switch-message');
-    if (indicator) {
-        indicator.textContent = `SWITCHED TO ${weaponLabel}`;
-        indicator.style.opacity = '1';
-        indicator.style.display = 'block';
-        setTimeout(() => {
-            indicator.style.opacity = '0';
-        }, 600);
-    }
+    return weaponLabel;
 }
 
 // ============================================================================
@@ -207,7 +273,6 @@ function switchCurrentWeapon(id) {
 function updateCameraBreathing(elapsedTime) {
     if (threeRenderer.isFreeCamera) return;
     if (gameData.currentState !== GameState.GAMEPLAY) return;
-    if (screenShakeIntensity > 0.001) return;
     
     // CRITICAL: Check rail movement first - do NOT override camera during rail movement
     // Use both the flag and the manager check for redundancy
@@ -235,23 +300,18 @@ function updateCameraBreathing(elapsedTime) {
 }
 
 function updateScreenShake() {
-        if (screenShakeIntensity > 0) {
+    shakeOffset.set(0, 0, 0);
+    if (screenShakeIntensity > 0) {
         // CRITICAL: Do NOT apply screen shake during rail movement
-        if (isRailMovementActive || (railMovementManager && railMovementManager.isMoving())) {
-            // Rail movement controls camera, ignore shake
-            screenShakeIntensity *= 0.85;
-            if (screenShakeIntensity < 0.001) {
-                screenShakeIntensity = 0;
-            }
-            return;
-        }
-        
-        const shakeX = (Math.random() - 0.5) * screenShakeIntensity;
-        const shakeY = (Math.random() - 0.5) * screenShakeIntensity;
-        
-        if (!threeRenderer.isFreeCamera) {
-            camera.position.x = currentCameraScene.position.x + shakeX;
-            camera.position.y = currentCameraScene.position.y + shakeY;
+        // (rail movement controls camera, the shake just dies out)
+        const railMoving = isRailMovementActive || (railMovementManager && railMovementManager.isMoving());
+        if (!railMoving && !threeRenderer.isFreeCamera) {
+            // Not from the seeded rng: the shake is never part of a run
+            shakeOffset.set(
+                (Math.random() - 0.5) * screenShakeIntensity,
+                (Math.random() - 0.5) * screenShakeIntensity,
+                0
+            );
         }
         
         screenShakeIntensity *= 0.85;
@@ -262,8 +322,37 @@ function updateScreenShake() {
     }
 }
 
+function applyViewEffects() {
+    viewBeforeEffects.position.copy(camera.position);
+    viewBeforeEffects.fov = camera.fov;
+    camera.position.add(shakeOffset);
+    const fovOffset = getRecoilFovOffset();
+    if (fovOffset !== 0) {
+        camera.fov -= fovOffset;
+        camera.updateProjectionMatrix();
+    }
+}
+
+function restoreViewEffects() {
+    camera.position.copy(viewBeforeEffects.position);
+    if (camera.fov !== viewBeforeEffects.fov) {
+        camera.fov = viewBeforeEffects.fov;
+        camera.updateProjectionMatrix();
+    }
+    // The draw updated the camera's matrices with the effects on, and a shot
+    // between frames raycasts from them
+    camera.updateMatrixWorld();
+}
+
 // Expose rail movement function globally for button
 function startRailMovement() {
+    // A replay moves along the rails by itself
+    if (replayManager.isPlaying()) return;
+    replayManager.record('rail');
+    moveAlongRails();
+}
+
+function moveAlongRails() {
     // Set global flag before starting movement
     isRailMovementActive = true;
     railMovementManager.moveToNextPath();
@@ -275,39 +364,61 @@ window.isRailMovementActive = false; // Initialize global flag
 // RENDER MANAGER UPDATE CALLBACKS
 // ============================================================================
     renderManager.setUpdateCallbacks({
-        tween: () => {
+        tween: (deltaTime) => {
             // Update rail movement (now uses manual interpolation, not TWEEN)
-            railMovementManager.update();
-            // Still update TWEEN for any other tweens in the system
-            TWEEN.update();
+            railMovementManager.update(deltaTime);
+            // Still update TWEEN for any other tweens in the system (on play time, in ms)
+            TWEEN.update(gameClock.playTime * 1000);
         }, // Rail movement updates here - MUST be before camera updates
     freeCamera: {
         enabled: false,
         update: () => threeRenderer.controls.update()
     },
     gameplay: [
+        // Gamepad buttons and stick aim (no aiming while paused)
+        () => inputManager.update(gameClock.playDelta),
+        // Burst / full-auto follow-up shots; cancels itself outside GAMEPLAY
+        () => updateTrigger(),
+        // Shot impact markers fade out (and are removed) in any state
+        (deltaTime) => updateImpactSpheres(deltaTime),
+        // Music stems follow the fight (calm outside gameplay)
+        () => {
+            const inCombat = gameData.currentState === GameState.GAMEPLAY;
+            musicManager.update(gameClock.playDelta, {
+                aliveCount: inCombat ? zombieManager.getAliveCount() : 0,
+                nearestDistance: zombieManager.getNearestDistance(),
+                combo: inCombat ? gameData.currentCombo : 0
+            });
+        },
+        (deltaTime) => {
+            // Let death animations finish while transitioning / on mission complete
+            if (
+                gameData.currentState === GameState.SCENE_TRANSITION ||
+                gameData.currentState === GameState.MISSION_COMPLETE
+            ) {
+                zombieManager.updateAnimations(deltaTime);
+            }
+        },
         (deltaTime) => {
             if (gameData.currentState === GameState.GAMEPLAY) {
-                zombieManager.update(
-                    deltaTime,
-                    gameData.slowMoActive,
-                    gameData.currentState,
-                    GameState.GAMEPLAY,
-                    onSceneCleared
-                );
-                playerManager.updateComboTimer(deltaTime);
+                zombieManager.update(deltaTime, gameData.currentState, GameState.GAMEPLAY);
+                // The player's own timers ignore slow motion
+                playerManager.updateComboTimer(gameClock.playDelta);
+                weaponManager.update(gameClock.playTime);
                 powerUpManager.update(deltaTime);
-                powerUpManager.updateTimers(deltaTime);
-                gameData.currentTime = (Date.now() - gameData.startTime) / 1000;
+                gameData.currentTime = gameClock.playTime - gameData.startTime;
                 updateUI();
             }
-        }
+        },
+        // Power-up timers keep running through transitions and rail travel,
+        // so slow motion can't outlast its 5 seconds (stopped while paused)
+        () => powerUpManager.updateTimers(gameClock.playDelta)
     ],
     camera: [
         // IMPORTANT: These run AFTER tween updates, but check railMovementManager.isMoving()
         // to prevent overriding the rail movement camera position
         (elapsedTime) => updateCameraBreathing(elapsedTime),
-        (elapsedTime, deltaTime) => updateRecoil(deltaTime, camera, threeRenderer.BASE_FOV),
+        (elapsedTime, deltaTime) => updateRecoil(deltaTime, camera),
         () => updateScreenShake(),
         (elapsedTime, deltaTime) => {
             // Update weapon models to follow camera
@@ -315,6 +426,8 @@ window.isRailMovementActive = false; // Initialize global flag
                 weaponModelManager.update(deltaTime);
             }
         },
+        // Free camera fly etc. (only while the dev tools are on)
+        (elapsedTime, deltaTime) => devTools.update(deltaTime),
         // CRITICAL: Run rail movement safety check LAST to ensure camera position is correct
         // This runs after all other camera updates to fix any overrides
         // MUST be the absolute last callback to always win
@@ -327,52 +440,85 @@ window.isRailMovementActive = false; // Initialize global flag
         }
     ],
     ui: [
-        () => powerUpManager.updateUI(),
-        () => {
-            // Update impact spheres if needed
-            const impactSpheres = [];
-            // TODO: Integrate impact spheres update
-        }
+        () => powerUpManager.updateUI()
     ]
 });
 
 // ============================================================================
 // SCENE MANAGEMENT
 // ============================================================================
-let factorySceneLoaded = false;
-let warehouseLoaded = false;
+let initialEnvironmentReady = false;
 let isFirstGameStart = true;
 
+/**
+ * Start the waves and power-ups of the current camera scene
+ */
 function spawnSceneZombies() {
     console.log(`🎬 Spawning zombies for Scene ${gameData.currentScene + 1}: ${currentCameraScene.name}`);
-    zombieManager.spawnSceneZombies(currentCameraScene.spawnPoints);
+    zombieManager.startSceneWaves(currentCameraScene.waves, currentCameraScene.boss);
+    powerUpManager.spawnScenePowerUps(currentCameraScene.powerUps);
     updateUI();
 }
 
+/**
+ * Called once every wave of the current scene is dead.
+ * Plays the transition declared for the scene in the level file.
+ */
 function onSceneCleared() {
     console.log(`✅ Scene ${gameData.currentScene + 1} cleared!`);
     
-    if (gameData.currentScene === 0) {
-        checkDoorInteraction();
-        return;
+    const transition = currentCameraScene.transition;
+    gameData.currentState = GameState.SCENE_TRANSITION;
+    
+    if (transition.type !== 'complete') {
+        musicManager.playStinger('sceneTransition');
     }
     
-    if (gameData.currentScene < gameData.totalScenes - 1) {
-        transitionToNextScene();
-    } else {
-        completeMission();
+    switch (transition.type) {
+        case 'environment':
+            enterEnvironment(transition);
+            break;
+        case 'camera':
+            transitionToNextScene(transition.duration);
+            break;
+        default:
+            completeMission(transition.delay);
+            break;
     }
 }
 
-function transitionToNextScene() {
+/**
+ * Make a level environment visible and use its floor as the ground
+ * @param {string} environmentId
+ */
+function activateEnvironment(environmentId) {
+    zombieManager.setNavMesh(navMeshes.get(environmentId) || null);
+    if (sceneLoader.activeEnvironmentId === environmentId) return;
+    
+    const model = sceneLoader.showEnvironment(environmentId);
+    const groundMesh = sceneLoader.findGroundMesh(model);
+    if (groundMesh) {
+        groundMesh.receiveShadow = true;
+        threeRenderer.setGround(groundMesh);
+        console.log('✅ Found ground mesh in', environmentId);
+    } else if (!threeRenderer.getGround()) {
+        console.log('⚠️ No ground found, creating fallback');
+        threeRenderer.setGround(createFallbackGround());
+    }
+}
+
+function transitionToNextScene(duration = 2000) {
     gameData.currentState = GameState.SCENE_TRANSITION;
     console.log('🎥 Transitioning to next scene...');
     
     gameData.currentScene++;
-    currentCameraScene = CAMERA_SCENES[gameData.currentScene];
+    currentCameraScene = cameraScenes[gameData.currentScene];
+    musicManager.playTrack(currentCameraScene.music);
 
     zombieManager.clearZombies();
     powerUpManager.clear();
+    
+    activateEnvironment(currentCameraScene.environment);
 
     // Camera start/end
     const startPos = camera.position.clone();
@@ -386,15 +532,15 @@ function transitionToNextScene() {
     screenShakeIntensity = 0;
 
     const tweenPos = new TWEEN.Tween(startPos)
-        .to(endPos, 2000)
+        .to(endPos, duration)
         .easing(TWEEN.Easing.Quadratic.InOut)
         .onUpdate(() => {
             camera.position.copy(startPos);
         })
-        .start();
+        .start(gameClock.playTime * 1000);
 
     const tweenLookAt = new TWEEN.Tween(startLookAt)
-        .to(endLookAt, 2000)
+        .to(endLookAt, duration)
         .easing(TWEEN.Easing.Quadratic.InOut)
         .onUpdate(() => {
             camera.up.set(0, 1, 0); // ADD THIS LINE
@@ -408,10 +554,9 @@ function transitionToNextScene() {
             gameData.currentState = GameState.GAMEPLAY;
             screenShakeIntensity = prevScreenShake; // restore shake
             spawnSceneZombies();
-            powerUpManager.spawnScenePowerUps(gameData.currentScene);
             showSceneTitle();
         })
-        .start();
+        .start(gameClock.playTime * 1000);
 }
 
 function showSceneTitle() {
@@ -449,9 +594,26 @@ function showSceneTitle() {
 // ============================================================================
 // GAME FLOW
 // ============================================================================
+/**
+ * Start a run on the next clock tick, so it always begins at the same point
+ * of a frame (and a replay's first frame lines up with the recorded one)
+ */
+let pendingStartId = null;
+function requestStart() {
+    gameClock.cancel(pendingStartId);
+    pendingStartId = gameClock.schedule(0, startGame);
+}
+
 function startGame() {
+    if (!level) return;
     console.log('🚀 Starting Game');
     
+    // Every run starts from the same clock and its own seed: a replay's
+    // recorded seed, `?seed=` (daily challenges, tests) or a fresh one
+    const replay = replayManager.getPlayback();
+    rng.setSeed(replay ? replay.seed : getSeedParam() ?? createSeed());
+    gameClock.reset();
+    
     const startPrompt = document.getElementById('start-prompt');
     if (startPrompt) {
         startPrompt.classList.remove('visible');
@@ -460,15 +622,8 @@ function startGame() {
     gameData.gameStarted = true;
     gameData.currentScene = 0;
     
-    // Initialize weapon ammo for starting weapon (pistol)
-    const pistolConfig = WEAPON_AMMO_CONFIG['pistol'];
-    if (pistolConfig) {
-        gameData.maxAmmo = pistolConfig.clipSize;
-        gameData.currentAmmo = pistolConfig.clipSize;
-        gameData.reserveAmmo = pistolConfig.reserveSize;
-    }
-    
-    playerManager.resetStats(WEAPON_AMMO_CONFIG);
+    // Also refills every weapon and selects the pistol
+    playerManager.resetStats();
     
     // Reset power-ups
     powerUpManager.clear();
@@ -476,11 +631,18 @@ function startGame() {
     gameData.doubleDamageTimer = 0;
     gameData.slowMoActive = false;
     gameData.slowMoTimer = 0;
-    gameData.startTime = Date.now();
+    gameData.startTime = gameClock.playTime;
+    
+    // Leftover camera kick from the last run
+    cancelTrigger();
+    resetRecoil();
+    screenShakeIntensity = 0;
     
 // Camera setup - ALWAYS reset to exact scene position on game start
 // This must happen BEFORE setting game state to GAMEPLAY to prevent camera breathing from overriding
-currentCameraScene = CAMERA_SCENES[0];
+currentCameraScene = cameraScenes[0];
+activateEnvironment(currentCameraScene.environment);
+musicManager.playTrack(currentCameraScene.music);
 
 // ALWAYS reset the up vector first
 camera.up.set(0, 1, 0);
@@ -514,9 +676,9 @@ camera.updateMatrixWorld(true);
     // Show weapon models when game starts
     if (weaponModelManager) {
         weaponModelManager.showWeapons();
-        // Ensure current weapon is set
-        weaponModelManager.switchWeapon(currentWeaponId);
     }
+    // Ensure current weapon (model, recoil, HUD slot) is set
+    showCurrentWeapon();
     
     // Disable free camera by default (can be re-enabled later if needed)
     threeRenderer.isFreeCamera = false;
@@ -524,47 +686,252 @@ camera.updateMatrixWorld(true);
     renderManager.updateCallbacks.freeCamera.enabled = false;
     
     // Spawn entities
-    if (factorySceneLoaded || gameData.currentScene > 0) {
+    if (initialEnvironmentReady || gameData.currentScene > 0) {
         spawnSceneZombies();
-        powerUpManager.spawnScenePowerUps(gameData.currentScene);
         if (!isFirstGameStart) {
             showSceneTitle();
         }
         isFirstGameStart = false;
         updateUI();
     }
+    
+    if (!replay) {
+        replayManager.startRecording({
+            level: level.id,
+            seed: rng.getSeed(),
+            difficulty: getDifficultyId(),
+            godMode: isGodMode()
+        });
+    }
 }
 
 function restartGame() {
     console.log('🔄 Restarting Game');
+    replayManager.stopRecording();
+    leavePause();
     zombieManager.clearZombies();
     powerUpManager.clear();
     document.getElementById('game-over-screen').style.display = 'none';
     document.getElementById('mission-complete').style.display = 'none';
-    startGame();
+    requestStart();
+}
+
+/**
+ * Freeze gameplay: zombies, waves, timers, rail movement, tweens and sound.
+ * Only gameplay can be paused (transitions and end screens run to completion).
+ */
+function pauseGame() {
+    if (gameData.currentState !== GameState.GAMEPLAY || replayManager.isPlaying()) return;
+    console.log('⏸️ Paused');
+    
+    replayManager.record('pause');
+    freezeGameplay();
+    inputManager.releaseMouse();
+    soundManager.pauseAll();
+    showPauseMenu(true);
+}
+
+function resumeGame() {
+    if (gameData.currentState !== GameState.PAUSED || replayManager.isPlaying()) return;
+    console.log('▶️ Resumed');
+    
+    replayManager.record('resume');
+    unfreezeGameplay();
+    soundManager.resumeAll();
+    showPauseMenu(false);
+}
+
+// The game side of pause / resume (replays repeat these without the menu)
+function freezeGameplay() {
+    gameData.currentState = GameState.PAUSED;
+    cancelTrigger();
+    // Stops zombies, waves, rail travel, tweens and scheduled callbacks
+    gameClock.setPaused(true);
 }
 
+function unfreezeGameplay() {
+    gameClock.setPaused(false);
+    gameData.currentState = GameState.GAMEPLAY;
+}
+
+/**
+ * Drop the paused state without resuming anything (restart / quit)
+ */
+function leavePause() {
+    gameClock.setPaused(false);
+    gameClock.clearScheduled();
+    TWEEN.removeAll();
+    soundManager.stopAll();
+    musicManager.stop();
+    showPauseMenu(false);
+}
+
+/**
+ * Abandon the run and go back to the start prompt
+ */
+function quitToTitle() {
+    console.log('🏠 Quit to title');
+    replayManager.stopRecording();
+    replayManager.stopPlayback();
+    leavePause();
+    zombieManager.clearZombies();
+    powerUpManager.clear();
+    railMovementManager.reset();
+    if (weaponModelManager) {
+        weaponModelManager.hideWeapons();
+    }
+    
+    gameData.gameStarted = false;
+    gameData.currentScene = 0;
+    gameData.currentState = GameState.LOADING;
+    
+    currentCameraScene = cameraScenes[0];
+    activateEnvironment(currentCameraScene.environment);
+    camera.up.set(0, 1, 0);
+    camera.position.copy(currentCameraScene.position);
+    camera.lookAt(currentCameraScene.lookAt);
+    
+    updateDifficultyPrompt();
+    const startPrompt = document.getElementById('start-prompt');
+    if (startPrompt) {
+        startPrompt.classList.add('visible');
+    }
+}
+
+setPauseMenuCallbacks({
+    resume: resumeGame,
+    restart: restartGame,
+    quit: quitToTitle
+});
+
 function gameOver() {
     gameData.currentState = GameState.GAME_OVER;
     console.log('💀 GAME OVER');
+    finishRecording('gameOver');
+    inputManager.releaseMouse();
+    musicManager.stop();
+    musicManager.playStinger('gameOver');
     document.getElementById('game-over-screen').style.display = 'flex';
     updateFinalStats();
-    saveLeaderboard();
+    // Watching a replay doesn't score again
+    if (!replayManager.isPlaying()) saveLeaderboard();
 }
 
-function completeMission() {
+function completeMission(delay = 2000) {
     gameData.currentState = GameState.MISSION_COMPLETE;
     console.log('🎉 MISSION COMPLETE!');
-    setTimeout(() => {
+    finishRecording('missionComplete');
+    const isReplay = replayManager.isPlaying();
+    inputManager.releaseMouse();
+    musicManager.stop();
+    musicManager.playStinger('missionComplete');
+    // Game time, so the last death animations play out first
+    gameClock.schedule(delay / 1000, () => {
         document.getElementById('mission-complete').style.display = 'flex';
         updateFinalStats();
-        saveLeaderboard();
-    }, 2000);
+        if (!isReplay) saveLeaderboard();
+    });
+}
+
+// ============================================================================
+// REPLAYS
+// ============================================================================
+// The replay the end screens watch / save: the last finished run, or the
+// last replay loaded from a file
+let currentReplay = null;
+// Difficulty and god mode to restore once a replay stops
+let settingsBeforeReplay = null;
+
+/**
+ * @param {string} outcome - How the recorded run ended
+ */
+function finishRecording(outcome) {
+    const replay = replayManager.stopRecording({ outcome, score: gameData.score });
+    if (replay) currentReplay = replay;
 }
 
+/**
+ * Watch a replay: the run restarts with the replay's seed and settings and
+ * its recorded input drives the game
+ * @param {Object} replay
+ */
+function playReplay(replay) {
+    if (!level || !renderManager.isReady()) return;
+    if (replay.level !== level.id) {
+        console.warn(`⚠️ Replay is for level "${replay.level}", not "${level.id}"`);
+        return;
+    }
+    
+    replayManager.stopRecording();
+    replayManager.stopPlayback();
+    leavePause();
+    zombieManager.clearZombies();
+    powerUpManager.clear();
+    document.getElementById('game-over-screen').style.display = 'none';
+    document.getElementById('mission-complete').style.display = 'none';
+    
+    settingsBeforeReplay = { difficulty: getDifficultyId(), godMode: isGodMode() };
+    setDifficulty(replay.difficulty);
+    setGodMode(!!replay.godMode);
+    inputManager.releaseMouse();
+    
+    replayManager.startPlayback(replay);
+    showReplayBanner(true);
+    requestStart();
+}
+
+replayManager.setPlaybackEndCallback((finished) => {
+    showReplayBanner(false);
+    if (settingsBeforeReplay) {
+        setDifficulty(settingsBeforeReplay.difficulty);
+        setGodMode(settingsBeforeReplay.godMode);
+        settingsBeforeReplay = null;
+    }
+    
+    // A replay of an abandoned or diverged run ends mid-game
+    const runEnded = gameData.currentState === GameState.GAME_OVER ||
+        gameData.currentState === GameState.MISSION_COMPLETE;
+    if (finished && !runEnded) quitToTitle();
+});
+
+// Game-flow calls that don't come from input actions
+replayManager.onEvent('pause', freezeGameplay);
+replayManager.onEvent('resume', unfreezeGameplay);
+replayManager.onEvent('rail', moveAlongRails);
+replayManager.onEvent('godMode', () => {
+    toggleGodMode();
+    updateUI();
+});
+
+setReplayCallbacks({
+    watch: () => {
+        if (currentReplay) playReplay(currentReplay);
+    },
+    save: () => {
+        if (currentReplay) replayManager.exportReplay(currentReplay);
+    },
+    load: (text) => {
+        if (gameData.currentState !== GameState.LOADING) return;
+        try {
+            currentReplay = replayManager.parseReplay(text);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message}`);
+            return;
+        }
+        playReplay(currentReplay);
+    }
+});
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
+function updateDifficultyPrompt() {
+    const difficultyEl = document.getElementById('difficulty-select');
+    if (difficultyEl) {
+        difficultyEl.textContent = `DIFFICULTY: ${getDifficulty().name.toUpperCase()} (D TO CHANGE)`;
+    }
+}
+
 function showPowerUpMessage(text) {
     const msgEl = document.getElementById('powerup-message');
     if (!msgEl) return;
@@ -620,6 +987,8 @@ function createDamageNumber(position, damage, isHeadshot) {
     const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
     const y = (vector.y * -0.5 + 0.5) * window.innerHeight;
     
+    const palette = getPalette();
+    const color = isHeadshot ? palette.critical : palette.damage;
     const damageDiv = document.createElement('div');
     damageDiv.style.cssText = `
         position: fixed;
@@ -628,8 +997,8 @@ function createDamageNumber(position, damage, isHeadshot) {
         font-family: 'Courier New', monospace;
         font-size: ${isHeadshot ? '48px' : '32px'};
         font-weight: bold;
-        color: ${isHeadshot ? '#ffff00' : '#ff0000'};
-        text-shadow: 0 0 ${isHeadshot ? '20px' : '10px'} ${isHeadshot ? '#ffff00' : '#ff0000'}, 2px 2px 4px #000;
+        color: ${color};
+        text-shadow: 0 0 ${isHeadshot ? '20px' : '10px'} ${color}, 2px 2px 4px #000;
         pointer-events: none;
         z-index: 999;
         animation: floatUp 1s ease-out forwards;
@@ -652,189 +1021,285 @@ function createDamageNumber(position, damage, isHeadshot) {
     }, 1000);
 }
 
-function checkDoorInteraction() {
-    if (gameData.currentScene === 0 && !warehouseLoaded) {
-        const zombies = zombieManager.getZombies();
-        const aliveZombies = zombies.filter(z => !z.isDead).length;
-        
-        if (aliveZombies === 0 && zombies.length > 0) {
-            console.log('🚪 All zombies cleared! Loading warehouse interior...');
-            loadWarehouseInterior();
-        }
+/**
+ * Environment transition: show the transition message, make sure the next
+ * environment is loaded, then move the camera into the next scene
+ * @param {{environment: string, message?: string, delay?: number, duration?: number}} transition
+ */
+function enterEnvironment(transition) {
+    const environment = level.environments.find(env => env.id === transition.environment);
+    console.log(`🚪 Scene cleared! Entering ${environment.name || environment.id}...`);
+    soundManager.play('door_open');
+    
+    let message = null;
+    if (transition.message) {
+        message = document.createElement('div');
+        message.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            font-family: 'Courier New', monospace;
+            font-size: 36px;
+            color: #ffff00;
+            text-shadow: 0 0 20px #ffff00, 4px 4px 8px #000;
+            z-index: 200;
+            pointer-events: none;
+        `;
+        message.textContent = transition.message;
+        document.body.appendChild(message);
     }
-}
-
-async function loadWarehouseInterior() {
-    if (warehouseLoaded) return;
-    
-    warehouseLoaded = true;
-    
-    await sceneLoader.loadWarehouseInterior(scene, (warehouseModel) => {
-        if (warehouseModel) {
-            const message = document.createElement('div');
-            message.style.cssText = `
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                font-family: 'Courier New', monospace;
-                font-size: 36px;
-                color: #ffff00;
-                text-shadow: 0 0 20px #ffff00, 4px 4px 8px #000;
-                z-index: 200;
-                pointer-events: none;
-            `;
-            message.textContent = 'WAREHOUSE ACCESSED';
-            document.body.appendChild(message);
-            
-            setTimeout(() => {
-                message.remove();
-                if (gameData.currentScene === 0 && warehouseLoaded) {
-                    transitionToNextScene();
-                }
-            }, 2000);
+    
+    const delay = gameClock.wait((transition.delay ?? 2000) / 1000);
+    // Shares the preload if it is still running
+    const load = sceneLoader.loadEnvironment(scene, environment);
+    
+    Promise.all([load, delay]).then(([model]) => {
+        if (message) message.remove();
+        if (!model) {
+            console.warn(`⚠️ Environment ${environment.id} failed to load, continuing without it`);
+        }
+        if (gameData.currentState === GameState.SCENE_TRANSITION) {
+            transitionToNextScene(transition.duration);
         }
     });
 }
 
+function createFallbackGround() {
+    const groundGeo = new THREE.PlaneGeometry(200, 200);
+    const groundMat = new THREE.MeshStandardMaterial({ color: 0x2a2a2a });
+    const fallbackGround = new THREE.Mesh(groundGeo, groundMat);
+    fallbackGround.name = 'ground';
+    fallbackGround.rotation.x = -Math.PI / 2;
+    fallbackGround.position.y = -0.1;
+    fallbackGround.receiveShadow = true;
+    return fallbackGround;
+}
+
 // ============================================================================
 // INPUT HANDLERS
 // ============================================================================
-import { shoot as shootWeapon } from './combat/ShootingSystem.js';
+// Keys, mouse and gamepad go through inputManager's action map (rebindable
+// in Pause > Controls). The HUD crosshair sits on its aim point.
+renderer.domElement.style.cursor = 'none';
+inputManager.init(renderer.domElement);
+inputManager.setMenuOpenCallback(isPauseMenuOpen);
+inputManager.setAimCallback((x, y) => {
+    moveCrosshair(x, y);
+    aimTrigger(x, y);
+});
+// ESC while the mouse is captured only reaches us as a lost pointer lock
+inputManager.setMouseReleasedCallback(() => pauseGame());
+
+// Fire modes (semi / burst / auto) are handled by the trigger in ShootingSystem
+inputManager.onAction('fire', () => {
+    // Clicks belong to the dev tools while the free camera is on (a replay's
+    // recorded shots still play)
+    if (threeRenderer.isFreeCamera && !replayManager.isPlaying()) return;
+    if (gameData.currentState === GameState.GAMEPLAY) {
+        // The first shot of gameplay also captures the mouse
+        inputManager.captureMouse();
+    }
+    const aim = inputManager.getAim();
+    pressTrigger(aim.x, aim.y);
+}, () => releaseTrigger());
 
-window.addEventListener('click', (event) => {
-    const mouseX = (event.clientX / window.innerWidth) * 2 - 1;
-    const mouseY = -(event.clientY / window.innerHeight) * 2 + 1;
-    shootWeapon(mouseX, mouseY, currentWeaponId);
+inputManager.onAction('pause', () => {
+    if (replayManager.isPlaying()) {
+        // Stop watching
+        quitToTitle();
+    } else if (gameData.currentState === GameState.PAUSED) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
 });
 
-window.addEventListener('keydown', (event) => {
-    const key = event.key.toLowerCase();
-    
-    switch(key) {
-        case 'r':
-            if (gameData.currentState === GameState.GAME_OVER || 
-                gameData.currentState === GameState.MISSION_COMPLETE) {
-                restartGame();
-            } else if (gameData.currentState === GameState.GAMEPLAY) {
-                playerManager.reload(currentWeaponId);
-            }
-            break;
-            
-        case ' ':
-            if (gameData.currentState === GameState.LOADING && renderManager.isReady()) {
-                startGame();
-            }
-            break;
-            
-        case 'c':
-            const isFree = threeRenderer.toggleFreeCamera();
-            renderManager.updateCallbacks.freeCamera.enabled = isFree;
-            if (!isFree) {
-                camera.position.set(
-                    currentCameraScene.position.x,
-                    currentCameraScene.position.y,
-                    currentCameraScene.position.z
-                );
-                camera.lookAt(
-                    currentCameraScene.lookAt.x,
-                    currentCameraScene.lookAt.y,
-                    currentCameraScene.lookAt.z
-                );
-            }
-            break;
-            
-        case 'h':
-            threeRenderer.toggleAxesHelper();
-            break;
-        
-        case '1':
-            switchCurrentWeapon('pistol');
-            break;
-        case '2':
-            switchCurrentWeapon('shotgun');
-            break;
-        case '3':
-            switchCurrentWeapon('rifle');
-            break;
+inputManager.onAction('reload', () => {
+    if (gameData.currentState === GameState.GAME_OVER ||
+        gameData.currentState === GameState.MISSION_COMPLETE) {
+        restartGame();
+    } else if (gameData.currentState === GameState.GAMEPLAY) {
+        playerManager.reload();
+    }
+});
+
+inputManager.onAction('start', () => {
+    if (gameData.currentState === GameState.LOADING && renderManager.isReady()) {
+        requestStart();
+    }
+});
+
+inputManager.onAction('difficulty', () => {
+    // Difficulty can only change before the run starts
+    if (gameData.currentState === GameState.LOADING) {
+        cycleDifficulty();
+        updateDifficultyPrompt();
     }
 });
 
+/**
+ * Dev cheat: player can't take damage. Recorded as a flow event, since dev
+ * tools input stays out of replays.
+ */
+function toggleRunGodMode() {
+    if (replayManager.isPlaying()) return;
+    replayManager.record('godMode');
+    toggleGodMode();
+    updateUI();
+}
+
+// Dev tools: free camera, rail editor, teleport, helpers and god mode as
+// plugins on the running game (off for players; ` or ?dev=1 turns them on)
+devTools
+    .register(new FreeCameraPlugin())
+    .register(new RailEditorPlugin())
+    .register(new TeleportPlugin())
+    .register(new HelpersPlugin())
+    .register({
+        name: 'godMode',
+        actions: { godMode: toggleRunGodMode },
+        help: [{ action: 'godMode', text: 'god mode' }]
+    });
+devTools.attach({
+    scene,
+    camera,
+    renderer: threeRenderer,
+    renderManager,
+    getCameraScene: () => currentCameraScene,
+    resetCamera: () => {
+        if (!currentCameraScene) return;
+        camera.position.set(
+            currentCameraScene.position.x,
+            currentCameraScene.position.y,
+            currentCameraScene.position.z
+        );
+        camera.lookAt(
+            currentCameraScene.lookAt.x,
+            currentCameraScene.lookAt.y,
+            currentCameraScene.lookAt.z
+        );
+    }
+});
+
+inputManager.onAction('weapon1', () => switchCurrentWeapon('pistol'));
+inputManager.onAction('weapon2', () => switchCurrentWeapon('shotgun'));
+inputManager.onAction('weapon3', () => switchCurrentWeapon('rifle'));
+inputManager.onAction('nextWeapon', () => switchCurrentWeapon(weaponManager.getAdjacentWeaponId(1)));
+inputManager.onAction('previousWeapon', () => switchCurrentWeapon(weaponManager.getAdjacentWeaponId(-1)));
+
+inputManager.onAction('fireMode', () => {
+    if (weaponManager.currentWeapon.fireModes.length > 1) {
+        cancelTrigger();
+        const fireMode = weaponManager.cycleFireMode();
+        showCurrentWeapon();
+        console.log(`🔫 ${weaponManager.currentWeapon.name} fire mode: ${fireMode}`);
+    }
+});
+
+// Losing focus swallows the mouseup, so stop firing (and pause).
+// A replay plays on: it has its own input.
+window.addEventListener('blur', () => {
+    if (replayManager.isPlaying()) return;
+    cancelTrigger();
+    pauseGame();
+});
+
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame();
+});
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 createUI();
 
-// Load factory scene on startup
-sceneLoader.loadFactoryScene(scene, (factoryModel) => {
-    if (factoryModel) {
-        // Find ground mesh
-        factoryModel.traverse((child) => {
-            if (child.isMesh) {
-                const name = child.name.toLowerCase();
-                const matName = child.material?.name?.toLowerCase() || '';
-                if (name.includes('ground') || name.includes('floor') || 
-                    matName.includes('ground') || matName.includes('floor')) {
-                    child.name = 'ground';
-                    child.receiveShadow = true;
-                    threeRenderer.setGround(child);
-                    console.log('✅ Found ground mesh:', child.name);
-                }
-            }
-        });
-        
-        // Fallback ground if none found
-        if (!threeRenderer.getGround()) {
-            console.log('⚠️ No ground found, creating fallback');
-            const groundGeo = new THREE.PlaneGeometry(200, 200);
-            const groundMat = new THREE.MeshStandardMaterial({ color: 0x2a2a2a });
-            const fallbackGround = new THREE.Mesh(groundGeo, groundMat);
-            fallbackGround.name = 'ground';
-            fallbackGround.rotation.x = -Math.PI / 2;
-            fallbackGround.position.y = -0.1;
-            fallbackGround.receiveShadow = true;
-            threeRenderer.setGround(fallbackGround);
+// Player settings: applied now and whenever the settings menu changes one
+settings.onChange((values) => {
+    threeRenderer.applySettings(values);
+    soundManager.applySettings(values);
+    setRecoilFovKickScale(values.screenShake);
+    applyHUDSettings(values);
+});
+
+/**
+ * Set up every system from a validated level and load its environments
+ * @param {Object} loadedLevel
+ */
+function initLevel(loadedLevel) {
+    level = loadedLevel;
+    cameraScenes = buildCameraScenes(level);
+    currentCameraScene = cameraScenes[0];
+    gameData.totalScenes = cameraScenes.length;
+    
+    railMovementManager.setPaths(buildRailPaths(level));
+    railMovementManager.init();
+    navMeshes = buildNavMeshes(level);
+    
+    // Zombie models load once and are cloned per spawn
+    zombieManager.preloadModels();
+    
+    const initialEnvironment = getInitialEnvironment(level);
+    
+    sceneLoader.loadEnvironment(scene, initialEnvironment, (model) => {
+        if (model) {
+            activateEnvironment(initialEnvironment.id);
+        } else {
+            // Fallback ground on load failure
+            threeRenderer.setGround(createFallbackGround());
         }
         
-        factorySceneLoaded = true;
-        console.log('✅ Warehouse exterior (factory scene) ready');
+        initialEnvironmentReady = true;
+        console.log(`✅ ${initialEnvironment.name || initialEnvironment.id} ready`);
         
         if (!gameData.gameStarted) {
-            currentCameraScene = CAMERA_SCENES[0];
             // Pre-render setup: ensure scene is ready before showing
             renderManager.prepareSceneForDisplay();
         }
-    } else {
-        // Fallback ground on load failure
-        const groundGeo = new THREE.PlaneGeometry(200, 200);
-        const groundMat = new THREE.MeshStandardMaterial({ color: 0x2a2a2a });
-        const fallbackGround = new THREE.Mesh(groundGeo, groundMat);
-        fallbackGround.name = 'ground';
-        fallbackGround.rotation.x = -Math.PI / 2;
-        fallbackGround.position.y = -0.1;
-        fallbackGround.receiveShadow = true;
-        threeRenderer.setGround(fallbackGround);
-        
-        factorySceneLoaded = true;
-        if (!gameData.gameStarted) {
-            currentCameraScene = CAMERA_SCENES[0];
-            renderManager.prepareSceneForDisplay();
-        }
-    }
-});
+    });
+    
+    // Preload the other environments flagged in the level file
+    level.environments
+        .filter(env => env.preload && env.id !== initialEnvironment.id)
+        .forEach(env => {
+            sceneLoader.loadEnvironment(scene, env, () => {
+                console.log(`✅ ${env.name || env.id} preloaded`);
+            });
+        });
+}
 
-// Preload warehouse
-sceneLoader.loadWarehouseInterior(scene, () => {
-    console.log('✅ Warehouse preloaded');
-});
+/**
+ * Show level loading / validation errors on the loading screen
+ * @param {Error} error
+ */
+function showLevelError(error) {
+    console.error('❌ Failed to load level:', error);
+    
+    const loadingText = document.getElementById('loading-text');
+    if (!loadingText) return;
+    
+    loadingText.style.animation = 'none';
+    loadingText.style.fontSize = '16px';
+    loadingText.style.color = '#ff4444';
+    loadingText.style.whiteSpace = 'pre-wrap';
+    loadingText.style.maxWidth = '80%';
+    loadingText.textContent = `LEVEL ERROR\n\n${error.message}`;
+}
+
+updateDifficultyPrompt();
+
+loadLevel(getLevelSource())
+    .then(initLevel)
+    .catch(showLevelError);
 
 console.log('✅ Game Initialized');
 console.log('Controls:');
 console.log('  SPACE - Start Game');
 console.log('  Click - Shoot');
 console.log('  R - Reload / Restart');
-console.log('  C - Toggle Camera');
-console.log('  H - Toggle Helpers');
+console.log('  ESC - Pause / Resume');
+console.log('  ` - Dev Tools (or ?dev=1)');
+console.log('  D - Change Difficulty (start screen)');
 
 // Note: Scene pre-rendering happens before revealing to ensure renderer readiness
 // This prevents startup glitch by ensuring textures are uploaded to GPU first
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { soundManager } from '../systems/SoundManager.js';
 
 const POWERUP_COLORS = {
     health: 0x00ff00,
@@ -130,6 +131,7 @@ export default class PowerUp {
         if (this.collected) return;
 
         this.collected = true;
+        soundManager.play('powerup_collect', { position: this.group.position.clone() });
 
         // Trigger effect callback
         if (typeof this.onCollect === 'function') {
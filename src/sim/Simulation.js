@@ -0,0 +1,433 @@
+import * as THREE from 'three';
+import { GameState, gameData } from '../core/GameState.js';
+import { gameClock } from '../core/GameClock.js';
+import { gameEvents } from '../core/GameEvents.js';
+import { rng, createSeed } from '../core/Random.js';
+import { setDifficulty, getDifficultyId, setGodMode } from '../core/Difficulty.js';
+import { buildCameraScenes } from '../core/SceneConfig.js';
+import { PowerUpManager } from '../systems/PowerUpManager.js';
+import { PlayerManager } from '../systems/PlayerManager.js';
+import ZombieManager from '../enemies/ZombieManager.js';
+import { RailMovementManager } from '../systems/RailMovementManager.js';
+import { buildRailPaths } from '../systems/RailPathConfig.js';
+import { buildNavMeshes } from '../systems/NavMesh.js';
+import { resetRecoil, setRecoilWeapon } from '../combat/Recoil.js';
+import {
+    initShootingSystem,
+    pressTrigger,
+    aimTrigger,
+    releaseTrigger,
+    cancelTrigger,
+    updateTrigger,
+    updateImpactSpheres
+} from '../combat/ShootingSystem.js';
+import { weaponManager } from '../weapons/WeaponManager.js';
+
+/**
+ * Simulation
+ * Runs a level's gameplay without a browser: zombies, waves, bosses, the
+ * player, weapons, power-ups and rail movement, stepped on a fixed time step
+ * and driven by scripted input. Nothing is rendered or played; the DOM,
+ * audio and model loading are switched off by the headless platform
+ * adapters (core/Platform.js), so zombies keep their placeholder meshes
+ * (hit zones and raycasts still work).
+ *
+ * Scene transitions skip the camera tweens and environment loading: the
+ * camera jumps to the next stage once the transition's time has passed.
+ *
+ * Gameplay modules keep module-level state (gameData, gameClock, rng,
+ * weaponManager, the shooting system, game events), so run one Simulation
+ * at a time and dispose() it before creating the next.
+ *
+ * Script inputs ({ time, input, ... }, time in seconds of play):
+ * - { input: 'aim', x, y } aim at a point (NDC), or { input: 'aim', target: 'nearest' }
+ *   to keep aiming at the nearest living zombie
+ * - { input: 'fire' } / { input: 'release' } hold / let go of the trigger,
+ *   { input: 'tap' } does both
+ * - { input: 'reload' }, { input: 'weapon', weapon: 'shotgun' }, { input: 'fireMode' }
+ * - { input: 'rail' } move to the next rail segment (the NEXT LOCATION button)
+ * Any input can add `repeat` (seconds) and `until` (seconds) to repeat itself.
+ */
+
+// Default step: 60 frames per second
+const DEFAULT_STEP = 1 / 60;
+const DEFAULT_MAX_TIME = 600;
+// Camera of the browser build (Renderer.js) at 16:9
+const CAMERA_FOV = 75;
+const CAMERA_ASPECT = 16 / 9;
+// Aim just above a zombie's centre (between chest and head)
+const AIM_HEIGHT = 0.3;
+// Bot trigger taps per second
+const BOT_FIRE_RATE = 5;
+
+/**
+ * The simple bot (npm run simulate without --script, and the tests): aims at
+ * the nearest zombie and taps the trigger (the game reloads when empty)
+ * @param {number} [until] - Seconds of play to keep tapping for
+ * @returns {Object[]} Script inputs
+ */
+export function createBotScript(until = DEFAULT_MAX_TIME) {
+    return [
+        { time: 0, input: 'aim', target: 'nearest' },
+        { time: 0, input: 'tap', repeat: 1 / BOT_FIRE_RATE, until }
+    ];
+}
+
+/**
+ * @param {Object[]} inputs - Script inputs
+ * @returns {Object[]} Inputs with repeats expanded, in time order
+ */
+export function expandScript(inputs) {
+    const expanded = [];
+    inputs.forEach(input => {
+        const { repeat, until, ...single } = input;
+        if (!(repeat > 0)) {
+            expanded.push(single);
+            return;
+        }
+        const end = until ?? DEFAULT_MAX_TIME;
+        for (let time = single.time || 0; time <= end; time += repeat) {
+            expanded.push({ ...single, time });
+        }
+    });
+    return expanded.sort((a, b) => (a.time || 0) - (b.time || 0));
+}
+
+export class Simulation {
+    /**
+     * @param {Object} level - Validated level (LevelLoader.loadLevel)
+     * @param {object} [options]
+     * @param {number} [options.seed] - Run seed (a new one by default)
+     * @param {string} [options.difficulty] - Difficulty id (the current one by default)
+     * @param {boolean} [options.godMode=false]
+     * @param {Object[]} [options.script] - Script inputs (see above)
+     * @param {(sim: Simulation) => void} [options.controller] - Called every step
+     *        before the world updates, for inputs that react to the game (bots)
+     * @param {number} [options.step] - Seconds per step
+     */
+    constructor(level, { seed = createSeed(), difficulty = getDifficultyId(), godMode = false, script = [], controller = null, step = DEFAULT_STEP } = {}) {
+        this.level = level;
+        this.seed = seed;
+        this.difficulty = difficulty;
+        this.godMode = godMode;
+        this.inputs = expandScript(script);
+        this.inputIndex = 0;
+        this.controller = controller;
+        this.step = step;
+
+        this.outcome = null;
+        this.aim = new THREE.Vector2();
+        this.aimTarget = null;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(CAMERA_FOV, CAMERA_ASPECT, 0.1, 1000);
+        this.scene.add(this.camera);
+        this.scene.add(createGround());
+
+        this.cameraScenes = buildCameraScenes(level);
+        this.currentCameraScene = this.cameraScenes[0];
+        this.navMeshes = buildNavMeshes(level);
+        gameData.totalScenes = this.cameraScenes.length;
+
+        this.createManagers();
+    }
+
+    createManagers() {
+        this.playerManager = new PlayerManager();
+        this.powerUpManager = new PowerUpManager(this.scene, this.camera, gameData);
+        this.zombieManager = new ZombieManager(this.scene, this.camera, gameData);
+        this.subscriptions = [
+            gameEvents.on('playerDied', () => this.finish('gameOver')),
+            gameEvents.on('sceneCleared', () => this.onSceneCleared())
+        ];
+
+        // Rail ambushes, as in main.js
+        this.railMovementManager = new RailMovementManager(this.camera, null, gameData, GameState, null);
+        this.railMovementManager.setPaths(buildRailPaths(this.level));
+        this.railMovementManager.setEnemySpawnCallback((position, type, zombiePath, railPath) => {
+            const waypoints = railPath.waypoints;
+            this.zombieManager.spawnZombieAt(position, type, {
+                path: zombiePath,
+                target: waypoints[waypoints.length - 1],
+                group: `ambush:${railPath.id}`
+            });
+        });
+        this.railMovementManager.setAmbushClearedCallback((pathId) => {
+            return this.zombieManager.getAliveCount(`ambush:${pathId}`) === 0;
+        });
+
+        initShootingSystem({
+            sceneRef: this.scene,
+            cameraRef: this.camera,
+            gameDataRef: gameData,
+            zombieManagerRef: this.zombieManager,
+            powerUpsArrayRef: () => this.powerUpManager.getPowerUps(),
+            reload: () => this.playerManager.reload()
+        });
+    }
+
+    /**
+     * Stop listening to game events (before starting another Simulation)
+     */
+    dispose() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.playerManager.dispose();
+        this.zombieManager.clearZombies();
+        this.powerUpManager.clear();
+    }
+
+    // ========================================================================
+    // RUN
+    // ========================================================================
+
+    /**
+     * Start the run: same resets as main.js startGame()
+     */
+    start() {
+        rng.setSeed(this.seed);
+        gameClock.reset();
+        setDifficulty(this.difficulty);
+        setGodMode(this.godMode);
+
+        gameData.gameStarted = true;
+        gameData.currentScene = 0;
+        this.playerManager.resetStats();
+        this.powerUpManager.clear();
+        this.zombieManager.clearZombies();
+        gameData.doubleDamageActive = false;
+        gameData.doubleDamageTimer = 0;
+        gameData.slowMoActive = false;
+        gameData.slowMoTimer = 0;
+        gameData.startTime = gameClock.playTime;
+
+        cancelTrigger();
+        resetRecoil();
+        setRecoilWeapon(weaponManager.currentWeaponId);
+        this.railMovementManager.reset();
+        this.outcome = null;
+        this.inputIndex = 0;
+
+        this.enterScene(0);
+    }
+
+    /**
+     * Step until the run ends or maxTime seconds of play have passed
+     * @param {object} [options]
+     * @param {number} [options.maxTime=600]
+     * @returns {Object} See getResults()
+     */
+    run({ maxTime = DEFAULT_MAX_TIME } = {}) {
+        this.start();
+        while (!this.outcome && gameClock.playTime < maxTime) {
+            this.update();
+        }
+        if (!this.outcome) this.outcome = 'timeout';
+        return this.getResults();
+    }
+
+    /**
+     * One fixed step: the gameplay callbacks of main.js in the same order
+     */
+    update() {
+        const deltaTime = gameClock.tick(this.step);
+
+        this.railMovementManager.update(deltaTime);
+        this.applyInputs();
+        if (this.controller) this.controller(this);
+        if (this.aimTarget) this.aimAtTarget();
+        updateTrigger();
+
+        if (
+            gameData.currentState === GameState.SCENE_TRANSITION ||
+            gameData.currentState === GameState.MISSION_COMPLETE
+        ) {
+            this.zombieManager.updateAnimations(deltaTime);
+        }
+        if (gameData.currentState === GameState.GAMEPLAY) {
+            this.zombieManager.update(deltaTime, gameData.currentState, GameState.GAMEPLAY);
+            this.playerManager.updateComboTimer(gameClock.playDelta);
+            weaponManager.update(gameClock.playTime);
+            this.powerUpManager.update(deltaTime);
+            gameData.currentTime = gameClock.playTime - gameData.startTime;
+        }
+        this.powerUpManager.updateTimers(gameClock.playDelta);
+        updateImpactSpheres(deltaTime);
+    }
+
+    /**
+     * @param {string} outcome - 'gameOver' or 'missionComplete'
+     */
+    finish(outcome) {
+        if (this.outcome) return;
+        this.outcome = outcome;
+        gameData.currentState = outcome === 'gameOver' ? GameState.GAME_OVER : GameState.MISSION_COMPLETE;
+        cancelTrigger();
+    }
+
+    /**
+     * @returns {{ outcome: string, seed: number, difficulty: string, time: number, scene: number, totalScenes: number,
+     *             health: number, score: number, kills: number, headshots: number, shotsFired: number,
+     *             shotsHit: number, accuracy: number, maxCombo: number }}
+     */
+    getResults() {
+        return {
+            outcome: this.outcome,
+            seed: this.seed,
+            difficulty: this.difficulty,
+            time: gameData.currentTime,
+            scene: gameData.currentScene + 1,
+            totalScenes: gameData.totalScenes,
+            health: gameData.health,
+            score: gameData.score,
+            kills: gameData.totalZombiesKilled,
+            headshots: gameData.headshotKills,
+            shotsFired: gameData.shotsFired,
+            shotsHit: gameData.shotsHit,
+            accuracy: gameData.shotsFired > 0 ? gameData.shotsHit / gameData.shotsFired : 0,
+            maxCombo: gameData.maxCombo
+        };
+    }
+
+    // ========================================================================
+    // SCENES
+    // ========================================================================
+
+    /**
+     * Put the camera on a stage and start its waves and power-ups
+     * @param {number} index
+     */
+    enterScene(index) {
+        gameData.currentScene = index;
+        this.currentCameraScene = this.cameraScenes[index];
+        this.zombieManager.setNavMesh(this.navMeshes.get(this.currentCameraScene.environment) || null);
+
+        this.camera.up.set(0, 1, 0);
+        this.camera.rotation.set(0, 0, 0);
+        this.camera.rotation.order = 'YXZ';
+        this.camera.position.copy(this.currentCameraScene.position);
+        this.camera.lookAt(this.currentCameraScene.lookAt);
+        this.camera.updateMatrixWorld(true);
+
+        gameData.currentState = GameState.GAMEPLAY;
+        this.zombieManager.startSceneWaves(this.currentCameraScene.waves, this.currentCameraScene.boss);
+        this.powerUpManager.spawnScenePowerUps(this.currentCameraScene.powerUps);
+    }
+
+    /**
+     * Every wave is dead: wait out the stage's transition, then move on
+     */
+    onSceneCleared() {
+        const transition = this.currentCameraScene.transition;
+        gameData.currentState = GameState.SCENE_TRANSITION;
+
+        if (transition.type === 'complete') {
+            this.finish('missionComplete');
+            return;
+        }
+
+        // Environment transitions wait their delay, then both move the camera
+        const delay = transition.type === 'environment' ? (transition.delay ?? 2000) : 0;
+        gameClock.schedule((delay + (transition.duration ?? 2000)) / 1000, () => {
+            this.zombieManager.clearZombies();
+            this.powerUpManager.clear();
+            this.enterScene(gameData.currentScene + 1);
+        });
+    }
+
+    // ========================================================================
+    // INPUT
+    // ========================================================================
+
+    applyInputs() {
+        const time = gameClock.playTime;
+        while (this.inputIndex < this.inputs.length && (this.inputs[this.inputIndex].time || 0) <= time) {
+            this.input(this.inputs[this.inputIndex++]);
+        }
+    }
+
+    /**
+     * Apply one script input now
+     * @param {Object} input - See the class comment
+     */
+    input(input) {
+        switch (input.input) {
+            case 'aim':
+                this.aimTarget = input.target || null;
+                if (!this.aimTarget) this.setAim(input.x, input.y);
+                break;
+            case 'fire':
+                pressTrigger(this.aim.x, this.aim.y);
+                break;
+            case 'release':
+                releaseTrigger();
+                break;
+            case 'tap':
+                pressTrigger(this.aim.x, this.aim.y);
+                releaseTrigger();
+                break;
+            case 'reload':
+                if (gameData.currentState === GameState.GAMEPLAY) this.playerManager.reload();
+                break;
+            case 'weapon':
+                if (weaponManager.currentWeaponId === input.weapon) break;
+                cancelTrigger();
+                weaponManager.switchWeapon(input.weapon);
+                setRecoilWeapon(input.weapon);
+                break;
+            case 'fireMode':
+                if (weaponManager.currentWeapon.fireModes.length > 1) {
+                    cancelTrigger();
+                    weaponManager.cycleFireMode();
+                }
+                break;
+            case 'rail':
+                this.railMovementManager.moveToNextPath();
+                break;
+            default:
+                console.warn(`⚠️ Unknown script input "${input.input}"`);
+        }
+    }
+
+    /**
+     * @param {number} x - NDC
+     * @param {number} y - NDC
+     */
+    setAim(x, y) {
+        this.aim.set(THREE.MathUtils.clamp(x, -1, 1), THREE.MathUtils.clamp(y, -1, 1));
+        aimTrigger(this.aim.x, this.aim.y);
+    }
+
+    /**
+     * Keep the aim on the nearest living zombie in front of the camera
+     */
+    aimAtTarget() {
+        const point = new THREE.Vector3();
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.zombieManager.getZombies().forEach(zombie => {
+            if (zombie.isDead) return;
+            zombie.mesh.getWorldPosition(point);
+            const distance = point.distanceTo(this.camera.position);
+            if (distance < nearestDistance) {
+                nearest = zombie;
+                nearestDistance = distance;
+            }
+        });
+        if (!nearest) return;
+
+        nearest.mesh.getWorldPosition(point);
+        point.y += AIM_HEIGHT;
+        point.project(this.camera);
+        // Behind the camera or off screen: the player couldn't aim there
+        if (point.z > 1 || Math.abs(point.x) > 1 || Math.abs(point.y) > 1) return;
+        this.setAim(point.x, point.y);
+    }
+}
+
+function createGround() {
+    const ground = new THREE.Mesh(new THREE.PlaneGeometry(200, 200), new THREE.MeshBasicMaterial());
+    ground.name = 'ground';
+    ground.rotation.x = -Math.PI / 2;
+    ground.position.y = -0.1;
+    return ground;
+}
@@ -0,0 +1,458 @@
+import { settings } from '../core/Settings.js';
+
+/**
+ * InputManager
+ * Maps keyboard, mouse and gamepad input to named actions.
+ *
+ * A binding is a string: a KeyboardEvent.code ('KeyR', 'Space', 'Digit1'),
+ * 'Mouse0'..'Mouse2', 'WheelUp' / 'WheelDown', or a standard-mapping gamepad
+ * button 'Pad0'..'Pad15'. Each action has up to BINDING_SLOTS bindings;
+ * rebinding (captureBinding) saves them in localStorage.
+ *
+ * The aim point (NDC) follows the cursor, moves by mouse movement times the
+ * aim sensitivity while the mouse is captured (pointer lock), and is steered
+ * by either gamepad stick as a virtual crosshair.
+ *
+ * While a menu is open only actions flagged `inMenus` (pause) fire. While
+ * the dev tools take over the controls (free camera) only those and the
+ * `dev` actions do, so keys the game also uses can steer the camera.
+ *
+ * DOM events are queued and handled once per frame in update(), so input
+ * always reaches the game at the same point of the frame. A recorder sees
+ * every action delivered and the aim point; during replay playback the
+ * recording drives the game instead and live input only delivers actions
+ * flagged `inReplays` (pause, which stops the replay). Actions flagged `dev`
+ * (the dev tools) are never recorded and also work while watching a replay.
+ */
+
+const STORAGE_KEY = 'zombieRailShooterBindings';
+export const BINDING_SLOTS = 2;
+
+export const INPUT_ACTIONS = {
+    fire: { label: 'FIRE', bindings: ['Mouse0', 'Pad7'] },
+    reload: { label: 'RELOAD / RESTART', bindings: ['KeyR', 'Pad2'] },
+    weapon1: { label: 'PISTOL', bindings: ['Digit1'] },
+    weapon2: { label: 'SHOTGUN', bindings: ['Digit2'] },
+    weapon3: { label: 'RIFLE', bindings: ['Digit3'] },
+    nextWeapon: { label: 'NEXT WEAPON', bindings: ['WheelDown', 'Pad5'] },
+    previousWeapon: { label: 'PREVIOUS WEAPON', bindings: ['WheelUp', 'Pad4'] },
+    fireMode: { label: 'FIRE MODE', bindings: ['KeyB', 'Pad3'] },
+    pause: { label: 'PAUSE', bindings: ['Escape', 'Pad9'], inMenus: true, inReplays: true },
+    start: { label: 'START', bindings: ['Space', 'Pad0'] },
+    difficulty: { label: 'DIFFICULTY', bindings: ['KeyD'] },
+    godMode: { label: 'GOD MODE (DEV)', bindings: ['KeyG'], dev: true },
+    freeCamera: { label: 'FREE CAMERA (DEV)', bindings: ['KeyC'], dev: true },
+    helpers: { label: 'HELPERS (DEV)', bindings: ['KeyH'], dev: true },
+    flyForward: { label: 'FLY FORWARD (DEV)', bindings: ['KeyW'], dev: true },
+    flyBack: { label: 'FLY BACK (DEV)', bindings: ['KeyS'], dev: true },
+    flyLeft: { label: 'FLY LEFT (DEV)', bindings: ['KeyA'], dev: true },
+    flyRight: { label: 'FLY RIGHT (DEV)', bindings: ['KeyD'], dev: true },
+    devTools: { label: 'DEV TOOLS', bindings: ['Backquote'], dev: true }
+};
+
+// Standard gamepad mapping
+const PAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+    'BACK', 'START', 'L3', 'R3', 'UP', 'DOWN', 'LEFT', 'RIGHT'
+];
+const MOUSE_BUTTON_NAMES = ['LEFT CLICK', 'MIDDLE CLICK', 'RIGHT CLICK'];
+
+// Stick aim: NDC per second at full tilt (times the aim sensitivity)
+const STICK_AIM_SPEED = 1.6;
+const STICK_DEADZONE = 0.15;
+
+/**
+ * @param {string} binding
+ * @returns {string} How the binding is shown in menus
+ */
+export function formatBinding(binding) {
+    if (!binding) return '-';
+    if (binding.startsWith('Pad')) return `PAD ${PAD_BUTTON_NAMES[binding.slice(3)] || binding.slice(3)}`;
+    if (binding.startsWith('Mouse')) return MOUSE_BUTTON_NAMES[binding.slice(5)] || binding.toUpperCase();
+    if (binding === 'WheelUp') return 'WHEEL UP';
+    if (binding === 'WheelDown') return 'WHEEL DOWN';
+    if (binding.startsWith('Key')) return binding.slice(3);
+    if (binding.startsWith('Digit')) return binding.slice(5);
+    return binding.toUpperCase();
+}
+
+class InputManager {
+    constructor() {
+        this.handlers = {};
+        this.bindings = {};
+        this.aim = { x: 0, y: 0 };
+        this.element = null;
+        this.padButtons = [];
+        this.capture = null;
+        // DOM input waiting for the next update(): [binding, pressed]
+        this.queue = [];
+
+        // Replays (see ReplayManager)
+        this.recorder = null;
+        this.playback = null;
+
+        this.isMenuOpen = () => false;
+        this.isDevInput = () => false;
+        this.onAim = null;
+        this.onMouseReleased = null;
+
+        this.loadBindings();
+    }
+
+    /**
+     * Start listening (once the canvas exists)
+     * @param {HTMLElement} element - Canvas that captures the mouse
+     */
+    init(element) {
+        this.element = element;
+
+        window.addEventListener('keydown', (event) => {
+            if (event.repeat) return;
+            // Keep SPACE / arrows from scrolling or pressing focused buttons
+            if (this.capture || this.findActions(event.code).length > 0) event.preventDefault();
+            this.queue.push([event.code, true]);
+        });
+        window.addEventListener('keyup', (event) => this.queue.push([event.code, false]));
+
+        window.addEventListener('mousedown', (event) => {
+            this.updateAimFromMouse(event);
+            this.queue.push([`Mouse${event.button}`, true]);
+        });
+        window.addEventListener('mouseup', (event) => this.queue.push([`Mouse${event.button}`, false]));
+        window.addEventListener('mousemove', (event) => this.updateAimFromMouse(event));
+
+        window.addEventListener('wheel', (event) => {
+            if (event.deltaY === 0) return;
+            const binding = event.deltaY < 0 ? 'WheelUp' : 'WheelDown';
+            this.queue.push([binding, true], [binding, false]);
+        }, { passive: true });
+
+        // Right click can be bound
+        element.addEventListener('contextmenu', (event) => event.preventDefault());
+
+        // The browser releases the mouse on ESC without passing the key on
+        document.addEventListener('pointerlockchange', () => {
+            if (!this.isMouseCaptured() && this.onMouseReleased) this.onMouseReleased();
+        });
+    }
+
+    // ========================================================================
+    // ACTIONS
+    // ========================================================================
+
+    /**
+     * @param {string} action - Key of INPUT_ACTIONS
+     * @param {() => void} press
+     * @param {() => void} [release]
+     */
+    onAction(action, press, release = null) {
+        this.handlers[action] = { press, release };
+    }
+
+    /**
+     * @param {() => boolean} callback - True while a menu is open
+     */
+    setMenuOpenCallback(callback) {
+        this.isMenuOpen = callback;
+    }
+
+    /**
+     * @param {() => boolean} callback - True while the dev tools take over the controls
+     */
+    setDevInputCallback(callback) {
+        this.isDevInput = callback;
+    }
+
+    /**
+     * @param {(x: number, y: number) => void} callback - Aim point moved (NDC)
+     */
+    setAimCallback(callback) {
+        this.onAim = callback;
+    }
+
+    /**
+     * @param {() => void} callback - Pointer lock lost (ESC, alt-tab)
+     */
+    setMouseReleasedCallback(callback) {
+        this.onMouseReleased = callback;
+    }
+
+    /**
+     * @param {string} binding
+     * @returns {string[]} Actions bound to it
+     */
+    findActions(binding) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(binding));
+    }
+
+    /**
+     * @param {string} binding
+     * @param {boolean} pressed
+     */
+    dispatch(binding, pressed) {
+        if (this.capture) {
+            if (pressed) this.finishCapture(binding);
+            return;
+        }
+
+        const menuOpen = this.isMenuOpen();
+        const devInput = this.isDevInput();
+        this.findActions(binding).forEach(action => {
+            if (!this.handlers[action]) return;
+            const { inReplays, inMenus, dev } = INPUT_ACTIONS[action];
+            if (this.playback && !inReplays && !dev) return;
+            // Releases always go through so nothing stays held
+            if (pressed && menuOpen && !inMenus) return;
+            if (pressed && devInput && !inMenus && !dev) return;
+
+            if (this.recorder && !dev) this.recorder({ type: 'action', action, pressed });
+            this.triggerAction(action, pressed);
+        });
+    }
+
+    /**
+     * Run an action's handler directly (replay playback)
+     * @param {string} action
+     * @param {boolean} pressed
+     */
+    triggerAction(action, pressed) {
+        const handler = this.handlers[action];
+        if (!handler) return;
+        if (pressed) {
+            handler.press();
+        } else if (handler.release) {
+            handler.release();
+        }
+    }
+
+    // ========================================================================
+    // REPLAYS
+    // ========================================================================
+
+    /**
+     * @param {((event: {type: 'action', action: string, pressed: boolean} | {type: 'aim', x: number, y: number}) => void)|null} recorder
+     *        Gets every action delivered and the aim point around each update (null stops)
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
+    }
+
+    /**
+     * @param {(() => void)|null} playback - Called in update() instead of live
+     *        input (null goes back to live input)
+     */
+    setPlayback(playback) {
+        this.playback = playback;
+    }
+
+    // ========================================================================
+    // AIM
+    // ========================================================================
+
+    /**
+     * @param {MouseEvent} event
+     */
+    updateAimFromMouse(event) {
+        // A replay aims for itself
+        if (this.playback) return;
+        if (this.isMouseCaptured()) {
+            const sensitivity = settings.get('mouseSensitivity');
+            this.moveAim(
+                (event.movementX / window.innerWidth) * 2 * sensitivity,
+                -(event.movementY / window.innerHeight) * 2 * sensitivity
+            );
+        } else {
+            this.setAim(
+                (event.clientX / window.innerWidth) * 2 - 1,
+                -(event.clientY / window.innerHeight) * 2 + 1
+            );
+        }
+    }
+
+    moveAim(dx, dy) {
+        this.setAim(this.aim.x + dx, this.aim.y + dy);
+    }
+
+    setAim(x, y) {
+        this.aim.x = Math.max(-1, Math.min(1, x));
+        this.aim.y = Math.max(-1, Math.min(1, y));
+        if (this.onAim) this.onAim(this.aim.x, this.aim.y);
+    }
+
+    /**
+     * @returns {{x: number, y: number}} Aim point in NDC
+     */
+    getAim() {
+        return this.aim;
+    }
+
+    isMouseCaptured() {
+        return this.element !== null && document.pointerLockElement === this.element;
+    }
+
+    /**
+     * Take the mouse (pointer lock). Must be called from an input event.
+     */
+    captureMouse() {
+        // Pointer lock needs a real click; a replay can't take it
+        if (this.playback) return;
+        if (this.element && !this.isMouseCaptured() && this.element.requestPointerLock) {
+            this.element.requestPointerLock();
+        }
+    }
+
+    releaseMouse() {
+        if (this.isMouseCaptured()) document.exitPointerLock();
+    }
+
+    // ========================================================================
+    // GAMEPAD
+    // ========================================================================
+
+    /**
+     * Handle the input queued since the last frame, then poll gamepads
+     * (or let a replay play this frame's input instead)
+     * @param {number} deltaTime - Seconds (0 while paused: no aiming)
+     */
+    update(deltaTime) {
+        this.recordAim();
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(([binding, pressed]) => this.dispatch(binding, pressed));
+        this.pollGamepad(deltaTime);
+
+        if (this.playback) {
+            this.playback();
+        } else {
+            // Stick aim moves after the actions; record where it ended up too
+            this.recordAim();
+        }
+    }
+
+    recordAim() {
+        if (this.recorder) this.recorder({ type: 'aim', x: this.aim.x, y: this.aim.y });
+    }
+
+    /**
+     * Button presses become actions, sticks move the aim
+     * @param {number} deltaTime
+     */
+    pollGamepad(deltaTime) {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+        const pad = Array.from(navigator.getGamepads()).find(p => p && p.connected);
+        if (!pad) return;
+
+        pad.buttons.forEach((button, index) => {
+            const wasPressed = this.padButtons[index] || false;
+            if (button.pressed !== wasPressed) {
+                this.padButtons[index] = button.pressed;
+                this.dispatch(`Pad${index}`, button.pressed);
+            }
+        });
+
+        if (deltaTime <= 0 || this.isMenuOpen() || this.playback) return;
+
+        // Either stick aims; use the one pushed further
+        const left = { x: pad.axes[0] || 0, y: pad.axes[1] || 0 };
+        const right = { x: pad.axes[2] || 0, y: pad.axes[3] || 0 };
+        const stick = Math.hypot(right.x, right.y) > Math.hypot(left.x, left.y) ? right : left;
+        const magnitude = Math.hypot(stick.x, stick.y);
+        if (magnitude < STICK_DEADZONE) return;
+
+        // Rescale past the deadzone, squared for fine control near the centre
+        const strength = Math.min(1, (magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE)) ** 2;
+        const speed = STICK_AIM_SPEED * settings.get('mouseSensitivity') * strength * deltaTime / magnitude;
+        this.moveAim(stick.x * speed, -stick.y * speed);
+    }
+
+    // ========================================================================
+    // BINDINGS
+    // ========================================================================
+
+    loadBindings() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+        } catch (err) {
+            console.warn('⚠️ Stored key bindings are unreadable, using defaults:', err);
+        }
+
+        Object.entries(INPUT_ACTIONS).forEach(([action, definition]) => {
+            const saved = stored[action];
+            const valid = Array.isArray(saved) && saved.every(binding => typeof binding === 'string');
+            this.bindings[action] = (valid ? saved : definition.bindings).slice(0, BINDING_SLOTS);
+        });
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.warn('⚠️ Could not save key bindings:', err);
+        }
+    }
+
+    /**
+     * @param {string} action
+     * @returns {string[]}
+     */
+    getBindings(action) {
+        return this.bindings[action];
+    }
+
+    /**
+     * Bind the next key / button / wheel move to an action slot. ESC cancels.
+     * The binding is taken off any other action that had it.
+     * @param {string} action
+     * @param {number} slot - 0..BINDING_SLOTS-1
+     * @param {(binding: string|null) => void} [onDone] - null when cancelled
+     */
+    captureBinding(action, slot, onDone = null) {
+        // Drop the click that opened the capture
+        this.queue = [];
+        this.capture = { action, slot, onDone };
+    }
+
+    /**
+     * @param {string} binding
+     */
+    finishCapture(binding) {
+        const { action, slot, onDone } = this.capture;
+        this.capture = null;
+
+        if (binding === 'Escape') {
+            if (onDone) onDone(null);
+            return;
+        }
+
+        // Dev and game actions may share keys (see isDevInput)
+        const dev = !!INPUT_ACTIONS[action].dev;
+        Object.keys(this.bindings).forEach(other => {
+            if (!!INPUT_ACTIONS[other].dev !== dev) return;
+            this.bindings[other] = this.bindings[other].filter(b => b !== binding);
+        });
+        const bindings = this.bindings[action];
+        bindings[Math.min(slot, bindings.length)] = binding;
+        this.saveBindings();
+        console.log(`🎮 ${action} bound to ${formatBinding(binding)}`);
+        if (onDone) onDone(binding);
+    }
+
+    /**
+     * @returns {boolean} True while waiting for captureBinding input
+     */
+    isCapturing() {
+        return this.capture !== null;
+    }
+
+    resetBindings() {
+        Object.entries(INPUT_ACTIONS).forEach(([action, definition]) => {
+            this.bindings[action] = definition.bindings.slice();
+        });
+        this.saveBindings();
+        console.log('🎮 Key bindings reset to defaults');
+    }
+}
+
+// Export singleton instance
+export const inputManager = new InputManager();
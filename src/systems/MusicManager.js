@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+import { soundManager } from './SoundManager.js';
+
+/**
+ * MusicManager
+ * Adaptive music: each track is a set of looping stems started in sync, and
+ * every stem fades in once combat intensity reaches its level. Intensity
+ * comes from how many zombies are alive, how close the nearest one is and
+ * the player's combo. Stingers play over the stems (briefly ducking them)
+ * on headshot streaks, scene transitions, mission complete and game over.
+ *
+ * Tracks are chosen per stage in the level file (`music`). Everything plays
+ * on SoundManager's music bus, so the music volume setting, pausing and
+ * announcement ducking apply.
+ */
+
+// Stems of one track must have the same loop length.
+// intensity: combat intensity (0..1) at which the stem is fully in
+// Nothing is recorded yet: stems and stingers are placeholders only (give
+// one a `url` to load a file instead)
+export const MUSIC_TRACKS = {
+    yard: {
+        name: 'Yard',
+        stems: [
+            { id: 'pad', placeholder: 'music_pad', intensity: 0 },
+            { id: 'pulse', placeholder: 'music_pulse', intensity: 0.35 },
+            { id: 'drums', placeholder: 'music_drums', intensity: 0.65 }
+        ]
+    },
+    interior: {
+        name: 'Interior',
+        stems: [
+            { id: 'pad', placeholder: 'music_pad', intensity: 0 },
+            { id: 'pulse', placeholder: 'music_pulse', intensity: 0.25 },
+            { id: 'drums', placeholder: 'music_drums', intensity: 0.55 }
+        ]
+    }
+};
+
+export const MUSIC_STINGERS = {
+    headshotStreak: { placeholder: 'sting_streak' },
+    sceneTransition: { placeholder: 'sting_scene' },
+    missionComplete: { placeholder: 'sting_win' },
+    gameOver: { placeholder: 'sting_lose' }
+};
+
+// Intensity inputs: zombies alive for full "crowd", nearest zombie distance
+// range (far = calm, near = full), combo for full "streak"
+const CROWD_FULL = 8;
+const DISTANCE_FAR = 14;
+const DISTANCE_NEAR = 2.5;
+const COMBO_FULL = 10;
+const INTENSITY_WEIGHTS = { crowd: 0.35, proximity: 0.45, combo: 0.2 };
+// Intensity follows the fight quickly and calms down slowly (per second)
+const INTENSITY_RISE = 1.5;
+const INTENSITY_FALL = 0.2;
+// A stem fades in over this much intensity below its level
+const STEM_FADE_RANGE = 0.2;
+// Gain smoothing (seconds, setTargetAtTime time constants)
+const STEM_FADE_TIME = 0.4;
+const TRACK_FADE_TIME = 1.0;
+// Stem level while a stinger plays
+const STINGER_DUCK = 0.4;
+
+/**
+ * @param {{ aliveCount: number, nearestDistance: number, combo: number }} threat
+ * @returns {number} Combat intensity (0..1)
+ */
+export function computeCombatIntensity({ aliveCount, nearestDistance, combo }) {
+    const clamp01 = (value) => THREE.MathUtils.clamp(value, 0, 1);
+    const crowd = clamp01(aliveCount / CROWD_FULL);
+    const proximity = aliveCount > 0
+        ? clamp01(THREE.MathUtils.mapLinear(nearestDistance, DISTANCE_FAR, DISTANCE_NEAR, 0, 1))
+        : 0;
+    const streak = clamp01(combo / COMBO_FULL);
+
+    return crowd * INTENSITY_WEIGHTS.crowd
+        + proximity * INTENSITY_WEIGHTS.proximity
+        + streak * INTENSITY_WEIGHTS.combo;
+}
+
+/**
+ * @param {{ intensity: number }} stem
+ * @param {number} intensity
+ * @returns {number} Stem level (0..1)
+ */
+function stemLevel(stem, intensity) {
+    if (stem.intensity <= 0) return 1;
+    return THREE.MathUtils.clamp((intensity - stem.intensity + STEM_FADE_RANGE) / STEM_FADE_RANGE, 0, 1);
+}
+
+class MusicManager {
+    constructor() {
+        this.context = null;
+        // Stems go through this (ducked by stingers), stingers skip it
+        this.output = null;
+        /** @type {Map<string, AudioBuffer>} Keyed 'track/stem' and 'stinger/name' */
+        this.buffers = new Map();
+        // Playing track: { id, gain, startTime, stems: [{ stem, source, gain, level }] }
+        this.current = null;
+        this.intensity = 0;
+        this.stinger = null;
+        this.duckTimeout = null;
+    }
+
+    /**
+     * Hook into SoundManager's music bus and load every stem and stinger.
+     * Call after soundManager.init().
+     */
+    init() {
+        if (this.context || !soundManager.listener) return;
+
+        this.context = soundManager.listener.context;
+        this.output = this.context.createGain();
+        this.output.connect(soundManager.buses.music);
+
+        Object.entries(MUSIC_TRACKS).forEach(([trackId, track]) => {
+            track.stems.forEach(stem => {
+                soundManager.loadBuffer(stem.url || null, stem.placeholder, buffer => {
+                    this.buffers.set(`${trackId}/${stem.id}`, buffer);
+                    // Late stems join the playing track in sync
+                    if (this.current?.id === trackId) this.startStem(stem);
+                });
+            });
+        });
+        Object.entries(MUSIC_STINGERS).forEach(([name, stinger]) => {
+            soundManager.loadBuffer(stinger.url || null, stinger.placeholder, buffer => {
+                this.buffers.set(`stinger/${name}`, buffer);
+            });
+        });
+
+        console.log('🎵 MusicManager initialized');
+    }
+
+    /**
+     * Cross-fade to a track (no-op if it is already playing)
+     * @param {string|null} trackId - Key of MUSIC_TRACKS; null keeps the current track
+     */
+    playTrack(trackId) {
+        if (!this.context || !trackId || this.current?.id === trackId) return;
+        if (!MUSIC_TRACKS[trackId]) {
+            console.warn(`⚠️ Unknown music track "${trackId}"`);
+            return;
+        }
+
+        this.stop();
+        const now = this.context.currentTime;
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        gain.gain.setTargetAtTime(1, now, TRACK_FADE_TIME / 3);
+        gain.connect(this.output);
+
+        this.current = { id: trackId, gain, startTime: now, stems: [] };
+        MUSIC_TRACKS[trackId].stems.forEach(stem => this.startStem(stem));
+        console.log(`🎵 Music: ${MUSIC_TRACKS[trackId].name}`);
+    }
+
+    /**
+     * Start one stem of the current track, lined up with the others
+     * @param {Object} stem - Entry of the track's stems
+     */
+    startStem(stem) {
+        const track = this.current;
+        const buffer = this.buffers.get(`${track.id}/${stem.id}`);
+        if (!buffer || track.stems.some(playing => playing.stem === stem)) return;
+
+        const level = stemLevel(stem, this.intensity);
+        const gain = this.context.createGain();
+        gain.gain.value = level;
+        gain.connect(track.gain);
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(gain);
+        const offset = (this.context.currentTime - track.startTime) % buffer.duration;
+        source.start(this.context.currentTime, offset);
+
+        track.stems.push({ stem, source, gain, level });
+    }
+
+    /**
+     * Fade out the current track
+     * @param {number} [fadeTime] - Seconds
+     */
+    stop(fadeTime = TRACK_FADE_TIME) {
+        if (!this.current) return;
+
+        const { gain, stems } = this.current;
+        const now = this.context.currentTime;
+        gain.gain.setTargetAtTime(0, now, fadeTime / 3);
+        stems.forEach(({ source }) => source.stop(now + fadeTime));
+        stems[0]?.source.addEventListener('ended', () => gain.disconnect());
+
+        this.current = null;
+        this.intensity = 0;
+    }
+
+    /**
+     * Follow combat intensity: cross-fade stems in and out
+     * @param {number} deltaTime - Seconds (unscaled: music ignores slow motion)
+     * @param {{ aliveCount: number, nearestDistance: number, combo: number }} threat
+     */
+    update(deltaTime, threat) {
+        const target = computeCombatIntensity(threat);
+        const rate = target > this.intensity ? INTENSITY_RISE : INTENSITY_FALL;
+        const step = rate * deltaTime;
+        this.intensity += THREE.MathUtils.clamp(target - this.intensity, -step, step);
+
+        if (!this.current) return;
+        const now = this.context.currentTime;
+        this.current.stems.forEach(playing => {
+            const level = stemLevel(playing.stem, this.intensity);
+            if (Math.abs(level - playing.level) < 0.01) return;
+            playing.level = level;
+            playing.gain.gain.setTargetAtTime(level, now, STEM_FADE_TIME / 3);
+        });
+    }
+
+    /**
+     * Play a stinger over the stems
+     * @param {string} name - Key of MUSIC_STINGERS
+     */
+    playStinger(name) {
+        const buffer = this.buffers.get(`stinger/${name}`);
+        if (!this.context || !buffer) return;
+
+        if (this.stinger) this.stinger.stop();
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(soundManager.buses.music);
+        source.addEventListener('ended', () => {
+            source.disconnect();
+            if (this.stinger === source) this.stinger = null;
+        });
+        source.start();
+        this.stinger = source;
+
+        // Duck the stems under the stinger
+        const now = this.context.currentTime;
+        this.output.gain.setTargetAtTime(STINGER_DUCK, now, 0.05);
+        clearTimeout(this.duckTimeout);
+        this.duckTimeout = setTimeout(() => {
+            this.output.gain.setTargetAtTime(1, this.context.currentTime, 0.3);
+        }, buffer.duration * 1000);
+    }
+
+    /**
+     * @returns {string|null} Id of the playing track
+     */
+    getTrack() {
+        return this.current?.id ?? null;
+    }
+
+    /**
+     * @returns {number} Smoothed combat intensity (0..1)
+     */
+    getIntensity() {
+        return this.intensity;
+    }
+}
+
+// Export singleton instance
+export const musicManager = new MusicManager();
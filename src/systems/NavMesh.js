@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+
+/**
+ * NavMesh
+ * Walkable areas for one environment, authored in the level file, with
+ * A* pathfinding between them.
+ *
+ * An area is an axis-aligned, obstacle-free floor rectangle at a fixed
+ * height, so any straight line inside one area is walkable. Areas on the
+ * same floor that touch or overlap connect automatically through the
+ * middle of their shared edge. Links (stairs, ladders, ramps) connect areas
+ * on different floors through an explicit list of points.
+ *
+ * All positions are at feet level: `y` is the floor height, not the
+ * zombie's (or camera's) centre.
+ */
+
+// Max height difference still treated as the same floor
+const STEP_HEIGHT = 0.5;
+// Areas closer than this count as touching
+const TOUCH_TOLERANCE = 0.05;
+// Spacing of walkability samples when straightening paths
+const SAMPLE_SPACING = 0.5;
+
+/**
+ * @typedef {Object} NavArea
+ * @property {string} id
+ * @property {number} y - Floor height
+ * @property {{x:number, z:number}} min
+ * @property {{x:number, z:number}} max
+ */
+
+/**
+ * @typedef {Object} NavWaypoint
+ * @property {THREE.Vector3} position - Feet position
+ * @property {boolean} onLink - Part of a stairs / ladder link (don't re-plan mid-link)
+ */
+
+export class NavMesh {
+    /**
+     * @param {{ areas: NavArea[], links?: {from:string, to:string, points:{x:number,y:number,z:number}[]}[] }} data
+     *        The `navigation` block of a level environment
+     */
+    constructor(data) {
+        this.areas = data.areas.map(area => ({
+            id: area.id,
+            y: area.y,
+            min: { x: area.min.x, z: area.min.z },
+            max: { x: area.max.x, z: area.max.z }
+        }));
+        this.areaById = new Map(this.areas.map(area => [area.id, area]));
+
+        /** @type {Array<{ position: THREE.Vector3, areas: NavArea[], edges: Array<{ to: number, cost: number, via: THREE.Vector3[] }> }>} */
+        this.nodes = [];
+        this.buildPortals();
+        this.buildLinks(data.links || []);
+        this.connectNodesWithinAreas();
+    }
+
+    // ========================================================================
+    // GRAPH CONSTRUCTION
+    // ========================================================================
+
+    addNode(position, areas) {
+        this.nodes.push({ position, areas, edges: [] });
+        return this.nodes.length - 1;
+    }
+
+    connect(a, b, cost, via = []) {
+        this.nodes[a].edges.push({ to: b, cost, via });
+        this.nodes[b].edges.push({ to: a, cost, via: [...via].reverse() });
+    }
+
+    /**
+     * A portal node in the middle of the shared edge of every pair of
+     * touching areas on the same floor
+     */
+    buildPortals() {
+        for (let i = 0; i < this.areas.length; i++) {
+            for (let j = i + 1; j < this.areas.length; j++) {
+                const a = this.areas[i];
+                const b = this.areas[j];
+                if (Math.abs(a.y - b.y) > STEP_HEIGHT) continue;
+
+                const minX = Math.max(a.min.x, b.min.x);
+                const maxX = Math.min(a.max.x, b.max.x);
+                const minZ = Math.max(a.min.z, b.min.z);
+                const maxZ = Math.min(a.max.z, b.max.z);
+                if (minX > maxX + TOUCH_TOLERANCE || minZ > maxZ + TOUCH_TOLERANCE) continue;
+
+                // Touching only at a corner isn't wide enough to walk through
+                if (Math.max(maxX - minX, maxZ - minZ) < TOUCH_TOLERANCE) continue;
+
+                const position = new THREE.Vector3(
+                    (minX + maxX) / 2,
+                    Math.max(a.y, b.y),
+                    (minZ + maxZ) / 2
+                );
+                this.addNode(position, [a, b]);
+            }
+        }
+    }
+
+    /**
+     * Nodes at both ends of each link, joined by the link's points
+     * @param {{from:string, to:string, points:{x:number,y:number,z:number}[]}[]} links
+     */
+    buildLinks(links) {
+        links.forEach(link => {
+            const points = link.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+            const start = this.addNode(points[0], [this.areaById.get(link.from)]);
+            const end = this.addNode(points[points.length - 1], [this.areaById.get(link.to)]);
+
+            let cost = 0;
+            for (let i = 1; i < points.length; i++) {
+                cost += points[i].distanceTo(points[i - 1]);
+            }
+            this.connect(start, end, cost, points.slice(1, -1));
+        });
+    }
+
+    /**
+     * Areas are convex, so every pair of nodes on one area can walk straight to each other
+     */
+    connectNodesWithinAreas() {
+        this.areas.forEach(area => {
+            const indices = this.nodesInArea(area);
+            for (let i = 0; i < indices.length; i++) {
+                for (let j = i + 1; j < indices.length; j++) {
+                    const a = indices[i];
+                    const b = indices[j];
+                    this.connect(a, b, this.nodes[a].position.distanceTo(this.nodes[b].position));
+                }
+            }
+        });
+    }
+
+    nodesInArea(area) {
+        const indices = [];
+        this.nodes.forEach((node, index) => {
+            if (node.areas.includes(area)) indices.push(index);
+        });
+        return indices;
+    }
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    /**
+     * Find the floor under a point: the highest area containing it in x/z
+     * that is no more than a step above it
+     * @param {{x:number, y:number, z:number}} point
+     * @param {number} [maxRise=STEP_HEIGHT] - How far above the point a floor may be
+     * @returns {NavArea|null}
+     */
+    findArea(point, maxRise = STEP_HEIGHT) {
+        let best = null;
+        this.areas.forEach(area => {
+            if (point.x < area.min.x || point.x > area.max.x) return;
+            if (point.z < area.min.z || point.z > area.max.z) return;
+            if (area.y > point.y + maxRise) return;
+            if (!best || area.y > best.y) best = area;
+        });
+        return best;
+    }
+
+    /**
+     * Project a point (e.g. the camera) down onto the floor below it
+     * @param {{x:number, y:number, z:number}} point
+     * @param {THREE.Vector3} [target]
+     * @returns {THREE.Vector3|null} Feet position, or null if the point is off the mesh
+     */
+    projectToFloor(point, target = new THREE.Vector3()) {
+        const area = this.findArea(point);
+        if (!area) return null;
+        return target.set(point.x, area.y, point.z);
+    }
+
+    /**
+     * Keep a position inside an area in x/z (after being pushed by avoidance)
+     * @param {THREE.Vector3} position
+     * @param {NavArea} area
+     */
+    clampToArea(position, area) {
+        position.x = THREE.MathUtils.clamp(position.x, area.min.x, area.max.x);
+        position.z = THREE.MathUtils.clamp(position.z, area.min.z, area.max.z);
+    }
+
+    /**
+     * True if a straight walk between two points stays on one floor of the mesh
+     * @param {THREE.Vector3} a
+     * @param {THREE.Vector3} b
+     */
+    isWalkableSegment(a, b) {
+        if (Math.abs(a.y - b.y) > STEP_HEIGHT) return false;
+
+        const steps = Math.max(1, Math.ceil(a.distanceTo(b) / SAMPLE_SPACING));
+        const sample = new THREE.Vector3();
+        for (let i = 0; i <= steps; i++) {
+            sample.lerpVectors(a, b, i / steps);
+            const area = this.findArea(sample);
+            if (!area || Math.abs(area.y - sample.y) > STEP_HEIGHT) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Plan a path between two feet positions
+     * @param {THREE.Vector3} start
+     * @param {THREE.Vector3} goal
+     * @returns {NavWaypoint[]|null} Waypoints after `start` ending at `goal`,
+     *          or null if either end is off the mesh or no route exists
+     */
+    findPath(start, goal) {
+        const startArea = this.findArea(start);
+        const goalArea = this.findArea(goal);
+        if (!startArea || !goalArea) return null;
+
+        const goalPoint = new THREE.Vector3(goal.x, goalArea.y, goal.z);
+        if (startArea === goalArea) {
+            return [{ position: goalPoint, onLink: false }];
+        }
+
+        const route = this.searchNodes(start, startArea, goalPoint, goalArea);
+        if (!route) return null;
+
+        return this.straighten(start, [...route, { position: goalPoint, onLink: false }]);
+    }
+
+    /**
+     * A* over the portal / link graph
+     * @returns {NavWaypoint[]|null} Node waypoints (without start and goal)
+     */
+    searchNodes(start, startArea, goalPoint, goalArea) {
+        const goalNodes = new Set(this.nodesInArea(goalArea));
+        const cost = new Map();
+        const cameFrom = new Map();
+        const open = [];
+
+        this.nodesInArea(startArea).forEach(index => {
+            const g = start.distanceTo(this.nodes[index].position);
+            cost.set(index, g);
+            open.push({ index, f: g + this.nodes[index].position.distanceTo(goalPoint) });
+        });
+
+        const closed = new Set();
+        while (open.length > 0) {
+            // Graphs are a few dozen nodes at most, a sorted array is plenty
+            open.sort((a, b) => a.f - b.f);
+            const { index } = open.shift();
+            if (closed.has(index)) continue;
+            closed.add(index);
+
+            if (goalNodes.has(index)) {
+                return this.reconstruct(cameFrom, index);
+            }
+
+            this.nodes[index].edges.forEach(edge => {
+                const g = cost.get(index) + edge.cost;
+                if (g >= (cost.get(edge.to) ?? Infinity)) return;
+                cost.set(edge.to, g);
+                cameFrom.set(edge.to, { from: index, via: edge.via });
+                open.push({ index: edge.to, f: g + this.nodes[edge.to].position.distanceTo(goalPoint) });
+            });
+        }
+        return null;
+    }
+
+    reconstruct(cameFrom, endIndex) {
+        const waypoints = [];
+        let index = endIndex;
+        // Whether the edge leaving the current node is a link (walked backwards here)
+        let leavesOnLink = false;
+        while (index !== undefined) {
+            const step = cameFrom.get(index);
+            const entersOnLink = !!step && step.via.length > 0;
+
+            // Both ends of a link are part of it, so nobody re-plans halfway up the stairs
+            waypoints.unshift({
+                position: this.nodes[index].position.clone(),
+                onLink: entersOnLink || leavesOnLink
+            });
+            if (step) {
+                [...step.via].reverse().forEach(point => {
+                    waypoints.unshift({ position: point.clone(), onLink: true });
+                });
+            }
+
+            leavesOnLink = entersOnLink;
+            index = step ? step.from : undefined;
+        }
+        return waypoints;
+    }
+
+    /**
+     * Drop waypoints that can be skipped by walking straight past them on the same floor
+     * @param {THREE.Vector3} start
+     * @param {NavWaypoint[]} waypoints
+     */
+    straighten(start, waypoints) {
+        const result = [];
+        let anchor = start;
+        let i = 0;
+        while (i < waypoints.length) {
+            let furthest = i;
+            if (!waypoints[i].onLink) {
+                for (let j = waypoints.length - 1; j > i; j--) {
+                    const skipsLink = waypoints.slice(i, j).some(wp => wp.onLink);
+                    if (!skipsLink && this.isWalkableSegment(anchor, waypoints[j].position)) {
+                        furthest = j;
+                        break;
+                    }
+                }
+            }
+            result.push(waypoints[furthest]);
+            anchor = waypoints[furthest].position;
+            i = furthest + 1;
+        }
+        return result;
+    }
+}
+
+/**
+ * Build a NavMesh for every level environment that has `navigation` data
+ * @param {Object} level
+ * @returns {Map<string, NavMesh>} Environment id -> nav mesh
+ */
+export function buildNavMeshes(level) {
+    const navMeshes = new Map();
+    level.environments.forEach(env => {
+        if (env.navigation) {
+            navMeshes.set(env.id, new NavMesh(env.navigation));
+        }
+    });
+    return navMeshes;
+}
@@ -0,0 +1,169 @@
+/**
+ * Placeholder Sounds
+ * Short synthesized buffers used when a sound file is missing, like the
+ * placeholder zombie meshes: the game stays playable (and audible) without
+ * its assets. Each recipe returns one channel of samples. Covers the sound
+ * effects (SoundManager) and the music stems and stingers (MusicManager).
+ */
+
+const TWO_PI = Math.PI * 2;
+
+// Noise with a one-pole low-pass (cutoff 0..1, higher is brighter)
+function filteredNoise(cutoff) {
+    let last = 0;
+    return () => {
+        last += cutoff * ((Math.random() * 2 - 1) - last);
+        return last;
+    };
+}
+
+const RECIPES = {
+    // Gunshot: bright noise crack with a fast decay
+    shot: { duration: 0.35, sample: (t, noise) => noise() * Math.exp(-t * 18), noise: 0.6 },
+    // Reload: two mechanical clicks
+    reload: {
+        duration: 0.6,
+        sample: (t, noise) => noise() * (Math.exp(-Math.abs(t - 0.05) * 120) + Math.exp(-Math.abs(t - 0.45) * 120)),
+        noise: 0.9
+    },
+    // Groan: low wobbling tone, swelling in and out
+    groan: {
+        duration: 1.4,
+        sample: (t, noise) => {
+            const pitch = 90 + Math.sin(t * 5) * 12;
+            const envelope = Math.sin(Math.PI * t / 1.4) ** 2;
+            return (Math.sin(TWO_PI * pitch * t) * 0.6 + Math.sin(TWO_PI * pitch * 1.5 * t) * 0.2 + noise() * 0.3) * envelope;
+        },
+        noise: 0.1
+    },
+    // Footstep: dull thud
+    footstep: {
+        duration: 0.15,
+        sample: (t, noise) => (noise() * 0.7 + Math.sin(TWO_PI * 60 * t) * 0.5) * Math.exp(-t * 35),
+        noise: 0.08
+    },
+    // Attack: swipe of rising noise
+    attack: {
+        duration: 0.3,
+        sample: (t, noise) => noise() * Math.sin(Math.PI * t / 0.3),
+        noise: 0.35
+    },
+    // Death: falling groan
+    death: {
+        duration: 0.9,
+        sample: (t, noise) => (Math.sin(TWO_PI * (110 - t * 60) * t) * 0.6 + noise() * 0.3) * Math.exp(-t * 3),
+        noise: 0.1
+    },
+    // Spawn: growl rising out of the ground
+    spawn: {
+        duration: 0.8,
+        sample: (t, noise) => (Math.sin(TWO_PI * (70 + t * 50) * t) * 0.5 + noise() * 0.4) * Math.sin(Math.PI * t / 0.8),
+        noise: 0.15
+    },
+    // Hit: wet thump
+    hit: {
+        duration: 0.2,
+        sample: (t, noise) => (noise() * 0.8 + Math.sin(TWO_PI * 90 * t) * 0.4) * Math.exp(-t * 25),
+        noise: 0.3
+    },
+    // Dry fire: single hollow click
+    click: {
+        duration: 0.08,
+        sample: (t, noise) => (noise() + Math.sin(TWO_PI * 1800 * t) * 0.3) * Math.exp(-t * 90),
+        noise: 0.95
+    },
+    // Power-up pickup: bright rising blip
+    pickup: {
+        duration: 0.35,
+        sample: (t) => Math.sin(TWO_PI * (600 + t * 1800) * t) * Math.exp(-t * 6) * 0.4,
+        noise: 0
+    },
+    // Warehouse door: low rumbling slide ending in a clunk
+    door: {
+        duration: 1.6,
+        sample: (t, noise) => noise() * (t < 1.3 ? 0.5 + Math.sin(TWO_PI * 7 * t) * 0.2 : 0) * Math.min(1, t * 5)
+            + noise() * Math.exp(-Math.max(0, t - 1.3) * 30) * (t >= 1.3 ? 1 : 0),
+        noise: 0.05
+    },
+    // Announcement: two-tone alarm
+    announce: {
+        duration: 0.7,
+        sample: (t) => Math.sin(TWO_PI * (t < 0.35 ? 660 : 440) * t) * Math.min(1, (0.7 - t) * 10) * 0.5,
+        noise: 0
+    },
+
+    // Music stems: 4 s loops (two bars at 120 BPM) so they stay in sync and
+    // loop without clicks
+    // Pad: A minor chord breathing in and out
+    music_pad: {
+        duration: 4,
+        sample: (t) => (Math.sin(TWO_PI * 110 * t) + Math.sin(TWO_PI * 130.75 * t) + Math.sin(TWO_PI * 164.75 * t))
+            * (0.6 + Math.sin(TWO_PI * 0.25 * t) * 0.4) * 0.12,
+        noise: 0
+    },
+    // Pulse: eighth-note bass, dropping a fifth on the second bar
+    music_pulse: {
+        duration: 4,
+        sample: (t) => {
+            const note = t % 0.25;
+            return Math.sin(TWO_PI * (t < 2 ? 55 : 41.25) * note) * Math.exp(-note * 10) * 0.4;
+        },
+        noise: 0
+    },
+    // Drums: kick on every beat, noise snare on the backbeats
+    music_drums: {
+        duration: 4,
+        sample: (t, noise) => {
+            const beat = t % 0.5;
+            const kick = Math.sin(TWO_PI * (50 + 80 * Math.exp(-beat * 30)) * beat) * Math.exp(-beat * 12) * 0.5;
+            const snare = Math.floor(t / 0.5) % 2 === 1 ? noise() * Math.exp(-beat * 20) * 0.4 : 0;
+            return kick + snare;
+        },
+        noise: 0.5
+    },
+
+    // Music stingers
+    // Headshot streak: quick rising arpeggio
+    sting_streak: {
+        duration: 0.6,
+        sample: (t) => Math.sin(TWO_PI * [440, 554, 659, 880][Math.min(3, Math.floor(t / 0.15))] * t) * Math.exp(-(t % 0.15) * 12) * 0.4,
+        noise: 0
+    },
+    // Scene transition: swelling low chord
+    sting_scene: {
+        duration: 1.2,
+        sample: (t) => (Math.sin(TWO_PI * 220 * t) + Math.sin(TWO_PI * 330 * t) * 0.6 + Math.sin(TWO_PI * 440 * t) * 0.3)
+            * Math.sin(Math.PI * t / 1.2) * 0.25,
+        noise: 0
+    },
+    // Mission complete: major arpeggio
+    sting_win: {
+        duration: 1.5,
+        sample: (t) => Math.sin(TWO_PI * [523, 659, 784, 1046][Math.min(3, Math.floor(t / 0.2))] * t) * Math.exp(-Math.max(0, t - 0.6) * 3) * 0.35,
+        noise: 0
+    },
+    // Game over: falling minor slide
+    sting_lose: {
+        duration: 1.8,
+        sample: (t) => (Math.sin(TWO_PI * (220 - t * 40) * t) + Math.sin(TWO_PI * (261.6 - t * 48) * t) * 0.5) * Math.exp(-t * 1.5) * 0.3,
+        noise: 0
+    }
+};
+
+/**
+ * @param {AudioContext} context
+ * @param {string} recipe - Key of RECIPES
+ * @returns {AudioBuffer}
+ */
+export function createPlaceholderBuffer(context, recipe) {
+    const { duration, sample, noise } = RECIPES[recipe] || RECIPES.shot;
+    const length = Math.ceil(duration * context.sampleRate);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    const nextNoise = filteredNoise(noise);
+
+    for (let i = 0; i < length; i++) {
+        data[i] = sample(i / context.sampleRate, nextNoise);
+    }
+    return buffer;
+}
@@ -1,34 +1,59 @@
 import { gameData } from '../core/GameState.js';
 import { GameState } from '../core/GameState.js';
+import { gameClock } from '../core/GameClock.js';
 import { soundManager } from './SoundManager.js';
+import { weaponManager } from '../weapons/WeaponManager.js';
+import { isGodMode } from '../core/Difficulty.js';
+import { adaptiveDifficulty } from '../core/AdaptiveDifficulty.js';
+import { platform } from '../core/Platform.js';
+import { gameEvents } from '../core/GameEvents.js';
 
 /**
  * PlayerManager
- * Manages player health, combos, reload, and related systems
+ * Manages player health, combos, reload, and related systems.
+ * Takes hits from playerAttacked and counts kills towards the combo; emits
+ * playerDamaged, playerDied, comboChanged and reloadStarted.
  */
 export class PlayerManager {
-    constructor(updateUIFn, resetComboFn, gameOverFn) {
-        this.updateUI = updateUIFn;
-        // Note: resetComboFn is not used - PlayerManager has its own resetCombo method
-        // The resetComboFn parameter is kept for backward compatibility but not assigned
-        this.gameOver = gameOverFn;
+    constructor() {
+        this.subscriptions = [
+            gameEvents.on('playerAttacked', ({ amount }) => this.damage(amount)),
+            gameEvents.on('zombieKilled', ({ byPlayer }) => {
+                if (byPlayer) this.incrementCombo();
+            }),
+            // A hit that doesn't kill breaks the combo
+            gameEvents.on('shotFired', ({ hitZombie, killed }) => {
+                if (hitZombie && !killed) this.resetCombo();
+            })
+        ];
     }
     
+    /**
+     * Stop listening to game events
+     */
+    dispose() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+    }
+    
+    /**
+     * Damage the player. Zombie damage is already scaled by the difficulty
+     * preset; god mode (dev toggle) ignores it entirely.
+     * @param {number} amount
+     */
     damage(amount) {
-        // TESTING MODE: Player cannot die
-        // Uncomment the code below to re-enable damage
-        return;
-        
-        /* DISABLED FOR TESTING
+        if (isGodMode()) return;
+        if (gameData.currentState !== GameState.GAMEPLAY) return;
         if (gameData.health <= 0) return;
         
+        adaptiveDifficulty.recordDamage(Math.min(amount, gameData.health));
         gameData.health = Math.max(0, gameData.health - amount);
         console.log(`💔 Player hit! Health: ${gameData.health}/${gameData.maxHealth}`);
         
         this.resetCombo();
         
         // Screen flash red
-        const flash = document.getElementById('damage-flash');
+        const flash = platform.dom.getElement('damage-flash');
         if (flash) {
             flash.style.opacity = '0.5';
             setTimeout(() => {
@@ -36,12 +61,11 @@ export class PlayerManager {
             }, 200);
         }
         
-        this.updateUI();
+        gameEvents.emit('playerDamaged', { amount, health: gameData.health });
         
         if (gameData.health <= 0) {
-            this.gameOver();
+            gameEvents.emit('playerDied');
         }
-        */
     }
     
     incrementCombo() {
@@ -59,15 +83,16 @@ export class PlayerManager {
             console.log(`🔥 COMBO x${gameData.currentCombo}! +${bonusPoints} bonus`);
         }
         
-        this.updateUI();
+        gameEvents.emit('comboChanged', { combo: gameData.currentCombo });
     }
     
     resetCombo() {
-        if (gameData.currentCombo > 0) {
-            console.log(`❌ Combo broken at x${gameData.currentCombo}`);
-        }
-        gameData.currentCombo = 0;
         gameData.comboTimer = 0;
+        if (gameData.currentCombo === 0) return;
+        
+        console.log(`❌ Combo broken at x${gameData.currentCombo}`);
+        gameData.currentCombo = 0;
+        gameEvents.emit('comboChanged', { combo: 0 });
     }
     
     updateComboTimer(deltaTime) {
@@ -79,55 +104,32 @@ export class PlayerManager {
         }
     }
     
-    reload(weaponId = 'pistol') {
-        if (gameData.isReloading) return;
-        if (gameData.currentAmmo === gameData.maxAmmo) return;
-        if (gameData.reserveAmmo === 0) return;
+    reload() {
+        // WeaponManager owns clip/reserve state and the reload timer;
+        // the HUD shows RELOADING... while weaponManager.isReloading is set
+        if (!weaponManager.startReload(gameClock.playTime)) return;
         
         // Play reload sound
-        soundManager.playReload(weaponId);
+        soundManager.playReload(weaponManager.currentWeaponId);
         
-        gameData.isReloading = true;
-        const reloadIndicator = document.getElementById('reload-indicator');
-        if (reloadIndicator) {
-            reloadIndicator.style.display = 'block';
-        }
-        
-        setTimeout(() => {
-            const ammoNeeded = gameData.maxAmmo - gameData.currentAmmo;
-            const ammoToReload = Math.min(ammoNeeded, gameData.reserveAmmo);
-            
-            gameData.currentAmmo += ammoToReload;
-            gameData.reserveAmmo -= ammoToReload;
-            gameData.isReloading = false;
-            
-            if (reloadIndicator) {
-                reloadIndicator.style.display = 'none';
-            }
-            this.updateUI();
-        }, gameData.reloadTime);
+        gameEvents.emit('reloadStarted', { weaponId: weaponManager.currentWeaponId });
     }
     
-    resetStats(weaponAmmoConfig = null) {
+    resetStats() {
         gameData.health = gameData.maxHealth;
         gameData.totalZombiesKilled = 0;
         gameData.shotsFired = 0;
         gameData.shotsHit = 0;
         gameData.headshotKills = 0;
+        gameData.headshotStreak = 0;
         gameData.currentCombo = 0;
         gameData.maxCombo = 0;
         gameData.score = 0;
-        gameData.currentAmmo = gameData.maxAmmo;
         
-        // Set reserve ammo based on current weapon config if provided
-        if (weaponAmmoConfig) {
-            const currentWeaponConfig = weaponAmmoConfig['pistol']; // Default to pistol on reset
-            if (currentWeaponConfig) {
-                gameData.reserveAmmo = currentWeaponConfig.reserveSize;
-            }
-        }
+        // Adaptive intensity starts over within the (possibly changed) difficulty's bounds
+        adaptiveDifficulty.reset();
         
-        gameData.isReloading = false;
+        // Refill every weapon and go back to the pistol
+        weaponManager.reset();
     }
 }
-
@@ -1,18 +1,28 @@
 import * as THREE from 'three';
 import PowerUp from '../powerups/PowerUp.js';
-import { POWERUP_SPAWN_POSITIONS } from '../core/SceneConfig.js';
+import { weaponManager } from '../weapons/WeaponManager.js';
+import { getDifficulty } from '../core/Difficulty.js';
+import { adaptiveDifficulty } from '../core/AdaptiveDifficulty.js';
+import { gameClock } from '../core/GameClock.js';
+import { rng } from '../core/Random.js';
+import { platform } from '../core/Platform.js';
+import { gameEvents } from '../core/GameEvents.js';
+
+const lootRandom = rng.stream('loot');
+
+// Game speed while slow motion is active
+const SLOW_MO_SCALE = 0.5;
 
 /**
  * PowerUpManager
- * Manages power-up spawning, collection, and UI updates
+ * Manages power-up spawning, collection (emits powerUpCollected), and the
+ * power-up timer UI
  */
 export class PowerUpManager {
-    constructor(scene, camera, gameData, updateUIFn, showPowerUpMessageFn) {
+    constructor(scene, camera, gameData) {
         this.scene = scene;
         this.camera = camera;
         this.gameData = gameData;
-        this.updateUI = updateUIFn;
-        this.showPowerUpMessage = showPowerUpMessageFn;
         this.powerUps = [];
         this.messageTimeout = null;
     }
@@ -31,25 +41,31 @@ export class PowerUpManager {
         this.powerUps.push(powerUp);
     }
     
-    spawnScenePowerUps(sceneIndex) {
-        const positions = POWERUP_SPAWN_POSITIONS[sceneIndex] || [];
-        if (positions.length === 0) return;
+    /**
+     * Spawn a random selection of power-ups at the scene's power-up spots
+     * @param {{positions: THREE.Vector3[], maxSpawns: number, types: string[]}} config
+     */
+    spawnScenePowerUps(config) {
+        const positions = config?.positions || [];
+        if (positions.length === 0 || config.maxSpawns <= 0) return;
         
+        // 1–maxSpawns per scene, more when adaptive difficulty sees the player struggling
+        const rolled = 1 + lootRandom.int(config.maxSpawns);
         const numToSpawn = Math.min(
             positions.length,
-            1 + Math.floor(Math.random() * 2) // 1–2 per scene
+            Math.max(1, Math.round(rolled * adaptiveDifficulty.getPowerUpOdds()))
         );
         
         const availableIndices = positions.map((_, i) => i);
-        const types = ['health', 'ammo', 'double_damage', 'slow_mo'];
+        const types = config.types;
         
         for (let i = 0; i < numToSpawn; i++) {
             if (availableIndices.length === 0) break;
             
-            const index = Math.floor(Math.random() * availableIndices.length);
+            const index = lootRandom.int(availableIndices.length);
             const posIndex = availableIndices.splice(index, 1)[0];
             
-            const type = types[Math.floor(Math.random() * types.length)];
+            const type = lootRandom.pick(types);
             this.spawnPowerUp(positions[posIndex], type);
         }
     }
@@ -71,17 +87,18 @@ export class PowerUpManager {
             slow_mo: 'SLOW MOTION'
         }[type] || type.toUpperCase();
         
-        this.showPowerUpMessage(`POWER-UP: ${typeLabel}`);
+        // Pickup amounts scale with the difficulty preset
+        const difficulty = getDifficulty();
         
         switch (type) {
             case 'health':
                 this.gameData.health = Math.min(
                     this.gameData.maxHealth,
-                    this.gameData.health + 30
+                    this.gameData.health + Math.round(30 * difficulty.healthDrop)
                 );
                 break;
             case 'ammo':
-                this.gameData.reserveAmmo += 12;
+                weaponManager.addReserveAmmo(Math.round(12 * difficulty.ammoDrop));
                 break;
             case 'double_damage':
                 this.gameData.doubleDamageActive = true;
@@ -90,10 +107,11 @@ export class PowerUpManager {
             case 'slow_mo':
                 this.gameData.slowMoActive = true;
                 this.gameData.slowMoTimer = 5;
+                gameClock.setTimeScale(SLOW_MO_SCALE);
                 break;
         }
         
-        this.updateUI();
+        gameEvents.emit('powerUpCollected', { type, label: typeLabel });
     }
     
     update(deltaTime) {
@@ -117,14 +135,15 @@ export class PowerUpManager {
             if (this.gameData.slowMoTimer <= 0) {
                 this.gameData.slowMoActive = false;
                 this.gameData.slowMoTimer = 0;
+                gameClock.setTimeScale(1);
             }
         }
     }
     
     updateUI() {
-        const msgEl = document.getElementById('powerup-message');
-        const ddEl = document.getElementById('double-damage-timer');
-        const smEl = document.getElementById('slow-mo-timer');
+        const msgEl = platform.dom.getElement('powerup-message');
+        const ddEl = platform.dom.getElement('double-damage-timer');
+        const smEl = platform.dom.getElement('slow-mo-timer');
         
         if (ddEl) {
             if (this.gameData.doubleDamageActive) {
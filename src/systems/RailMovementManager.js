@@ -1,5 +1,7 @@
 import * as THREE from 'three';
-import { RAIL_PATHS, getPathById } from './RailPathConfig.js';
+import { getPathById } from './RailPathConfig.js';
+import { gameClock } from '../core/GameClock.js';
+import { gameEvents } from '../core/GameEvents.js';
 
 /**
  * Easing function - cubic ease in/out
@@ -11,6 +13,18 @@ function easeInOutCubic(t) {
         : 1 - Math.pow(-2 * t + 2, 3) / 2;
 }
 
+/**
+ * Inverse of easeInOutCubic - raw progress that reaches an eased value
+ * @param {number} eased - 0 to 1
+ * @returns {number}
+ */
+function invertEasing(eased) {
+    const y = Math.min(Math.max(eased, 0), 1);
+    return y < 0.5
+        ? Math.cbrt(y / 4)
+        : 1 - Math.cbrt(2 * (1 - y)) / 2;
+}
+
 /**
  * RailMovementManager
  * Manages on-rails camera movement along spline paths with support for
@@ -27,8 +41,8 @@ export class RailMovementManager {
         this.isOnRails = false;
         this.lookAtDistance = 5.0;
         
-        // Path management
-        this.paths = RAIL_PATHS;
+        // Path management (set from level data via setPaths)
+        this.paths = [];
         this.currentPathIndex = 0;
         this.currentPath = null;
         
@@ -36,19 +50,34 @@ export class RailMovementManager {
         this.splineCurve = null;
         this.splinePoints = null;
         
-        // Animation state
+        // Animation state (startTime is game time, in seconds)
         this.startTime = null;
         this.duration = 5000;
         this.pathLength = 0;
         
+        // Time actually travelled along the current path (excludes ambush holds)
+        this.elapsed = 0;
+        
         // Enemy spawn management
         this.enemySpawns = [];
         this.spawnedEnemies = new Set();
         
+        // Ambush hold: camera waits at path.holdAt until the ambush is cleared
+        this.isHolding = false;
+        
         // Look-at target for smooth camera rotation
         this.targetLookAt = null;
     }
     
+    /**
+     * Replace the rail paths (called when a level is loaded)
+     * @param {Array<Object>} paths - Paths built by buildRailPaths()
+     */
+    setPaths(paths) {
+        this.reset();
+        this.paths = paths;
+    }
+    
     /**
      * Initialize paths from config
      */
@@ -65,16 +94,28 @@ export class RailMovementManager {
     /**
      * Update method - MUST be called every frame in your game loop
      * Handles smooth camera movement along spline paths
+     * @param {number} deltaTime - Game time in seconds (gameClock: stands still while paused)
      */
-    update() {
-        if (!this.isOnRails || !this.splineCurve || !this.startTime) {
+    update(deltaTime) {
+        if (!this.isOnRails || !this.splineCurve || this.startTime === null) {
             return;
         }
         
-        // Calculate elapsed time and progress
-        const currentTime = performance.now();
-        const elapsed = currentTime - this.startTime;
-        const progress = Math.min(elapsed / this.duration, 1.0); // Clamp to 0-1
+        // Advance along the path unless held for an ambush (elapsed is in ms, like duration)
+        this.updateHold();
+        if (!this.isHolding) {
+            this.elapsed += deltaTime * 1000;
+        }
+        
+        // Calculate progress
+        const elapsed = this.elapsed;
+        let progress = Math.min(elapsed / this.duration, 1.0); // Clamp to 0-1
+        
+        // Never travel past the hold point while an ambush is still alive
+        const holdProgress = this.getHoldProgress();
+        if (holdProgress !== null && !this.isAmbushCleared()) {
+            progress = Math.min(progress, holdProgress);
+        }
         
         // Debug: Log progress occasionally (only first few frames and last few)
         if (!this._updateLogCount) this._updateLogCount = 0;
@@ -145,6 +186,68 @@ export class RailMovementManager {
         this.handleEnemySpawns(easedProgress);
     }
     
+    /**
+     * Raw (un-eased) progress at which the current path holds for its ambush
+     * @returns {number|null} null if the path has no hold point
+     */
+    getHoldProgress() {
+        if (!this.currentPath || typeof this.currentPath.holdAt !== 'number') {
+            return null;
+        }
+        
+        // holdAt is a position along the path, so invert the easing once
+        if (this._holdProgressPath !== this.currentPath) {
+            this._holdProgressPath = this.currentPath;
+            this._holdProgress = invertEasing(this.currentPath.holdAt);
+        }
+        return this._holdProgress;
+    }
+    
+    /**
+     * Start or release the ambush hold for the current path
+     */
+    updateHold() {
+        const holdProgress = this.getHoldProgress();
+        if (holdProgress === null) {
+            this.isHolding = false;
+            return;
+        }
+        
+        const progress = this.elapsed / this.duration;
+        const shouldHold = progress >= holdProgress && !this.isAmbushCleared();
+        
+        if (shouldHold && !this.isHolding) {
+            console.log(`✋ Rail movement holding for ambush on ${this.currentPath.id}`);
+        } else if (!shouldHold && this.isHolding) {
+            console.log(`▶️ Ambush on ${this.currentPath.id} cleared - resuming rail movement`);
+        }
+        this.isHolding = shouldHold;
+    }
+    
+    /**
+     * Check whether every ambush zombie spawned on the current path is dead.
+     * A path only counts as cleared once all of its spawns have fired.
+     * @returns {boolean}
+     */
+    isAmbushCleared() {
+        if (!this.currentPath) return true;
+        
+        const spawns = this.currentPath.enemySpawns || [];
+        if (this.spawnedEnemies.size < spawns.length) return false;
+        
+        if (this.onAmbushCleared && typeof this.onAmbushCleared === 'function') {
+            return this.onAmbushCleared(this.currentPath.id);
+        }
+        return true;
+    }
+    
+    /**
+     * @returns {boolean} True while the camera is stopped waiting for an ambush
+     */
+    isHeld() {
+        return this.isOnRails && this.isHolding;
+    }
+    
     /**
      * Handle enemy spawns based on timing along the path
      * @param {number} progress - 0.0 to 1.0 along the path
@@ -154,16 +257,19 @@ export class RailMovementManager {
             return;
         }
         
+        const holdAt = this.currentPath.holdAt;
         this.currentPath.enemySpawns.forEach((spawn, index) => {
             const spawnKey = `${this.currentPath.id}_spawn_${index}`;
             
-            // Check if we should spawn this enemy
-            if (!this.spawnedEnemies.has(spawnKey) && progress >= spawn.timing) {
+            // Check if we should spawn this enemy. The eased hold position can land
+            // just short of holdAt, so a held camera fires every spawn up to it.
+            const due = progress >= spawn.timing || (this.isHolding && spawn.timing <= holdAt);
+            if (!this.spawnedEnemies.has(spawnKey) && due) {
                 this.spawnedEnemies.add(spawnKey);
                 
                 // Callback to spawn enemy (will be set by main.js)
                 if (this.onEnemySpawn && typeof this.onEnemySpawn === 'function') {
-                    this.onEnemySpawn(spawn.position, spawn.type, spawn.path);
+                    this.onEnemySpawn(spawn.position, spawn.type, spawn.path, this.currentPath);
                 }
             }
         });
@@ -205,10 +311,13 @@ export class RailMovementManager {
         }
         
         // Reset state
+        const arrivedPath = this.currentPath;
         this.isOnRails = false;
+        this.isHolding = false;
         this.splineCurve = null;
         this.splinePoints = null;
         this.startTime = null;
+        this.elapsed = 0;
         this.targetLookAt = null;
         this.currentPath = null; // Clear current path reference
         
@@ -229,6 +338,8 @@ export class RailMovementManager {
         
         // Reset spawned enemies for next path
         this.spawnedEnemies.clear();
+        
+        gameEvents.emit('railArrived', { pathId: arrivedPath?.id ?? null, index: this.currentPathIndex - 1 });
     }
     
     /**
@@ -340,10 +451,12 @@ export class RailMovementManager {
             this.targetLookAt = points[points.length - 1].clone();
         }
         
-        // Disable free camera during rail movement
-        this.renderer.isFreeCamera = false;
-        if (this.renderer.controls) {
-            this.renderer.controls.enabled = false;
+        // Disable free camera during rail movement (no renderer when headless)
+        if (this.renderer) {
+            this.renderer.isFreeCamera = false;
+            if (this.renderer.controls) {
+                this.renderer.controls.enabled = false;
+            }
         }
         
         // Start animation - CRITICAL: Set startTime AFTER everything is ready
@@ -363,7 +476,8 @@ export class RailMovementManager {
         this.spawnedEnemies.clear();
         
         // Set startTime LAST to ensure accurate timing
-        this.startTime = performance.now();
+        this.startTime = gameClock.time;
+        this.elapsed = 0;
         
         // Reset debug counter
         this._updateLogCount = 0;
@@ -380,7 +494,7 @@ export class RailMovementManager {
      * @returns {boolean}
      */
     moveToPath(pathId) {
-        const path = getPathById(pathId);
+        const path = getPathById(this.paths, pathId);
         if (!path) {
             console.error('❌ Path not found:', pathId);
             return false;
@@ -402,9 +516,11 @@ export class RailMovementManager {
      */
     stop() {
         this.isOnRails = false;
+        this.isHolding = false;
         this.splineCurve = null;
         this.splinePoints = null;
         this.startTime = null;
+        this.elapsed = 0;
         this.targetLookAt = null;
         // Don't clear currentPath here - it's needed for the next movement
         // Don't increment currentPathIndex here - that happens in completeMovement()
@@ -434,14 +550,18 @@ export class RailMovementManager {
      * This ALWAYS runs and ALWAYS wins - nothing should override rail movement
      */
     forceCameraUpdate() {
-        if (!this.isOnRails || !this.splineCurve || !this.startTime) {
+        if (!this.isOnRails || !this.splineCurve || this.startTime === null) {
             return;
         }
         
         // Recalculate current position from spline
-        const currentTime = performance.now();
-        const elapsed = currentTime - this.startTime;
-        const progress = Math.min(elapsed / this.duration, 1.0);
+        const elapsed = this.elapsed;
+        let progress = Math.min(elapsed / this.duration, 1.0);
+        
+        const holdProgress = this.getHoldProgress();
+        if (holdProgress !== null && !this.isAmbushCleared()) {
+            progress = Math.min(progress, holdProgress);
+        }
         
         // Don't update if complete (let completeMovement handle it)
         if (progress >= 1.0) {
@@ -503,15 +623,23 @@ export class RailMovementManager {
     
     /**
      * Set callback for enemy spawning
-     * @param {Function} callback - (position, type, path) => void
+     * @param {Function} callback - (position, type, path, railPath) => void
      */
     setEnemySpawnCallback(callback) {
         this.onEnemySpawn = callback;
     }
     
+    /**
+     * Set callback used to check whether a path's ambush has been cleared
+     * @param {Function} callback - (pathId) => boolean
+     */
+    setAmbushClearedCallback(callback) {
+        this.onAmbushCleared = callback;
+    }
+    
     /**
      * Add a new path dynamically
-     * @param {Object} path - { id, name, waypoints, duration, enemySpawns }
+     * @param {Object} path - { id, name, waypoints, duration, enemySpawns, holdAt }
      */
     addPath(path) {
         this.paths.push(path);
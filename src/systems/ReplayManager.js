@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import { inputManager, INPUT_ACTIONS } from './InputManager.js';
+
+/**
+ * ReplayManager
+ * Records a run as its seed, the timing of every frame and the input that
+ * reached the game, and plays it back by feeding the same frames and input
+ * in again. Everything that changes how a run plays out draws from the
+ * seeded rng (core/Random.js) and runs on the game clock, so the same
+ * seed + frames + input give the same run.
+ *
+ * Input is recorded through InputManager's recorder: the actions it
+ * delivered and the aim point. Aim is stored as view-space tangents, so a
+ * replay aims at the same things in a window of a different shape.
+ * Game-flow calls that don't come from input actions (pause / resume from
+ * the menu or a lost pointer lock, the rail button, the god mode dev toggle)
+ * are recorded with record() and replayed through the handlers registered
+ * with onEvent().
+ *
+ * Known limits: environments and zombie models load asynchronously, so a
+ * replay only matches if they finish loading at the same point (they are
+ * usually preloaded and cached). Player settings are not recorded; none of
+ * them change the run (aim is stored as view-space tangents, and screen
+ * shake and the recoil FOV punch are only drawn, never aimed through).
+ */
+
+export const REPLAY_VERSION = 1;
+
+// Frame deltas are rounded so they survive JSON unchanged
+const DELTA_PRECISION = 1e6;
+
+// When an event happened within its frame
+const PHASE_PRE = 0;   // before the clock ticked (DOM events between frames)
+const PHASE_INPUT = 1; // during inputManager.update()
+
+class ReplayManager {
+    constructor() {
+        this.camera = null;
+        /** @type {'idle'|'recording'|'playing'} */
+        this.mode = 'idle';
+
+        // Frame counter and timing of the frame in progress
+        this.frame = 0;
+        this.inFrame = false;
+        this.delta = 0;
+        this.elapsedTime = 0;
+        // Recorded runs count elapsed time from their first frame's deltas
+        this.elapsed = 0;
+
+        // Replay being recorded or played
+        this.replay = null;
+        this.eventIndex = 0;
+        this.lastAim = null;
+
+        this.eventHandlers = {};
+        this.onPlaybackEnd = null;
+    }
+
+    /**
+     * @param {THREE.PerspectiveCamera} camera - Aim is converted through its projection
+     */
+    init(camera) {
+        this.camera = camera;
+        console.log('🎞️ ReplayManager initialized');
+    }
+
+    /**
+     * @param {string} type - Flow event recorded with record()
+     * @param {() => void} handler - Replays it
+     */
+    onEvent(type, handler) {
+        this.eventHandlers[type] = handler;
+    }
+
+    /**
+     * @param {(finished: boolean) => void} callback - Playback stopped:
+     *        finished is true when the recording ran out, false when cut short
+     */
+    setPlaybackEndCallback(callback) {
+        this.onPlaybackEnd = callback;
+    }
+
+    // ========================================================================
+    // FRAMES (RenderManager frame hooks)
+    // ========================================================================
+
+    /**
+     * @param {number} realDelta
+     * @param {number} elapsedTime
+     * @returns {{ realDelta: number, elapsedTime: number }} Timing to run this frame with
+     */
+    beginFrame(realDelta, elapsedTime) {
+        this.inFrame = true;
+        this.delta = Math.round(realDelta * DELTA_PRECISION) / DELTA_PRECISION;
+        this.elapsedTime = elapsedTime;
+
+        if (this.mode === 'recording') {
+            this.elapsedTime = this.elapsed += this.delta;
+            this.replay.frames.push(this.delta);
+        } else if (this.mode === 'playing') {
+            if (this.frame >= this.replay.frames.length) {
+                this.stopPlayback(true);
+            } else {
+                this.delta = this.replay.frames[this.frame];
+                this.elapsed = this.frame === 0 ? this.replay.elapsedStart : this.elapsed + this.delta;
+                this.elapsedTime = this.elapsed;
+                this.playEvents(PHASE_PRE);
+            }
+        }
+
+        return { realDelta: this.delta, elapsedTime: this.elapsedTime };
+    }
+
+    endFrame() {
+        if (this.mode !== 'idle') this.frame++;
+        this.inFrame = false;
+    }
+
+    // ========================================================================
+    // RECORDING
+    // ========================================================================
+
+    /**
+     * Start recording. Call from the start of a run, inside a frame: that
+     * frame becomes the replay's first.
+     * @param {{ level: string, seed: number, difficulty: string, godMode: boolean }} header
+     *        What the run was started with
+     */
+    startRecording(header) {
+        if (this.mode === 'playing') return;
+
+        this.mode = 'recording';
+        this.frame = 0;
+        this.lastAim = null;
+        this.elapsed = this.elapsedTime;
+        this.replay = {
+            version: REPLAY_VERSION,
+            ...header,
+            elapsedStart: this.elapsedTime,
+            frames: [this.delta],
+            events: []
+        };
+        inputManager.setRecorder(event => this.recordInput(event));
+        console.log(`⏺️ Recording replay (seed ${header.seed})`);
+    }
+
+    /**
+     * @param {{ outcome: string, score: number }} [result] - How the run ended;
+     *        without it the recording is dropped (abandoned run)
+     * @returns {Object|null} The finished replay
+     */
+    stopRecording(result = null) {
+        if (this.mode !== 'recording') return null;
+
+        inputManager.setRecorder(null);
+        this.mode = 'idle';
+        const replay = this.replay;
+        this.replay = null;
+        if (!result) return null;
+
+        console.log(`⏹️ Replay recorded: ${replay.frames.length} frames, ${replay.events.length} events`);
+        return { ...replay, ...result };
+    }
+
+    /**
+     * Record a game-flow event (no-op unless recording)
+     * @param {string} type - Replayed by the handler registered with onEvent()
+     */
+    record(type) {
+        if (this.mode !== 'recording') return;
+        this.replay.events.push([this.frame, this.inFrame ? PHASE_INPUT : PHASE_PRE, type]);
+    }
+
+    /**
+     * @param {{type: 'action', action: string, pressed: boolean} | {type: 'aim', x: number, y: number}} event
+     */
+    recordInput(event) {
+        if (event.type === 'aim') {
+            if (this.lastAim && this.lastAim.x === event.x && this.lastAim.y === event.y) return;
+            this.lastAim = { x: event.x, y: event.y };
+            this.replay.events.push([this.frame, PHASE_INPUT, 'aim', ...this.toViewAim(event.x, event.y)]);
+            return;
+        }
+        // Actions live input keeps during playback (pause) stay out of the replay
+        if (INPUT_ACTIONS[event.action].inReplays) return;
+        this.replay.events.push([this.frame, PHASE_INPUT, 'action', event.action, event.pressed ? 1 : 0]);
+    }
+
+    // ========================================================================
+    // PLAYBACK
+    // ========================================================================
+
+    /**
+     * Play a replay from the next frame on. The run must be started (with
+     * the replay's seed and settings) by a scheduled callback, so it starts
+     * inside that frame's clock tick like the recorded run did.
+     * @param {Object} replay - From stopRecording() or parseReplay()
+     */
+    startPlayback(replay) {
+        this.stopRecording();
+
+        this.mode = 'playing';
+        this.replay = replay;
+        this.frame = 0;
+        this.eventIndex = 0;
+        inputManager.setPlayback(() => this.playEvents(PHASE_INPUT));
+        console.log(`▶️ Playing replay (seed ${replay.seed}, ${replay.frames.length} frames)`);
+    }
+
+    /**
+     * @param {boolean} [finished=false] - The recording ran out (vs cut short)
+     */
+    stopPlayback(finished = false) {
+        if (this.mode !== 'playing') return;
+
+        inputManager.setPlayback(null);
+        this.mode = 'idle';
+        this.replay = null;
+        console.log(`⏹️ Replay ${finished ? 'finished' : 'stopped'}`);
+        if (this.onPlaybackEnd) this.onPlaybackEnd(finished);
+    }
+
+    /**
+     * Run this frame's events of one phase
+     * @param {number} phase
+     */
+    playEvents(phase) {
+        const events = this.replay.events;
+        while (this.eventIndex < events.length) {
+            const [frame, eventPhase, type, ...args] = events[this.eventIndex];
+            if (frame > this.frame || (frame === this.frame && eventPhase > phase)) return;
+            this.eventIndex++;
+
+            if (type === 'aim') {
+                const aim = this.fromViewAim(args[0], args[1]);
+                inputManager.setAim(aim.x, aim.y);
+            } else if (type === 'action') {
+                inputManager.triggerAction(args[0], args[1] === 1);
+            } else if (this.eventHandlers[type]) {
+                this.eventHandlers[type]();
+            }
+        }
+    }
+
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    isPlaying() {
+        return this.mode === 'playing';
+    }
+
+    /**
+     * @returns {Object|null} The replay being played
+     */
+    getPlayback() {
+        return this.mode === 'playing' ? this.replay : null;
+    }
+
+    // ========================================================================
+    // AIM
+    // ========================================================================
+
+    /**
+     * @param {number} x - NDC
+     * @param {number} y - NDC
+     * @returns {number[]} View-space tangents [x, y]
+     */
+    toViewAim(x, y) {
+        const point = new THREE.Vector3(x, y, 0.5).applyMatrix4(this.camera.projectionMatrixInverse);
+        return [point.x / -point.z, point.y / -point.z];
+    }
+
+    /**
+     * @param {number} tanX
+     * @param {number} tanY
+     * @returns {{ x: number, y: number }} NDC for the current projection
+     */
+    fromViewAim(tanX, tanY) {
+        const point = new THREE.Vector3(tanX, tanY, -1).applyMatrix4(this.camera.projectionMatrix);
+        return { x: point.x, y: point.y };
+    }
+
+    // ========================================================================
+    // FILES
+    // ========================================================================
+
+    /**
+     * Download a replay as a JSON file
+     * @param {Object} replay
+     */
+    exportReplay(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `replay-${replay.level}-${replay.seed}.json`;
+        link.click();
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * @param {string} text - Contents of a replay file
+     * @returns {Object} The replay
+     * @throws {Error} If the file isn't a replay this version can play
+     */
+    parseReplay(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Replay is not valid JSON: ${error.message}`);
+        }
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${replay?.version} (expected ${REPLAY_VERSION})`);
+        }
+        if (typeof replay.level !== 'string' || !Number.isInteger(replay.seed) ||
+            typeof replay.difficulty !== 'string' || typeof replay.elapsedStart !== 'number' ||
+            !Array.isArray(replay.frames) || !Array.isArray(replay.events)) {
+            throw new Error('Replay is missing level, seed, difficulty, elapsedStart, frames or events');
+        }
+        return replay;
+    }
+}
+
+// Export singleton instance
+export const replayManager = new ReplayManager();
@@ -1,80 +1,364 @@
+import * as THREE from 'three';
+import { createPlaceholderBuffer } from './PlaceholderSounds.js';
+import { platform } from '../core/Platform.js';
+
 /**
  * SoundManager
- * Handles loading and playing weapon sounds
+ * Web Audio engine: every sound is decoded once into a buffer and played
+ * through a mixer bus (sfx, music, ui) into a THREE.AudioListener on the
+ * camera. Gameplay code plays named events (play('zombie_hit', { position }))
+ * and each event picks a random variant with some pitch jitter. Sounds played
+ * at an object are positional and follow it.
+ *
+ * Each sound has a voice limit (the oldest voice is cut when it is reached)
+ * on top of a global one. Announcements duck the sfx and music buses.
+ *
+ * Nothing touches the AudioContext until init(), so the manager can be
+ * imported where there is no audio (every play is then a no-op).
  */
 
+// Sound events. files: variants, one is picked at random per play (events
+// without files have no recordings yet and only play their placeholder);
+// placeholder: PlaceholderSounds recipe for a missing file; pitchJitter: random
+// detune in cents (±); bus: 'sfx' (default), 'music' or 'ui'
+export const SOUND_EVENTS = {
+    pistol_shot: { files: ['/sounds/pistol/pistol_shot.wav'], placeholder: 'shot', pitchJitter: 50, maxVoices: 4 },
+    pistol_reload: { files: ['/sounds/pistol/pistol_reload.wav'], placeholder: 'reload', maxVoices: 1 },
+    shotgun_shot: { files: ['/sounds/shotgun/shotgun_shot.wav'], placeholder: 'shot', pitchJitter: 50, maxVoices: 3 },
+    shotgun_reload: { files: ['/sounds/shotgun/shotgun_reload.wav'], placeholder: 'reload', maxVoices: 1 },
+    // The rifle uses the ak47 recordings
+    rifle_shot: { files: ['/sounds/ak47/ak47_shot.wav'], placeholder: 'shot', pitchJitter: 50, maxVoices: 6 },
+    rifle_reload: { files: ['/sounds/ak47/ak47_reload.wav'], placeholder: 'reload', maxVoices: 1 },
+    // Trigger pulled on an empty magazine
+    dry_fire: { placeholder: 'click', pitchJitter: 40, maxVoices: 1 },
+
+    // Placeholder only until zombie, pickup, door and announcer sounds are recorded
+    zombie_spawn: { placeholder: 'spawn', pitchJitter: 150, maxVoices: 3 },
+    zombie_groan: { placeholder: 'groan', volume: 0.8, pitchJitter: 200, maxVoices: 4 },
+    zombie_footstep: { placeholder: 'footstep', volume: 0.5, pitchJitter: 150, maxVoices: 6 },
+    zombie_attack: { placeholder: 'attack', pitchJitter: 100, maxVoices: 3 },
+    zombie_hit: { placeholder: 'hit', pitchJitter: 150, maxVoices: 4 },
+    zombie_death: { placeholder: 'death', pitchJitter: 150, maxVoices: 4 },
+
+    powerup_collect: { placeholder: 'pickup', bus: 'ui', pitchJitter: 30, maxVoices: 2 },
+    door_open: { placeholder: 'door', maxVoices: 1 },
+    announce: { placeholder: 'announce', bus: 'ui', maxVoices: 1 }
+};
+
+// Voices playing at once across all sounds
+const MAX_VOICES = 32;
+// Positional falloff (world units)
+const REF_DISTANCE = 3;
+const MAX_DISTANCE = 40;
+// Ducking: bus level while an announcement plays, and fade times (seconds)
+const DUCK_LEVEL = 0.35;
+const DUCK_ATTACK = 0.05;
+const DUCK_RELEASE = 0.3;
+
 class SoundManager {
     constructor() {
-        this.sounds = {};
+        this.listener = null;
+        this.loader = null;
+        this.buses = {};
+        /** @type {Map<string, AudioBuffer[]>} Decoded variants per event (in file order) */
+        this.buffers = new Map();
+        // Playing voices, oldest first: { name, audio }
+        this.voices = [];
+        this.muted = false;
+        this.isPaused = false;
+        // Set from Settings (see applySettings)
+        this.masterVolume = 1;
+        this.sfxVolume = 0.7;
+        this.musicVolume = 0.5;
+        this.duckTimeout = null;
+    }
+
+    /**
+     * Create the audio graph and load every sound
+     * @param {THREE.Camera} camera - Carries the listener
+     */
+    init(camera) {
+        // Headless: every play() stays a no-op
+        if (this.listener || !platform.audio.available) return;
+
+        this.listener = new THREE.AudioListener();
+        camera.add(this.listener);
+
+        const context = this.listener.context;
+        ['sfx', 'music', 'ui'].forEach(name => {
+            const bus = context.createGain();
+            bus.connect(this.listener.getInput());
+            this.buses[name] = bus;
+        });
+        this.applyVolumes();
+
+        // Browsers start audio suspended until the player interacts
+        const unlock = () => {
+            if (context.state === 'suspended' && !this.isPaused) context.resume();
+        };
+        window.addEventListener('pointerdown', unlock);
+        window.addEventListener('keydown', unlock);
+
         this.loadSounds();
+        console.log('🔊 SoundManager initialized (Web Audio)');
     }
 
     /**
-     * Load all weapon sounds
+     * Decode every variant of every sound event once
      */
     loadSounds() {
-        const weapons = ['pistol', 'shotgun', 'ak47']; // ak47 is used for rifle
-        
-        weapons.forEach(weapon => {
-            this.sounds[weapon] = {
-                shot: new Audio(`/sounds/${weapon}/${weapon}_shot.wav`),
-                reload: new Audio(`/sounds/${weapon}/${weapon}_reload.wav`)
-            };
-            
-            // Preload sounds
-            this.sounds[weapon].shot.preload = 'auto';
-            this.sounds[weapon].reload.preload = 'auto';
-            
-            // Set volume
-            this.sounds[weapon].shot.volume = 0.7;
-            this.sounds[weapon].reload.volume = 0.7;
+        Object.entries(SOUND_EVENTS).forEach(([name, event]) => {
+            const variants = [];
+            this.buffers.set(name, variants);
+            (event.files || [null]).forEach((url, index) => {
+                this.loadBuffer(url, event.placeholder, buffer => { variants[index] = buffer; });
+            });
         });
     }
 
     /**
-     * Play shot sound for a weapon
-     * Creates a new Audio instance to allow overlapping sounds
-     * @param {string} weaponId - 'pistol', 'shotgun', or 'rifle'
+     * Decode a file, or synthesize its placeholder if it can't be loaded
+     * (also used by MusicManager for stems and stingers)
+     * @param {string|null} url - null: no recording, placeholder only
+     * @param {string} placeholder - PlaceholderSounds recipe
+     * @param {function(AudioBuffer): void} onLoad
      */
-    playShot(weaponId) {
-        // Map rifle to ak47
-        const soundKey = weaponId === 'rifle' ? 'ak47' : weaponId;
-        
-        if (!this.sounds[soundKey] || !this.sounds[soundKey].shot) {
-            console.warn(`Shot sound not found for weapon: ${weaponId}`);
+    loadBuffer(url, placeholder, onLoad) {
+        if (!url) {
+            onLoad(createPlaceholderBuffer(this.listener.context, placeholder));
             return;
         }
-
-        // Create a new Audio instance to allow overlapping sounds
-        const audio = new Audio(this.sounds[soundKey].shot.src);
-        audio.volume = this.sounds[soundKey].shot.volume;
-        audio.play().catch(err => {
-            console.warn('Failed to play shot sound:', err);
+        if (!this.loader) this.loader = new THREE.AudioLoader();
+        this.loader.load(url, onLoad, undefined, () => {
+            console.warn(`⚠️ Sound ${url} not available, using placeholder`);
+            onLoad(createPlaceholderBuffer(this.listener.context, placeholder));
         });
     }
 
+    // ========================================================================
+    // PLAYBACK
+    // ========================================================================
+
+    /**
+     * Play a sound event: a random variant with some pitch jitter
+     * @param {string} eventName - Key of SOUND_EVENTS
+     * @param {object} [options]
+     * @param {THREE.Object3D|THREE.Vector3} [options.position] - Play positionally: an
+     *        object is followed while the sound plays, a vector is a fixed world point
+     * @param {number} [options.variation=1] - Scales the event's pitch jitter (0 = none)
+     * @param {number} [options.volume=1]
+     * @returns {THREE.Audio|null} The voice, or null if it couldn't play
+     */
+    play(eventName, { position = null, variation = 1, volume = 1 } = {}) {
+        const event = SOUND_EVENTS[eventName];
+        const variants = (this.buffers.get(eventName) || []).filter(Boolean);
+        if (!this.listener || !event || variants.length === 0) return null;
+
+        const buffer = variants[Math.floor(Math.random() * variants.length)];
+        const detune = (Math.random() * 2 - 1) * (event.pitchJitter ?? 0) * variation;
+        return this.playBuffer(eventName, buffer, { position, volume, detune });
+    }
+
+    /**
+     * @param {string} eventName - Key of SOUND_EVENTS (bus, volume, voice limit)
+     * @param {AudioBuffer} buffer
+     * @param {{ position: THREE.Object3D|THREE.Vector3|null, volume: number, detune: number }} options
+     * @returns {THREE.Audio}
+     */
+    playBuffer(eventName, buffer, { position, volume, detune }) {
+        const event = SOUND_EVENTS[eventName];
+        this.limitVoices(eventName, event.maxVoices ?? 4);
+
+        const audio = position ? new THREE.PositionalAudio(this.listener) : new THREE.Audio(this.listener);
+        if (position) {
+            audio.setRefDistance(REF_DISTANCE);
+            audio.setMaxDistance(MAX_DISTANCE);
+            audio.setDistanceModel('linear');
+            if (position.isObject3D) {
+                position.add(audio);
+            } else {
+                // Fixed point: place the panner once
+                audio.position.copy(position);
+                audio.updateMatrixWorld(true);
+            }
+        }
+        // Route through the event's bus instead of straight to the listener
+        audio.gain.disconnect();
+        audio.gain.connect(this.buses[event.bus || 'sfx']);
+
+        audio.setBuffer(buffer);
+        audio.setVolume((event.volume ?? 1) * volume);
+        if (detune) audio.setDetune(detune);
+
+        const voice = { name: eventName, audio };
+        audio.onEnded = () => this.releaseVoice(voice);
+        this.voices.push(voice);
+        audio.play();
+        return audio;
+    }
+
+    /**
+     * Play shot sound for a weapon
+     * @param {string} weaponId - 'pistol', 'shotgun', or 'rifle'
+     */
+    playShot(weaponId) {
+        this.play(`${weaponId}_shot`);
+    }
+
     /**
      * Play reload sound for a weapon
      * @param {string} weaponId - 'pistol', 'shotgun', or 'rifle'
      */
     playReload(weaponId) {
-        // Map rifle to ak47
-        const soundKey = weaponId === 'rifle' ? 'ak47' : weaponId;
-        
-        if (!this.sounds[soundKey] || !this.sounds[soundKey].reload) {
-            console.warn(`Reload sound not found for weapon: ${weaponId}`);
-            return;
+        this.play(`${weaponId}_reload`);
+    }
+
+    /**
+     * Announcement sting (wave starts, boss phases); ducks effects and music
+     * @param {string} [name='announce'] - Key of SOUND_EVENTS
+     */
+    announce(name = 'announce') {
+        const audio = this.play(name);
+        if (audio) this.duck(audio.buffer.duration);
+    }
+
+    /**
+     * Lower the sfx and music buses for a while
+     * @param {number} seconds
+     */
+    duck(seconds) {
+        if (!this.listener) return;
+        const now = this.listener.context.currentTime;
+        ['sfx', 'music'].forEach(name => {
+            this.buses[name].gain.setTargetAtTime(this.getBusVolume(name) * DUCK_LEVEL, now, DUCK_ATTACK);
+        });
+
+        clearTimeout(this.duckTimeout);
+        this.duckTimeout = setTimeout(() => {
+            const end = this.listener.context.currentTime;
+            ['sfx', 'music'].forEach(name => {
+                this.buses[name].gain.setTargetAtTime(this.getBusVolume(name), end, DUCK_RELEASE);
+            });
+        }, seconds * 1000);
+    }
+
+    // ========================================================================
+    // VOICES
+    // ========================================================================
+
+    /**
+     * Make room for one more voice of a sound: cut the oldest voice of that
+     * sound at its limit, and the oldest voice overall at the global limit
+     * @param {string} name
+     * @param {number} maxVoices
+     */
+    limitVoices(name, maxVoices) {
+        const sameSound = this.voices.filter(voice => voice.name === name);
+        if (sameSound.length >= maxVoices) this.stopVoice(sameSound[0]);
+        if (this.voices.length >= MAX_VOICES) this.stopVoice(this.voices[0]);
+    }
+
+    stopVoice(voice) {
+        if (voice.audio.isPlaying) voice.audio.stop();
+        this.releaseVoice(voice);
+    }
+
+    /**
+     * Forget a finished voice and free its nodes
+     * @param {{ name: string, audio: THREE.Audio }} voice
+     */
+    releaseVoice(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index === -1) return;
+        this.voices.splice(index, 1);
+
+        voice.audio.isPlaying = false;
+        voice.audio.gain.disconnect();
+        if (voice.audio.parent) voice.audio.parent.remove(voice.audio);
+    }
+
+    // ========================================================================
+    // PAUSE / STOP / MIX
+    // ========================================================================
+
+    /**
+     * Pause everything that is playing (game paused)
+     */
+    pauseAll() {
+        this.isPaused = true;
+        if (this.listener) this.listener.context.suspend();
+    }
+
+    /**
+     * Continue the sounds stopped by pauseAll()
+     */
+    resumeAll() {
+        this.isPaused = false;
+        if (this.listener) this.listener.context.resume();
+    }
+
+    /**
+     * Stop and forget every playing sound (restart / quit)
+     */
+    stopAll() {
+        this.voices.slice().forEach(voice => this.stopVoice(voice));
+        this.resumeAll();
+    }
+
+    /**
+     * @param {boolean} muted
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+        console.log(`🔊 Sound ${muted ? 'off' : 'on'}`);
+    }
+
+    /**
+     * Apply the audio settings, including to sounds already playing
+     * @param {{ masterVolume: number, sfxVolume: number, musicVolume: number, muted: boolean }} values - From Settings
+     */
+    applySettings({ masterVolume, sfxVolume, musicVolume, muted }) {
+        this.masterVolume = masterVolume;
+        this.sfxVolume = sfxVolume;
+        this.musicVolume = musicVolume;
+        if (muted !== this.muted) {
+            this.setMuted(muted);
+        } else {
+            this.applyVolumes();
         }
+    }
 
-        // Reset and play reload sound
-        const audio = this.sounds[soundKey].reload;
-        audio.currentTime = 0;
-        audio.play().catch(err => {
-            console.warn('Failed to play reload sound:', err);
+    applyVolumes() {
+        if (!this.listener) return;
+        this.listener.setMasterVolume(this.muted ? 0 : this.masterVolume);
+        Object.keys(this.buses).forEach(name => {
+            this.buses[name].gain.value = this.getBusVolume(name);
         });
     }
+
+    /**
+     * @param {string} name - 'sfx', 'music' or 'ui'
+     * @returns {number} Bus level before the master volume
+     */
+    getBusVolume(name) {
+        return name === 'music' ? this.musicVolume : this.sfxVolume;
+    }
+
+    /**
+     * @returns {number} Volume for sound effects (0..1)
+     */
+    getEffectsVolume() {
+        return this.masterVolume * this.sfxVolume;
+    }
+
+    /**
+     * @returns {number} Volume for music (0..1)
+     */
+    getMusicVolume() {
+        return this.masterVolume * this.musicVolume;
+    }
 }
 
 // Export singleton instance
 export const soundManager = new SoundManager();
-
@@ -0,0 +1,69 @@
+import { inputManager, INPUT_ACTIONS, BINDING_SLOTS, formatBinding } from '../systems/InputManager.js';
+
+/**
+ * Controls Menu
+ * One row per input action with a button per binding slot. Clicking a slot
+ * waits for the next key, mouse button, wheel move or gamepad button
+ * (ESC cancels).
+ */
+
+/**
+ * Fill the controls panel with its rows (before the BACK button)
+ * @param {HTMLElement} panel
+ */
+export function buildControlsMenu(panel) {
+    const rows = document.createElement('div');
+    rows.id = 'controls-rows';
+    rows.style.cssText = 'width: 560px; margin: 0 auto 20px; text-align: left;';
+
+    Object.entries(INPUT_ACTIONS).forEach(([action, definition]) => {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+
+        const label = document.createElement('span');
+        label.textContent = definition.label;
+        row.appendChild(label);
+
+        for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+            const button = document.createElement('button');
+            button.className = 'settings-cycle';
+            button.style.width = '150px';
+            button.style.marginLeft = '8px';
+            button.dataset.bindAction = action;
+            button.dataset.bindSlot = slot;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (inputManager.isCapturing()) return;
+                button.textContent = 'PRESS...';
+                inputManager.captureBinding(action, slot, () => refreshControlsMenu());
+            });
+            row.appendChild(button);
+        }
+
+        rows.appendChild(row);
+    });
+
+    const reset = document.createElement('button');
+    reset.className = 'pause-button';
+    reset.textContent = 'RESET CONTROLS';
+    reset.addEventListener('click', (e) => {
+        e.stopPropagation();
+        inputManager.resetBindings();
+        refreshControlsMenu();
+    });
+
+    const back = panel.querySelector('[data-action="back"]');
+    panel.insertBefore(rows, back);
+    panel.insertBefore(reset, back);
+    refreshControlsMenu();
+}
+
+/**
+ * Show the current bindings
+ */
+export function refreshControlsMenu() {
+    document.querySelectorAll('#controls-rows [data-bind-action]').forEach(button => {
+        const bindings = inputManager.getBindings(button.dataset.bindAction);
+        button.textContent = formatBinding(bindings[Number(button.dataset.bindSlot)]);
+    });
+}
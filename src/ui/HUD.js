@@ -1,10 +1,23 @@
 import * as THREE from 'three';
+import { weaponManager } from '../weapons/WeaponManager.js';
+import { getDifficulty, isGodMode } from '../core/Difficulty.js';
+import { rng } from '../core/Random.js';
+import { gameEvents } from '../core/GameEvents.js';
+import { buildSettingsMenu, refreshSettingsMenu } from './SettingsMenu.js';
+import { buildControlsMenu, refreshControlsMenu } from './ControlsMenu.js';
+import { getPalette } from './Palettes.js';
 
 let gameData;
 let zombieManager;
 let camera;
 let getCurrentCameraScene;
 let GameState;
+let threatWarningTimeout = null;
+let pauseMenuCallbacks = {};
+let replayCallbacks = {};
+
+// Events that change what the HUD shows outside its per-frame refresh
+const HUD_REFRESH_EVENTS = ['shotFired', 'playerDamaged', 'comboChanged', 'reloadStarted', 'powerUpCollected'];
 
 export function initHUD({
     gameDataRef,
@@ -18,6 +31,9 @@ export function initHUD({
     camera = cameraRef;
     getCurrentCameraScene = getCurrentCameraSceneRef;
     GameState = GameStateRef;
+    
+    HUD_REFRESH_EVENTS.forEach(type => gameEvents.on(type, () => updateUI()));
+    gameEvents.on('threatWarning', ({ text, color }) => showThreatWarning(text, color));
 }
 
 export function createUI() {
@@ -70,6 +86,10 @@ export function createUI() {
                         text-shadow: 2px 2px 4px #000;
                     " id="health-text">100/100</div>
                 </div>
+                <div style="margin-top: 5px; font-size: 14px;">
+                    <span id="difficulty-name">NORMAL</span>
+                    <span id="god-mode-indicator" style="display: none; margin-left: 10px; color: #ffff00; text-shadow: 0 0 10px #ffff00;">GOD MODE</span>
+                </div>
             </div>
             
             <!-- Scene Progress -->
@@ -82,6 +102,15 @@ export function createUI() {
                 ZOMBIES: <span id="zombies-killed">0</span>/<span id="zombies-total">5</span>
             </div>
             
+            <!-- Wave Progress -->
+            <div style="margin-bottom: 10px;">
+                WAVE: <span id="wave-number">1</span>/<span id="wave-total">1</span>
+                <span id="wave-countdown" style="margin-left: 10px; font-size: 14px; color: #ffff00; text-shadow: 0 0 10px #ffff00;"></span>
+                <div style="width: 150px; height: 5px; margin-top: 3px; background: rgba(0,0,0,0.7); border: 1px solid #00ffff;">
+                    <div id="wave-progress-bar" style="width: 0%; height: 100%; background: #00ffff; transition: width 0.2s;"></div>
+                </div>
+            </div>
+            
             <!-- Combo -->
             <div id="combo-display" style="margin-bottom: 10px; display: none;">
                 <div style="font-size: 24px; color: #ffff00; text-shadow: 0 0 15px #ffff00;">
@@ -122,6 +151,47 @@ export function createUI() {
             </div>
         </div>
         
+        <!-- Boss Health Bar -->
+        <div id="boss-bar" style="
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 500px;
+            font-family: 'Courier New', monospace;
+            color: #ffffff;
+            text-align: center;
+            text-shadow: 2px 2px 4px #000;
+            z-index: 15;
+            pointer-events: none;
+            display: none;
+        ">
+            <div id="boss-name" style="font-size: 22px; font-weight: bold; color: #ff3333; margin-bottom: 5px;"></div>
+            <div style="position: relative; height: 18px; background: rgba(0, 0, 0, 0.7); border: 2px solid #ff3333;">
+                <div id="boss-health-fill" style="height: 100%; width: 100%; background: linear-gradient(90deg, #990000, #ff3333); transition: width 0.2s;"></div>
+                <div id="boss-phase-markers"></div>
+            </div>
+            <div id="boss-status" style="margin-top: 4px; font-size: 14px;"></div>
+        </div>
+        
+        <!-- Threat Warning (special zombies) -->
+        <div id="threat-warning" style="
+            position: fixed;
+            top: 120px;
+            left: 50%;
+            transform: translateX(-50%);
+            font-family: 'Courier New', monospace;
+            font-size: 28px;
+            font-weight: bold;
+            color: #ff4400;
+            text-shadow: 0 0 15px currentColor, 2px 2px 4px #000;
+            white-space: nowrap;
+            z-index: 20;
+            pointer-events: none;
+            opacity: 0;
+            transition: opacity 0.2s;
+        "></div>
+        
         <!-- Mini Map -->
         <div id="mini-map" style="
             position: fixed;
@@ -162,7 +232,7 @@ export function createUI() {
                 text-shadow: 0 0 15px #fff, 3px 3px 6px #000;
                 font-weight: bold;
             ">
-                <span id="current-ammo">12</span> / <span id="reserve-ammo">60</span>
+                <span id="current-ammo">11</span> / <span id="reserve-ammo">22</span>
             </div>
             <!-- Weapon Slots -->
             <div id="weapon-slots" style="
@@ -224,6 +294,22 @@ export function createUI() {
             🚂 NEXT LOCATION
         </button>
         
+        <!-- Replay Banner -->
+        <div id="replay-banner" style="
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            font-family: 'Courier New', monospace;
+            font-size: 24px;
+            color: #ff1493;
+            text-shadow: 0 0 15px #ff1493, 2px 2px 4px #000;
+            z-index: 150;
+            pointer-events: none;
+            animation: blink 1.5s infinite;
+            display: none;
+        ">▶ REPLAY - ESC TO EXIT</div>
+        
         <!-- Game Over Screen -->
         <div id="game-over-screen" style="
             position: fixed;
@@ -248,6 +334,10 @@ export function createUI() {
                     GAME OVER
                 </div>
                 <div id="game-over-stats" style="font-size: 24px; color: #fff; line-height: 2;"></div>
+                <div class="replay-buttons">
+                    <button class="pause-button" data-replay="watch">WATCH REPLAY</button>
+                    <button class="pause-button" data-replay="save">SAVE REPLAY</button>
+                </div>
                 <div style="
                     font-size: 24px;
                     color: #ff1493;
@@ -287,6 +377,10 @@ export function createUI() {
                     RANK: <span id="final-rank">S</span>
                 </div>
                 <div id="final-stats" style="font-size: 24px; color: #fff; line-height: 2; margin-bottom: 40px;"></div>
+                <div class="replay-buttons">
+                    <button class="pause-button" data-replay="watch">WATCH REPLAY</button>
+                    <button class="pause-button" data-replay="save">SAVE REPLAY</button>
+                </div>
                 
                 <!-- Leaderboard -->
                 <div style="margin-top: 40px; padding: 20px; background: rgba(0, 255, 255, 0.1); border: 2px solid #00ffff;">
@@ -305,7 +399,99 @@ export function createUI() {
             </div>
         </div>
         
+        <!-- Pause Menu -->
+        <div id="pause-menu" style="
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            display: none;
+            justify-content: center;
+            align-items: center;
+            z-index: 100;
+            font-family: 'Courier New', monospace;
+        ">
+            <div id="pause-main" style="text-align: center;">
+                <div style="font-size: 64px; color: #00ffff; text-shadow: 0 0 20px #00ffff; margin-bottom: 40px;">
+                    PAUSED
+                </div>
+                <button class="pause-button" data-action="resume">RESUME</button>
+                <button class="pause-button" data-action="restart">RESTART</button>
+                <button class="pause-button" data-action="settings">SETTINGS</button>
+                <button class="pause-button" data-action="controls">CONTROLS</button>
+                <button class="pause-button" data-action="quit">QUIT TO TITLE</button>
+                <div style="margin-top: 20px; font-size: 16px; color: #aaa;">ESC to resume</div>
+            </div>
+            <div id="pause-settings" class="pause-panel" style="text-align: center; display: none;">
+                <div style="font-size: 48px; color: #00ffff; text-shadow: 0 0 20px #00ffff; margin-bottom: 20px;">
+                    SETTINGS
+                </div>
+                <button class="pause-button" data-action="back">BACK</button>
+            </div>
+            <div id="pause-controls" class="pause-panel" style="text-align: center; display: none;">
+                <div style="font-size: 48px; color: #00ffff; text-shadow: 0 0 20px #00ffff; margin-bottom: 20px;">
+                    CONTROLS
+                </div>
+                <button class="pause-button" data-action="back">BACK</button>
+            </div>
+        </div>
+        
         <style>
+            .pause-button {
+                display: block;
+                width: 320px;
+                margin: 12px auto;
+                padding: 12px;
+                font-family: 'Courier New', monospace;
+                font-size: 24px;
+                color: #ffffff;
+                background: rgba(0, 255, 255, 0.1);
+                border: 2px solid #00ffff;
+                cursor: pointer;
+            }
+            .pause-button:hover {
+                background: rgba(0, 255, 255, 0.3);
+                text-shadow: 0 0 10px #00ffff;
+            }
+            .replay-buttons {
+                margin-top: 30px;
+            }
+            .pause-panel {
+                max-height: 100vh;
+                overflow-y: auto;
+            }
+            .settings-row {
+                display: flex;
+                align-items: center;
+                height: 34px;
+                font-size: 18px;
+                color: #ffffff;
+            }
+            .settings-row > span:first-child {
+                flex: 1;
+            }
+            .settings-row input[type="range"] {
+                width: 180px;
+                accent-color: #00ffff;
+                cursor: pointer;
+            }
+            .settings-value {
+                width: 60px;
+                text-align: right;
+                color: #00ffff;
+            }
+            .settings-cycle {
+                width: 240px;
+                padding: 4px;
+                font-family: 'Courier New', monospace;
+                font-size: 16px;
+                color: #00ffff;
+                background: rgba(0, 255, 255, 0.1);
+                border: 1px solid #00ffff;
+                cursor: pointer;
+            }
             @keyframes pulse {
                 0%, 100% { opacity: 1; transform: scale(1); }
                 50% { opacity: 0.7; transform: scale(1.05); }
@@ -332,6 +518,176 @@ export function createUI() {
             }
         });
     }
+    
+    // Replay buttons on the end screens, replay loading on the start prompt
+    document.querySelectorAll('[data-replay]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const callback = replayCallbacks[button.dataset.replay];
+            if (callback) callback();
+        });
+    });
+    createReplayLoader();
+    
+    buildSettingsMenu(document.getElementById('pause-settings'));
+    buildControlsMenu(document.getElementById('pause-controls'));
+    
+    // Pause menu buttons
+    document.getElementById('pause-menu').addEventListener('click', (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (!action) return;
+        e.stopPropagation();
+        
+        switch (action) {
+            case 'settings':
+            case 'controls':
+                showPausePanel(action);
+                break;
+            case 'back':
+                showPausePanel('main');
+                break;
+            default:
+                if (pauseMenuCallbacks[action]) pauseMenuCallbacks[action]();
+        }
+    });
+}
+
+/**
+ * Set what the pause menu buttons do
+ * @param {{ resume: () => void, restart: () => void, quit: () => void }} callbacks
+ */
+export function setPauseMenuCallbacks(callbacks) {
+    pauseMenuCallbacks = callbacks;
+}
+
+/**
+ * Set what the replay buttons do
+ * @param {{ watch: () => void, save: () => void, load: (text: string) => void }} callbacks
+ *        load gets the contents of the chosen replay file
+ */
+export function setReplayCallbacks(callbacks) {
+    replayCallbacks = callbacks;
+}
+
+/**
+ * @param {boolean} visible
+ */
+export function showReplayBanner(visible) {
+    document.getElementById('replay-banner').style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * LOAD REPLAY button (and its hidden file input) under the start prompt
+ */
+function createReplayLoader() {
+    const startPrompt = document.getElementById('start-prompt');
+    if (!startPrompt) return;
+    
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.style.display = 'none';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file || !replayCallbacks.load) return;
+        file.text().then(text => replayCallbacks.load(text));
+    });
+    
+    const button = document.createElement('button');
+    button.className = 'pause-button';
+    button.textContent = 'LOAD REPLAY';
+    button.style.cssText = 'width: 240px; margin: 20px auto 0; font-size: 18px; animation: none;';
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        button.blur();
+        input.click();
+    });
+    
+    startPrompt.append(button, input);
+}
+
+/**
+ * @param {boolean} visible
+ */
+export function showPauseMenu(visible) {
+    document.getElementById('pause-menu').style.display = visible ? 'flex' : 'none';
+    showPausePanel('main');
+}
+
+/**
+ * @returns {boolean} True while the pause menu (or one of its panels) is showing
+ */
+export function isPauseMenuOpen() {
+    return document.getElementById('pause-menu').style.display !== 'none';
+}
+
+/**
+ * @param {'main'|'settings'|'controls'} name
+ */
+function showPausePanel(name) {
+    ['main', 'settings', 'controls'].forEach(panel => {
+        document.getElementById(`pause-${panel}`).style.display = panel === name ? 'block' : 'none';
+    });
+    refreshSettingsMenu();
+    refreshControlsMenu();
+}
+
+/**
+ * Apply the HUD settings: crosshair style and the colour palette
+ * @param {{ crosshairStyle: string }} values - From Settings
+ */
+export function applyHUDSettings({ crosshairStyle }) {
+    const palette = getPalette();
+    
+    const crosshair = document.getElementById('crosshair');
+    if (crosshair) {
+        let ring = crosshair.querySelector('.crosshair-ring');
+        if (!ring) {
+            ring = document.createElement('div');
+            ring.className = 'crosshair-ring';
+            ring.style.cssText = `
+                position: absolute;
+                top: 50%;
+                left: 50%;
+                width: 26px;
+                height: 26px;
+                border-radius: 50%;
+                transform: translate(-50%, -50%);
+            `;
+            crosshair.appendChild(ring);
+        }
+        ring.style.border = `2px solid ${palette.crosshair}`;
+        ring.style.boxShadow = `0 0 10px ${palette.crosshair}`;
+        ring.style.display = crosshairStyle === 'circle' ? 'block' : 'none';
+        
+        crosshair.querySelectorAll('.crosshair-line').forEach(line => {
+            line.style.background = palette.crosshair;
+            line.style.boxShadow = `0 0 10px ${palette.crosshair}, 0 0 20px ${palette.crosshair}, 0 0 30px ${palette.crosshair}`;
+            line.style.display = crosshairStyle === 'cross' ? 'block' : 'none';
+        });
+        
+        const dot = crosshair.querySelector('.crosshair-dot');
+        dot.style.background = palette.crosshairDot;
+        dot.style.boxShadow = `0 0 5px ${palette.crosshairDot}, 0 0 10px ${palette.crosshairDot}, 0 0 15px ${palette.crosshairDot}`;
+    }
+    
+    const healthBar = document.getElementById('health-bar');
+    if (healthBar) {
+        healthBar.style.background = `linear-gradient(90deg, ${palette.health.join(', ')})`;
+    }
+}
+
+/**
+ * Put the crosshair on the aim point
+ * @param {number} x - NDC (-1..1)
+ * @param {number} y - NDC (-1..1)
+ */
+export function moveCrosshair(x, y) {
+    const crosshair = document.getElementById('crosshair');
+    if (!crosshair) return;
+    crosshair.style.left = `${(x * 0.5 + 0.5) * 100}%`;
+    crosshair.style.top = `${(y * -0.5 + 0.5) * 100}%`;
 }
 
 export function updateUI() {
@@ -339,18 +695,23 @@ export function updateUI() {
     const healthPercent = (gameData.health / gameData.maxHealth) * 100;
     document.getElementById('health-bar').style.width = healthPercent + '%';
     document.getElementById('health-text').textContent = `${gameData.health}/${gameData.maxHealth}`;
+    document.getElementById('difficulty-name').textContent = getDifficulty().name.toUpperCase();
+    document.getElementById('god-mode-indicator').style.display = isGodMode() ? 'inline' : 'none';
     
     // Scene
     document.getElementById('scene-number').textContent = gameData.currentScene + 1;
     document.getElementById('total-scenes').textContent = gameData.totalScenes;
     
     // Zombies
-    const currentScene = getCurrentCameraScene();
-    const totalZombies = currentScene.spawnPoints.length;
-    const zombies = zombieManager.getZombies();
-    const aliveZombies = zombies.filter(z => !z.isDead).length;
-    document.getElementById('zombies-killed').textContent = totalZombies - aliveZombies;
-    document.getElementById('zombies-total').textContent = totalZombies;
+    document.getElementById('zombies-killed').textContent = zombieManager.getKilledCount('scene');
+    document.getElementById('zombies-total').textContent = zombieManager.getSceneZombieTotal();
+    
+    // Wave (kills in the current wave, countdown to a timed next wave)
+    const wave = zombieManager.getWaveProgress();
+    document.getElementById('wave-number').textContent = wave.wave;
+    document.getElementById('wave-total').textContent = wave.waveCount;
+    document.getElementById('wave-progress-bar').style.width = (wave.waveTotal > 0 ? (wave.waveKilled / wave.waveTotal) * 100 : 0) + '%';
+    document.getElementById('wave-countdown').textContent = wave.nextWaveIn !== null ? `NEXT IN ${Math.ceil(wave.nextWaveIn)}s` : '';
     
     // Combo
     if (gameData.currentCombo > 0) {
@@ -371,22 +732,77 @@ export function updateUI() {
     const seconds = elapsed % 60;
     document.getElementById('time').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
     
-    // Ammo
-    document.getElementById('current-ammo').textContent = gameData.currentAmmo;
-    document.getElementById('reserve-ammo').textContent = gameData.reserveAmmo;
+    // Ammo (per weapon, owned by WeaponManager)
+    const weaponStats = weaponManager.getStats();
+    document.getElementById('current-ammo').textContent = weaponStats.currentAmmo;
+    document.getElementById('reserve-ammo').textContent = weaponStats.reserveAmmo;
+    document.getElementById('reload-indicator').style.display = weaponStats.isReloading ? 'block' : 'none';
     
     const ammoElement = document.getElementById('current-ammo');
-    if (gameData.currentAmmo === 0) {
-        ammoElement.style.color = '#ff0000';
-    } else if (gameData.currentAmmo <= 3) {
-        ammoElement.style.color = '#ffff00';
+    const palette = getPalette();
+    if (weaponStats.currentAmmo === 0) {
+        ammoElement.style.color = palette.ammoEmpty;
+    } else if (weaponStats.currentAmmo <= 3) {
+        ammoElement.style.color = palette.ammoLow;
     } else {
         ammoElement.style.color = '#ffffff';
     }
     
+    updateBossBar();
     updateMiniMap();
 }
 
+/**
+ * Boss name, health, phase thresholds and weak point status (hidden without a living boss)
+ */
+function updateBossBar() {
+    const bar = document.getElementById('boss-bar');
+    const boss = zombieManager.getBoss();
+    if (!boss || boss.isDead) {
+        bar.style.display = 'none';
+        return;
+    }
+    bar.style.display = 'block';
+    
+    const phase = boss.getPhaseInfo();
+    const healthPercent = Math.max(0, boss.health / boss.maxHealth) * 100;
+    document.getElementById('boss-name').textContent = boss.config.name.toUpperCase();
+    document.getElementById('boss-health-fill').style.width = healthPercent + '%';
+    document.getElementById('boss-phase-markers').innerHTML = phase.thresholds.map(threshold => `
+        <div style="position: absolute; top: 0; bottom: 0; left: ${threshold * 100}%; width: 2px; background: #ffffff;"></div>
+    `).join('');
+    
+    const status = document.getElementById('boss-status');
+    if (boss.hasOpenWeakPoint()) {
+        status.textContent = '🎯 WEAK POINT EXPOSED';
+        status.style.color = '#ffff00';
+    } else {
+        status.textContent = `PHASE ${phase.index + 1}/${phase.count}`;
+        status.style.color = '#ffffff';
+    }
+}
+
+/**
+ * Flash a warning about a special zombie (spawn or incoming ability)
+ * @param {string} text
+ * @param {number} [color] - Zombie type color
+ */
+export function showThreatWarning(text, color = 0xff4400) {
+    const warningEl = document.getElementById('threat-warning');
+    if (!warningEl) return;
+    
+    warningEl.textContent = `⚠ ${text} ⚠`;
+    warningEl.style.color = '#' + color.toString(16).padStart(6, '0');
+    warningEl.style.opacity = '1';
+    warningEl.style.animation = 'blink 0.5s infinite';
+    
+    clearTimeout(threatWarningTimeout);
+    threatWarningTimeout = setTimeout(() => {
+        warningEl.style.opacity = '0';
+        warningEl.style.animation = 'none';
+    }, 1800);
+}
+
 function updateMiniMap() {
     const canvas = document.getElementById('mini-map-canvas');
     const ctx = canvas.getContext('2d');
@@ -437,6 +853,7 @@ export function updateFinalStats() {
         <div style="font-size: 32px; margin-top: 20px; color: #ffff00;">
             FINAL SCORE: ${gameData.score}
         </div>
+        <div style="font-size: 16px; color: #aaa;">SEED: ${rng.getSeed()} (play it again with ?seed=${rng.getSeed()})</div>
     `;
     
     if (gameData.currentState === GameState.GAME_OVER) {
@@ -0,0 +1,46 @@
+import { settings } from '../core/Settings.js';
+
+/**
+ * Palettes
+ * HUD colours for the Settings `palette` option. The colour-blind-safe
+ * palettes avoid the hues each condition confuses (red/green, blue/yellow)
+ * and keep health, damage and warnings apart by brightness as well.
+ */
+export const PALETTES = {
+    default: {
+        crosshair: '#ff1493',
+        crosshairDot: '#00ffff',
+        health: ['#00ff00', '#ffff00', '#ff0000'],
+        damage: '#ff0000',
+        critical: '#ffff00',
+        ammoEmpty: '#ff0000',
+        ammoLow: '#ffff00'
+    },
+    // Deuteranopia / protanopia
+    redGreen: {
+        crosshair: '#ffb000',
+        crosshairDot: '#56b4e9',
+        health: ['#0072b2', '#f0e442', '#d55e00'],
+        damage: '#d55e00',
+        critical: '#f0e442',
+        ammoEmpty: '#d55e00',
+        ammoLow: '#f0e442'
+    },
+    // Tritanopia
+    blueYellow: {
+        crosshair: '#ff2a2a',
+        crosshairDot: '#ffffff',
+        health: ['#00e5e5', '#ffffff', '#ff2a2a'],
+        damage: '#ff2a2a',
+        critical: '#ffffff',
+        ammoEmpty: '#ff2a2a',
+        ammoLow: '#ff8fd0'
+    }
+};
+
+/**
+ * @returns {Object} Colours of the palette selected in the settings
+ */
+export function getPalette() {
+    return PALETTES[settings.get('palette')] || PALETTES.default;
+}
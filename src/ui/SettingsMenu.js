@@ -0,0 +1,104 @@
+import { settings, SETTING_OPTIONS } from '../core/Settings.js';
+
+/**
+ * Settings Menu
+ * One row per SETTING_OPTIONS entry: a slider for ranges, a button that
+ * cycles for choices and toggles. Every change is applied and stored
+ * straight away (see Settings).
+ */
+
+/**
+ * @param {Object} option - Entry of SETTING_OPTIONS
+ * @param {*} value
+ * @returns {string} Value as shown in the menu
+ */
+function formatValue(option, value) {
+    switch (option.type) {
+        case 'range':
+            return option.percent ? `${Math.round(value * 100)}%` : `${Math.round(value * 100) / 100}`;
+        case 'toggle':
+            return option.labels[value];
+        case 'choice':
+            return option.choices[value];
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Fill the settings panel with its rows (before the BACK button)
+ * @param {HTMLElement} panel
+ */
+export function buildSettingsMenu(panel) {
+    const rows = document.createElement('div');
+    rows.id = 'settings-rows';
+    rows.style.cssText = 'width: 560px; margin: 0 auto 20px; text-align: left;';
+
+    Object.entries(SETTING_OPTIONS).forEach(([key, option]) => {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+
+        const label = document.createElement('span');
+        label.textContent = option.label;
+        row.appendChild(label);
+
+        if (option.type === 'range') {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = option.min;
+            slider.max = option.max;
+            slider.step = option.step;
+            slider.dataset.setting = key;
+            slider.addEventListener('input', () => settings.set(key, parseFloat(slider.value)));
+            row.appendChild(slider);
+
+            const value = document.createElement('span');
+            value.className = 'settings-value';
+            value.dataset.settingValue = key;
+            row.appendChild(value);
+        } else {
+            const button = document.createElement('button');
+            button.className = 'settings-cycle';
+            button.dataset.setting = key;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                settings.cycle(key);
+            });
+            row.appendChild(button);
+        }
+
+        rows.appendChild(row);
+    });
+
+    const reset = document.createElement('button');
+    reset.className = 'pause-button';
+    reset.textContent = 'RESET TO DEFAULTS';
+    reset.addEventListener('click', (e) => {
+        e.stopPropagation();
+        settings.resetAll();
+    });
+
+    const back = panel.querySelector('[data-action="back"]');
+    panel.insertBefore(rows, back);
+    panel.insertBefore(reset, back);
+
+    settings.onChange(() => refreshSettingsMenu());
+}
+
+/**
+ * Show the current values
+ */
+export function refreshSettingsMenu() {
+    Object.entries(SETTING_OPTIONS).forEach(([key, option]) => {
+        const value = settings.get(key);
+        const control = document.querySelector(`#settings-rows [data-setting="${key}"]`);
+        if (!control) return;
+
+        if (option.type === 'range') {
+            control.value = value;
+            document.querySelector(`#settings-rows [data-setting-value="${key}"]`).textContent = formatValue(option, value);
+        } else {
+            control.textContent = formatValue(option, value);
+        }
+    });
+}
@@ -1,11 +1,15 @@
 import * as THREE from 'three';
+import { rng } from '../core/Random.js';
+
+const spreadRandom = rng.stream('spread');
 
 /**
  * WeaponManager
  * Handles multiple weapons and their stats/behaviour for a rail shooter.
  *
- * This class is game-logic only. It expects you to:
- * - Provide a raycast function for hits
+ * This class is game-logic only and is the single source of truth for
+ * ammo, reload and fire-rate state. It expects you to:
+ * - Provide the target objects to raycast against
  * - Hook ammo and reload UI using the returned stats
  */
 export class WeaponManager {
@@ -15,43 +19,52 @@ export class WeaponManager {
             pistol: {
                 id: 'pistol',
                 name: 'Pistol',
-                clipSize: 12,
-                reserveSize: 60,
+                clipSize: 11,
+                reserveSize: 22,     // 2 clips
                 reloadTime: 2.0,
                 damage: 50,
                 pellets: 1,
                 spread: 0,           // in radians
                 fireRate: 0.5,       // seconds between shots
-                currentAmmo: 12,
-                reserveAmmo: 60,
+                fireModes: ['semi'], // 'semi' | 'burst' | 'auto'
+                fireMode: 'semi',
+                burstCount: 0,       // rounds per trigger pull in 'burst'
+                currentAmmo: 11,
+                reserveAmmo: 22,
                 lastShotTime: -Infinity
             },
             shotgun: {
                 id: 'shotgun',
                 name: 'Shotgun',
                 clipSize: 6,
-                reserveSize: 24,
+                reserveSize: 12,     // 2 clips
                 reloadTime: 3.0,
                 damage: 40,
                 pellets: 5,
                 spread: THREE.MathUtils.degToRad(7), // 7° spread
                 fireRate: 1.0,
+                fireModes: ['semi'],
+                fireMode: 'semi',
+                burstCount: 0,
                 currentAmmo: 6,
-                reserveAmmo: 24,
+                reserveAmmo: 12,
                 lastShotTime: -Infinity
             },
             rifle: {
                 id: 'rifle',
                 name: 'Rifle',
-                clipSize: 30,
-                reserveSize: 90,
+                clipSize: 24,
+                reserveSize: 48,     // 2 clips
                 reloadTime: 2.5,
                 damage: 35,
                 pellets: 1,
                 spread: THREE.MathUtils.degToRad(1.5), // small spread
                 fireRate: 0.2,
-                currentAmmo: 30,
-                reserveAmmo: 90,
+                fireModes: ['auto', 'burst'],
+                fireMode: 'auto',
+                burstCount: 3,
+                currentAmmo: 24,
+                reserveAmmo: 48,
                 lastShotTime: -Infinity
             }
         };
@@ -74,6 +87,21 @@ export class WeaponManager {
         return this.weapons[this.currentWeaponId];
     }
 
+    /**
+     * Refill every weapon and select the pistol (new game / restart)
+     */
+    reset() {
+        Object.values(this.weapons).forEach(weapon => {
+            weapon.currentAmmo = weapon.clipSize;
+            weapon.reserveAmmo = weapon.reserveSize;
+            weapon.lastShotTime = -Infinity;
+            weapon.fireMode = weapon.fireModes[0];
+        });
+        this.currentWeaponId = 'pistol';
+        this.isReloading = false;
+        this.reloadEndTime = 0;
+    }
+
     /**
      * Update reloading state (call every frame with current time)
      * @param {number} timeSeconds
@@ -101,45 +129,63 @@ export class WeaponManager {
     }
 
     /**
-     * Handle number key switching (expects event.key)
-     * @param {string} key
+     * Cycle the current weapon to its next fire mode (no-op for single-mode weapons)
+     * @returns {string} The active fire mode
      */
-    handleKeyInput(key) {
-        switch (key) {
-            case '1':
-                this.switchWeapon('pistol');
-                break;
-            case '2':
-                this.switchWeapon('shotgun');
-                break;
-            case '3':
-                this.switchWeapon('rifle');
-                break;
-        }
+    cycleFireMode() {
+        const weapon = this.currentWeapon;
+        const index = weapon.fireModes.indexOf(weapon.fireMode);
+        weapon.fireMode = weapon.fireModes[(index + 1) % weapon.fireModes.length];
+        return weapon.fireMode;
+    }
+
+    /**
+     * Weapon next to the current one (for next / previous weapon input)
+     * @param {number} step - 1 for the next weapon, -1 for the previous one
+     * @returns {string} Weapon id, wrapping around
+     */
+    getAdjacentWeaponId(step) {
+        const ids = Object.keys(this.weapons);
+        const index = ids.indexOf(this.currentWeaponId);
+        return ids[(index + step + ids.length) % ids.length];
+    }
+
+    /**
+     * Whether the current weapon can fire right now (not reloading, off
+     * cooldown and with a round in the clip)
+     * @param {number} timeSeconds
+     * @returns {boolean}
+     */
+    canFire(timeSeconds) {
+        const weapon = this.currentWeapon;
+        if (!weapon || this.isReloading) return false;
+        if (timeSeconds - weapon.lastShotTime < weapon.fireRate) return false;
+        return weapon.currentAmmo > 0;
     }
 
     /**
      * Attempt to fire current weapon.
-     * - Uses camera & mouse NDC to build rays.
+     * - Uses camera & mouse NDC to build rays, one per pellet.
      * - `targets` should be an array of THREE.Object3D to test against.
      *
-     * Returns an array of hit results (can be empty).
+     * Returns an array of hit results (can be empty), or null if the weapon
+     * did not fire (reloading, fire-rate limited or empty clip).
      *
      * @param {number} timeSeconds           - current game time (seconds)
      * @param {THREE.Camera} camera
      * @param {THREE.Vector2} mouseNDC       - mouse in normalized device coords (-1..1)
      * @param {THREE.Object3D[]} targets
-     * @returns {Array<{ object: THREE.Object3D, point: THREE.Vector3, distance: number }>}
+     * @returns {Array<{ object: THREE.Object3D, point: THREE.Vector3, distance: number }> | null}
      */
     shoot(timeSeconds, camera, mouseNDC, targets) {
         const weapon = this.currentWeapon;
 
-        if (this.isReloading) return [];
-        if (!weapon) return [];
+        if (this.isReloading) return null;
+        if (!weapon) return null;
 
         // Fire rate limit
         if (timeSeconds - weapon.lastShotTime < weapon.fireRate) {
-            return [];
+            return null;
         }
 
         // Ammo check
@@ -148,7 +194,7 @@ export class WeaponManager {
             if (weapon.reserveAmmo > 0) {
                 this.startReload(timeSeconds);
             }
-            return [];
+            return null;
         }
 
         weapon.currentAmmo--;
@@ -156,15 +202,8 @@ export class WeaponManager {
 
         const hits = [];
 
-        if (weapon.id === 'shotgun') {
-            // 5 pellets spread
-            for (let i = 0; i < weapon.pellets; i++) {
-                const pelletDir = this._getSpreadDirection(camera, mouseNDC, weapon.spread);
-                const hit = this._raycast(camera.position, pelletDir, targets);
-                if (hit) hits.push(hit);
-            }
-        } else {
-            // Single ray (pistol / rifle)
+        // One ray per pellet (shotgun fires 5, pistol / rifle fire 1)
+        for (let i = 0; i < weapon.pellets; i++) {
             const dir = this._getSpreadDirection(camera, mouseNDC, weapon.spread);
             const hit = this._raycast(camera.position, dir, targets);
             if (hit) hits.push(hit);
@@ -176,16 +215,18 @@ export class WeaponManager {
     /**
      * Start reloading the current weapon
      * @param {number} timeSeconds
+     * @returns {boolean} True if a reload was started
      */
     startReload(timeSeconds) {
         const weapon = this.currentWeapon;
-        if (!weapon) return;
-        if (this.isReloading) return;
-        if (weapon.currentAmmo === weapon.clipSize) return;
-        if (weapon.reserveAmmo <= 0) return;
+        if (!weapon) return false;
+        if (this.isReloading) return false;
+        if (weapon.currentAmmo === weapon.clipSize) return false;
+        if (weapon.reserveAmmo <= 0) return false;
 
         this.isReloading = true;
         this.reloadEndTime = timeSeconds + weapon.reloadTime;
+        return true;
     }
 
     /**
@@ -203,6 +244,16 @@ export class WeaponManager {
         this.isReloading = false;
     }
 
+    /**
+     * Add reserve ammo to the current weapon (ammo pickups)
+     * @param {number} amount
+     */
+    addReserveAmmo(amount) {
+        const weapon = this.currentWeapon;
+        if (!weapon) return;
+        weapon.reserveAmmo += amount;
+    }
+
     /**
      * Get stats for UI display
      */
@@ -219,6 +270,8 @@ export class WeaponManager {
             fireRate: w.fireRate,
             pellets: w.pellets,
             spread: w.spread,
+            fireMode: w.fireMode,
+            burstCount: w.burstCount,
             isReloading: this.isReloading
         };
     }
@@ -238,8 +291,8 @@ export class WeaponManager {
 
         if (spreadRadians > 0) {
             // Random small rotation around two axes
-            const angleX = (Math.random() - 0.5) * spreadRadians;
-            const angleY = (Math.random() - 0.5) * spreadRadians;
+            const angleX = spreadRandom.range(-0.5, 0.5) * spreadRadians;
+            const angleY = spreadRandom.range(-0.5, 0.5) * spreadRadians;
 
             const euler = new THREE.Euler(angleX, angleY, 0, 'YXZ');
             dir.applyEuler(euler);
@@ -270,4 +323,5 @@ export class WeaponManager {
     }
 }
 
-
+// Export singleton instance
+export const weaponManager = new WeaponManager();
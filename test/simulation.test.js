@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { loadLevel } from '../src/levels/LevelLoader.js';
+import { Simulation, createBotScript } from '../src/sim/Simulation.js';
+
+const SEED = 42;
+const MAX_TIME = 600;
+
+async function loadWarehouse() {
+    const url = new URL('../src/levels/warehouse.json', import.meta.url);
+    return loadLevel(JSON.parse(await readFile(url, 'utf8')));
+}
+
+/**
+ * @param {Object} level
+ * @returns {Object} Simulation results
+ */
+function runBot(level) {
+    const simulation = new Simulation(level, { seed: SEED, difficulty: 'normal', script: createBotScript(MAX_TIME) });
+    try {
+        return simulation.run({ maxTime: MAX_TIME });
+    } finally {
+        simulation.dispose();
+    }
+}
+
+test('a seeded run finishes and plays out the same way twice', async () => {
+    // The game logs every spawn and shot
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const level = await loadWarehouse();
+        const first = runBot(level);
+        const second = runBot(level);
+
+        assert.notEqual(first.outcome, 'timeout');
+        assert.ok(first.shotsFired > 0);
+        assert.deepEqual(second, first);
+    } finally {
+        console.log = log;
+    }
+});